@@ -0,0 +1,207 @@
+// Question bank storage: the current bank, its saved versions and near-duplicate clusters
+
+const path = require('path');
+const fs = require('fs');
+const { dataDir, readDataFile, writeDataFile } = require('./data');
+
+// Question banks are stored one file per subject under data/banks, keyed by subject code, regulation and branch
+const banksDir = 'banks';
+const bankVersionsDir = 'bank-versions';
+
+// Helper Function to Build the Bank Id (e.g. 'CS501-R22-CSE') a Question Belongs To
+function bankIdFor(q) {
+    return [q.subjectCode, q.regulation, q.branch]
+        .map(part => String(part || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_') || 'NA')
+        .join('-');
+}
+
+function isValidBankId(id) {
+    return typeof id === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(id);
+}
+
+function bankFile(id) {
+    return path.join(banksDir, `${id}.json`);
+}
+
+function loadBank(id) {
+    return isValidBankId(id) ? readDataFile(bankFile(id), null) : null;
+}
+
+// Every save gets a new version number and an immutable snapshot, so papers can be rebuilt from the bank they came from.
+// Near-duplicate clusters are recomputed on every save, so the stored bank always says which questions are alternatives
+function saveBank(bank) {
+    assignDuplicateClusters(bank);
+    bank.version = latestBankVersion(bank.id) + 1;
+    bank.updatedAt = new Date().toISOString();
+    writeDataFile(bankVersionFile(bank.id, bank.version), bank);
+    writeDataFile(bankFile(bank.id), bank);
+    return bank;
+}
+
+function bankVersionFile(id, version) {
+    return path.join(bankVersionsDir, id, `${version}.json`);
+}
+
+function latestBankVersion(id) {
+    const dir = path.join(dataDir, bankVersionsDir, id);
+    if (!fs.existsSync(dir)) return 0;
+    return Math.max(0, ...fs.readdirSync(dir).map(file => parseInt(file, 10)).filter(version => !isNaN(version)));
+}
+
+function loadBankVersion(id, version) {
+    return isValidBankId(id) && Number.isInteger(version) ? readDataFile(bankVersionFile(id, version), null) : null;
+}
+
+function listBanks() {
+    const dir = path.join(dataDir, banksDir);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => readDataFile(path.join(banksDir, file), null))
+        .filter(Boolean);
+}
+
+function createBank(id, questions) {
+    const first = questions[0];
+    return {
+        id,
+        subjectCode: first.subjectCode,
+        subject: first.subject,
+        branch: first.branch,
+        regulation: first.regulation,
+        year: first.year,
+        semester: first.semester,
+        questions
+    };
+}
+
+// Near-duplicate detection: question texts are normalized, stripped of filler words and compared as sets of word pairs
+// (2-shingles); questions scoring at least duplicateThreshold (Jaccard similarity) end up in one cluster
+const duplicateThreshold = 0.7;
+const shingleStopWords = new Set(['a', 'an', 'the', 'of', 'and', 'or', 'to', 'in', 'on', 'for', 'with', 'its', 'their', 'is', 'are', 'be',
+    'by', 'as', 'at', 'this', 'that', 'these', 'those', 'it', 'from', 'suitable', 'neat', 'briefly', 'detail', 'example', 'examples']);
+
+// Helper Function to Turn a Question's Text into Its Set of Word 2-Shingles (single words for one-word texts)
+function questionShingles(text) {
+    const words = normalizeQuestionText(text).split(/[^a-z0-9]+/).filter(word => word !== '' && !shingleStopWords.has(word));
+    if (words.length < 2) return new Set(words);
+    return new Set(words.slice(1).map((word, i) => `${words[i]} ${word}`));
+}
+
+function jaccardSimilarity(a, b) {
+    let shared = 0;
+    a.forEach(shingle => {
+        if (b.has(shingle)) shared++;
+    });
+    const union = a.size + b.size - shared;
+    return union === 0 ? 0 : shared / union;
+}
+
+// Function to group a bank's questions into clusters of near-duplicates, each { id, questionIds, score, pairs }.
+// Questions with different images are never duplicates, and pairs inside a set in distinctSets (marked as
+// distinct by a reviewer) are skipped
+function findDuplicateClusters(questions, distinctSets = []) {
+    const shingles = questions.map(q => questionShingles(q.question));
+    const isDistinct = (a, b) => distinctSets.some(set => set.includes(a.id) && set.includes(b.id));
+    const imageOf = q => (q.image ? q.image.hash : q.imageSource || q.imageUrl || '');
+
+    // Only questions sharing at least one shingle are compared
+    const index = {};
+    shingles.forEach((set, i) => set.forEach(shingle => (index[shingle] = index[shingle] || []).push(i)));
+    const pairs = [];
+    const compared = new Set();
+    Object.values(index).forEach(members => members.forEach((i, position) => members.slice(position + 1).forEach(j => {
+        const key = `${i}|${j}`;
+        if (compared.has(key)) return;
+        compared.add(key);
+        const [a, b] = [questions[i], questions[j]];
+        if (imageOf(a) !== imageOf(b) || isDistinct(a, b)) return;
+        const score = jaccardSimilarity(shingles[i], shingles[j]);
+        if (score >= duplicateThreshold) pairs.push({ i, j, score });
+    })));
+
+    // Union-find over the similar pairs
+    const parent = questions.map((q, i) => i);
+    const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+    pairs.forEach(({ i, j }) => {
+        parent[root(i)] = root(j);
+    });
+    const clusters = {};
+    pairs.forEach(pair => {
+        const cluster = clusters[root(pair.i)] || (clusters[root(pair.i)] = { members: new Set(), pairs: [] });
+        cluster.members.add(pair.i).add(pair.j);
+        cluster.pairs.push(pair);
+    });
+    return Object.values(clusters)
+        .map(cluster => {
+            const questionIds = [...cluster.members].map(i => questions[i].id).sort((a, b) => a - b);
+            return {
+                id: `dup-${questionIds[0]}`,
+                questionIds,
+                score: Math.round(Math.max(...cluster.pairs.map(pair => pair.score)) * 100) / 100,
+                pairs: cluster.pairs.map(pair => ({
+                    questionIds: [questions[pair.i].id, questions[pair.j].id],
+                    snos: [questions[pair.i].sno, questions[pair.j].sno],
+                    score: Math.round(pair.score * 100) / 100
+                }))
+            };
+        })
+        .sort((a, b) => a.questionIds[0] - b.questionIds[0]);
+}
+
+// Helper Function to Store a Bank's Near-Duplicate Clusters and Tag Each Member with Its Cluster (duplicateGroup),
+// which the selectors treat as one question
+function assignDuplicateClusters(bank) {
+    const ids = new Set(bank.questions.map(q => q.id));
+    bank.distinctQuestionSets = (bank.distinctQuestionSets || [])
+        .map(set => set.filter(id => ids.has(id)))
+        .filter(set => set.length > 1);
+    bank.duplicateClusters = findDuplicateClusters(bank.questions, bank.distinctQuestionSets);
+    const groups = {};
+    bank.duplicateClusters.forEach(cluster => cluster.questionIds.forEach(id => {
+        groups[id] = cluster.id;
+    }));
+    bank.questions.forEach(q => {
+        if (groups[q.id]) q.duplicateGroup = groups[q.id]; else delete q.duplicateGroup;
+    });
+}
+
+function summarizeBank(bank) {
+    return {
+        id: bank.id,
+        subjectCode: bank.subjectCode,
+        subject: bank.subject,
+        branch: bank.branch,
+        regulation: bank.regulation,
+        year: bank.year,
+        semester: bank.semester,
+        questionCount: bank.questions.length,
+        duplicateClusters: (bank.duplicateClusters || []).length,
+        version: bank.version,
+        updatedAt: bank.updatedAt
+    };
+}
+
+// Helper Function to Normalize Question Text for Duplicate Detection
+function normalizeQuestionText(text) {
+    return String(text || '')
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    bankIdFor,
+    isValidBankId,
+    bankFile,
+    loadBank,
+    saveBank,
+    loadBankVersion,
+    listBanks,
+    createBank,
+    findDuplicateClusters,
+    summarizeBank,
+    normalizeQuestionText
+};
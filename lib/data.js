@@ -0,0 +1,29 @@
+// JSON files under the data directory, where every module keeps its state
+
+const path = require('path');
+const fs = require('fs');
+
+// Directory holding the server's persistent JSON data (DATA_DIR moves it, e.g. to a scratch directory for tests)
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+
+// Helper Function to Read a JSON File from the Data Directory
+function readDataFile(name, fallback) {
+    const filePath = path.join(dataDir, name);
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Helper Function to Write a JSON File to the Data Directory (via a temp file so a crash never truncates it)
+function writeDataFile(name, data) {
+    const filePath = path.join(dataDir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    dataDir,
+    readDataFile,
+    writeDataFile
+};
@@ -0,0 +1,1052 @@
+// Paper rendering: the layout shared by the PDF and DOCX exports, coverage sheets and answer keys
+
+const XLSX = require('xlsx');
+const path = require('path');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+const katex = require('katex');
+const fontkit = require('fontkit');
+const { logger } = require('./logger');
+const { imageProxyAllowedHosts, fetchImage, findStoredImage, imageInfo } = require('./images');
+const { markdown, markupSource, renderMarkup } = require('./markup');
+const { answerableMarks, coverageShortfalls } = require('./selection');
+
+// Helper Function to Strip Examiner-Only Fields (answers, key points, answer formulas) from a Paper's Parts
+function publicPaperParts(paper) {
+    const marks = paperMarks(paper);
+    return paper.parts.map((part, partIndex) => ({
+        name: part.name,
+        questions: part.questions.map(({ answer, keyPoints, answerFormula, answerValue, ...q }) => ({ ...q, questionHtml: renderMarkup(q.question) })),
+        marks: marks.parts[partIndex],
+        choiceGroups: paperChoiceGroups(paper, part)
+    }));
+}
+
+// Helper Function to Name a Choice Alternative by Its Question Number (['2a', '2b'] -> '2'; otherwise the labels joined)
+function choiceAlternativeName(labels) {
+    const numbers = [...new Set(labels.map(label => (String(label).match(/^(\d+)[a-z]?$/i) || [])[1]))];
+    return numbers.length === 1 && numbers[0] !== undefined ? numbers[0] : labels.join(' & ');
+}
+
+// Helper Function to Spell Out a Paper Part's Internal Choices, e.g. { instruction: 'Answer 2 OR 3', alternatives: [...] }
+function paperChoiceGroups(paper, part) {
+    const blueprintPart = paper.blueprintDefinition.parts.find(entry => entry.name === part.name);
+    return ((blueprintPart && blueprintPart.choiceGroups) || []).map(group => {
+        const alternatives = group.alternatives.map(labels => ({
+            name: choiceAlternativeName(labels),
+            labels,
+            marks: labels.reduce((total, label) => {
+                const q = part.questions.find(question => question.label === label);
+                return total + ((q && q.marks) || 0);
+            }, 0)
+        }));
+        return { instruction: `Answer ${alternatives.map(alternative => alternative.name).join(' OR ')}`, alternatives };
+    });
+}
+
+// Helper Function to Total a Paper's Marks per Part and Overall, Counting One Alternative per Choice Group,
+// next to the maximum its blueprint declares (null when it declares none)
+function paperMarks(paper) {
+    const parts = paper.parts.map(part => {
+        const blueprintPart = paper.blueprintDefinition.parts.find(entry => entry.name === part.name);
+        const marksOf = label => {
+            const q = part.questions.find(question => question.label === label.label);
+            return q ? q.marks || 0 : 0;
+        };
+        return {
+            total: blueprintPart ? answerableMarks(blueprintPart, marksOf) : part.questions.reduce((total, q) => total + (q.marks || 0), 0),
+            max: (blueprintPart && blueprintPart.maxMarks) || null
+        };
+    });
+    return {
+        total: parts.reduce((total, part) => total + part.total, 0),
+        max: paper.blueprintDefinition.maxMarks || null,
+        parts
+    };
+}
+
+// Function to read markup into printable blocks for the PDF and DOCX exports: paragraphs (with their list marker and
+// indent level) made of text, math and line-break runs, and tables as rows of cells made of runs
+function markupBlocks(text) {
+    const blocks = [];
+    const lists = [];
+    let quoteDepth = 0;
+    let marker = '';
+    let heading = false;
+    let table = null;
+    let row = null;
+    let headerCell = false;
+
+    const inlineRuns = (children, bold) => {
+        const runs = [];
+        const depth = { strong: bold ? 1 : 0, em: 0, s: 0 };
+        children.forEach(child => {
+            const tag = child.type.match(/^(strong|em|s)_(open|close)$/);
+            if (tag) {
+                depth[tag[1]] += tag[2] === 'open' ? 1 : -1;
+            } else if (child.type === 'text' || child.type === 'text_special') {
+                runs.push({ text: child.content, bold: depth.strong > 0, italic: depth.em > 0, strike: depth.s > 0 });
+            } else if (child.type === 'code_inline') {
+                runs.push({ text: child.content, code: true });
+            } else if (child.type === 'softbreak' || child.type === 'hardbreak') {
+                runs.push({ break: true });
+            } else if (child.type === 'math') {
+                runs.push({ math: child.content, display: child.markup === '$$' });
+            }
+        });
+        return runs;
+    };
+    const paragraph = runs => {
+        blocks.push({ type: 'paragraph', level: quoteDepth + Math.max(lists.length - 1, 0), marker, runs });
+        marker = '';
+    };
+
+    markdown.parse(markupSource(text), {}).forEach(token => {
+        if (token.type === 'bullet_list_open' || token.type === 'ordered_list_open') {
+            lists.push({ ordered: token.type === 'ordered_list_open', next: Number(token.attrGet('start') || 1) });
+        } else if (token.type === 'bullet_list_close' || token.type === 'ordered_list_close') {
+            lists.pop();
+        } else if (token.type === 'list_item_open') {
+            const list = lists[lists.length - 1];
+            marker = list.ordered ? `${list.next++}. ` : '• ';
+        } else if (token.type === 'blockquote_open' || token.type === 'blockquote_close') {
+            quoteDepth += token.type === 'blockquote_open' ? 1 : -1;
+        } else if (token.type === 'heading_open' || token.type === 'heading_close') {
+            heading = token.type === 'heading_open';
+        } else if (token.type === 'table_open') {
+            table = { type: 'table', rows: [] };
+            blocks.push(table);
+        } else if (token.type === 'table_close') {
+            table = null;
+        } else if (token.type === 'tr_open') {
+            row = [];
+            table.rows.push(row);
+        } else if (token.type === 'tr_close') {
+            row = null;
+        } else if (token.type === 'th_open' || token.type === 'th_close') {
+            headerCell = token.type === 'th_open';
+        } else if (token.type === 'fence' || token.type === 'code_block') {
+            const lines = token.content.replace(/\n$/, '').split('\n');
+            paragraph(lines.flatMap((line, i) => [...(i > 0 ? [{ break: true }] : []), { text: line, code: true }]));
+        } else if (token.type === 'inline') {
+            if (row) {
+                row.push(inlineRuns(token.children, headerCell));
+            } else {
+                paragraph(inlineRuns(token.children, heading));
+            }
+        }
+    });
+    return blocks;
+}
+
+// Helper Function to Parse the MathML KaTeX Writes into { name, attributes, children } Nodes (text is { text })
+function parseMathml(xml) {
+    const root = { name: '', attributes: {}, children: [] };
+    const stack = [root];
+    const decode = text => text
+        .replace(/&#x([0-9a-f]+);/gi, (entity, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (entity, decimal) => String.fromCodePoint(Number(decimal)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+    const pattern = /<(\/?)([\w:-]+)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = pattern.exec(xml)) !== null) {
+        const parent = stack[stack.length - 1];
+        if (match[5] !== undefined) {
+            parent.children.push({ text: decode(match[5]) });
+        } else if (match[1]) {
+            if (stack.length > 1) stack.pop();
+        } else {
+            const attributes = {};
+            (match[3].match(/[\w:-]+="[^"]*"/g) || []).forEach(pair => {
+                const [, name, value] = pair.match(/^([\w:-]+)="([^"]*)"$/);
+                attributes[name] = decode(value);
+            });
+            const node = { name: match[2], attributes, children: [] };
+            parent.children.push(node);
+            if (!match[4]) stack.push(node);
+        }
+    }
+    return root;
+}
+
+// Helper Function to Turn a LaTeX Formula into a MathML Tree for the Exports (null when KaTeX cannot read it)
+function formulaTree(tex, display) {
+    try {
+        const xml = katex.renderToString(tex, { displayMode: display, output: 'mathml', throwOnError: true, strict: 'ignore' });
+        const find = node => (node.name === 'semantics' ? node : (node.children || []).map(find).find(Boolean));
+        const semantics = find(parseMathml(xml));
+        return semantics ? semantics.children[0] : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Helper Function to Read the Text of a MathML Leaf (invisible operators dropped, no-break spaces made plain)
+function mathLeafText(node) {
+    return (node.children || []).map(child => child.text || '').join('').replace(/[\u2061-\u2064\u200b]/g, '').replace(/\u00a0/g, ' ');
+}
+
+// MathML leaves and the container elements whose children are laid out in a row
+const mathLeafNames = ['mi', 'mn', 'mo', 'mtext', 'ms'];
+// Large operators whose limits are printed as scripts
+const mathLargeOperators = '∑∏∐∫∬∭∮⋀⋁⋂⋃⨀⨁⨂';
+
+// KaTeX's fonts print the characters Helvetica cannot; each character uses the first of them that has it
+const katexFontsDir = path.join(path.dirname(require.resolve('katex')), 'fonts');
+const pdfFallbackFonts = ['Main-Regular', 'Math-Italic', 'AMS-Regular', 'Size1-Regular'].map(name => ({
+    name: `KaTeX_${name}`,
+    file: path.join(katexFontsDir, `KaTeX_${name}.ttf`)
+}));
+// Characters no fallback font has, printed as a base character struck through with '/'
+const pdfNegatedCharacters = { '≠': '=', '∉': '∈', '≢': '≡', '∤': '|' };
+// Characters outside ASCII and Latin-1 that Helvetica's WinAnsi encoding still covers
+const winAnsiExtras = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+let pdfFallbackFaces = null;
+
+// Helper Function to Find the Font a Character Prints In: the preferred one when it can, else the first fallback that has it
+function pdfCharacterFont(char, preferred) {
+    const code = char.codePointAt(0);
+    const winAnsi = (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) || winAnsiExtras.includes(char);
+    if (!pdfFallbackFaces) {
+        pdfFallbackFaces = pdfFallbackFonts.map(font => ({ name: font.name, face: fontkit.openSync(font.file) }));
+    }
+    const preferredFace = pdfFallbackFaces.find(font => font.name === preferred);
+    if (preferredFace ? preferredFace.face.hasGlyphForCodePoint(code) : winAnsi) return preferred;
+    const fallback = pdfFallbackFaces.find(font => font.face.hasGlyphForCodePoint(code));
+    if (fallback) return fallback.name;
+    return winAnsi ? 'Helvetica' : null;
+}
+
+// Helper Function to Split Text into Pieces of One Font Each ({ text, font, size, rise }); characters no font has print as '?'
+function pdfTextPieces(text, preferred, size, rise) {
+    const pieces = [];
+    [...text].forEach(char => {
+        let font = pdfCharacterFont(char, preferred);
+        let strike = '';
+        if (!font && pdfNegatedCharacters[char]) {
+            strike = '/';
+            char = pdfNegatedCharacters[char];
+            font = pdfCharacterFont(char, preferred);
+        }
+        if (!font) {
+            char = '?';
+            font = preferred.startsWith('KaTeX_') ? 'Helvetica' : preferred;
+        }
+        const last = pieces[pieces.length - 1];
+        if (last && !strike && !last.strike && last.font === font) {
+            last.text += char;
+        } else {
+            pieces.push({ text: char, font, size, rise, strike });
+        }
+    });
+    return pieces;
+}
+
+// Function to lay a MathML node out as pieces of linear text: scripts are smaller and raised or lowered, fractions
+// read '(a)/(b)' and roots '√(x)'. Returns a list of words (lists of pieces); a line may break between words
+function pdfMathWords(node, size, rise) {
+    const words = [];
+    let word = [];
+    const emit = pieces => word.push(...pieces);
+    const scriptSize = Math.max(size * 0.7, 5);
+    const isSimple = child => mathLeafNames.includes(child.name) ||
+        (child.name === 'mrow' && child.children.length === 1 && mathLeafNames.includes(child.children[0].name));
+    const inline = (child, childSize, childRise) => pdfMathWords(child, childSize, childRise).flat();
+    const grouped = (child, childSize, childRise) => (isSimple(child)
+        ? inline(child, childSize, childRise)
+        : [...pdfTextPieces('(', 'KaTeX_Main-Regular', childSize, childRise), ...inline(child, childSize, childRise), ...pdfTextPieces(')', 'KaTeX_Main-Regular', childSize, childRise)]);
+    const [first, second, third] = node.children || [];
+
+    if (mathLeafNames.includes(node.name)) {
+        const text = mathLeafText(node);
+        const italic = node.name === 'mi' && [...text].length === 1 && node.attributes.mathvariant !== 'normal';
+        // Relations and binary operators get space around them, except inside scripts
+        const spaced = node.name === 'mo' && rise === 0 && /^[=<>≤≥≠≈≡∼≃≅→←↔⇒⇐⇔+−±∓×÷⋅·∈∉⊂⊆⊃⊇∪∩]$/.test(text);
+        emit(pdfTextPieces(spaced ? ` ${text} ` : text, italic ? 'KaTeX_Math-Italic' : 'KaTeX_Main-Regular', size, rise));
+    } else if (node.name === 'msup' || node.name === 'msub' || node.name === 'msubsup' ||
+        ((node.name === 'munderover' || node.name === 'munder' || node.name === 'mover') && node.attributes.accent !== 'true' &&
+            mathLargeOperators.includes(mathLeafText(first)))) {
+        emit(inline(first, size, rise));
+        const hasSub = ['msub', 'msubsup', 'munder', 'munderover'].includes(node.name);
+        const hasSup = ['msup', 'msubsup', 'mover', 'munderover'].includes(node.name);
+        if (hasSub) emit(inline(second, scriptSize, rise - size * 0.2));
+        if (hasSup) emit(inline(hasSub ? third : second, scriptSize, rise + size * 0.4));
+    } else if (node.name === 'mover' || node.name === 'munder' || node.name === 'munderover') {
+        // Accents such as \hat{x} and \bar{x} print over a one-character base; anything longer prints them as a script
+        const base = inline(first, size, rise);
+        const accent = mathLeafText(second).replace('‾', '¯');
+        if (node.name === 'mover' && base.length === 1 && [...base[0].text].length === 1 && accent.length === 1) {
+            emit([{ ...base[0], over: accent }]);
+        } else {
+            emit(base);
+            emit(inline(second, scriptSize, rise + (node.name === 'mover' ? size * 0.4 : -size * 0.2)));
+        }
+    } else if (node.name === 'mfrac') {
+        emit(grouped(first, size, rise));
+        emit(pdfTextPieces('/', 'KaTeX_Main-Regular', size, rise));
+        emit(grouped(second, size, rise));
+    } else if (node.name === 'msqrt' || node.name === 'mroot') {
+        if (node.name === 'mroot') emit(inline(second, scriptSize, rise + size * 0.4));
+        emit(pdfTextPieces('√', 'KaTeX_Main-Regular', size, rise));
+        emit(node.name === 'mroot' ? grouped(first, size, rise) : grouped({ name: 'mrow', attributes: {}, children: node.children }, size, rise));
+    } else if (node.name === 'mtable') {
+        node.children.forEach((tableRow, rowIndex) => {
+            if (rowIndex > 0) emit(pdfTextPieces('; ', 'KaTeX_Main-Regular', size, rise));
+            tableRow.children.forEach((cell, cellIndex) => {
+                if (cellIndex > 0) emit(pdfTextPieces(', ', 'KaTeX_Main-Regular', size, rise));
+                emit(inline(cell, size, rise));
+            });
+        });
+    } else if (node.name === 'mspace') {
+        emit(pdfTextPieces(' ', 'Helvetica', size, rise));
+    } else if (node.name !== 'mphantom' && node.children) {
+        // Rows: at the top level a line may break after an operator
+        node.children.forEach(child => {
+            emit(inline(child, size, rise));
+            if (rise === 0 && size >= 10 && child.name === 'mo' && word.length > 0) {
+                words.push(word);
+                word = [];
+            }
+        });
+    }
+    if (word.length > 0) words.push(word);
+    return words;
+}
+
+// Helper Function to Pick the Helvetica or Courier Face for a Text Run
+function pdfRunFont(run) {
+    if (run.code) return 'Courier';
+    if (run.bold && run.italic) return 'Helvetica-BoldOblique';
+    if (run.bold) return 'Helvetica-Bold';
+    return run.italic ? 'Helvetica-Oblique' : 'Helvetica';
+}
+
+// Function to lay markup out for a PDF table cell of the given width, returning { height, draw(x, y) }.
+// Text wraps at spaces, formulas after their operators; a display formula alone in its paragraph is centred
+function pdfMarkupLayout(doc, markup, width, options = {}) {
+    const size = 10;
+    const lineHeight = size * 1.25;
+    const levelIndent = 14;
+    const baseFont = options.bold ? 'Helvetica-Bold' : 'Helvetica';
+    const pieceWidth = piece => doc.font(piece.font).fontSize(piece.size).widthOfString(piece.text);
+    const wordWidth = word => word.reduce((total, piece) => total + pieceWidth(piece), 0);
+    const spaceWidth = doc.font(baseFont).fontSize(size).widthOfString(' ');
+
+    // Each paragraph becomes a list of words; a word carries whether a space precedes it
+    const paragraphs = markupBlocks(markup).flatMap(block => {
+        const paragraphRuns = block.type === 'table'
+            ? block.rows.map(cells => ({ level: 0, marker: '', runs: cells.flatMap((runs, i) => [...(i > 0 ? [{ text: ' | ' }] : []), ...runs]) }))
+            : [block];
+        return paragraphRuns.map(entry => {
+            const words = [];
+            let spaced = false;
+            if (entry.marker) words.push({ pieces: pdfTextPieces(entry.marker, baseFont, size, 0), marker: true });
+            entry.runs.forEach(run => {
+                if (run.break) {
+                    words.push({ lineBreak: true });
+                    spaced = false;
+                } else if (run.math !== undefined) {
+                    const tree = formulaTree(run.math, run.display);
+                    const mathWords = tree ? pdfMathWords(tree, size, 0) : [pdfTextPieces(`$${run.math}$`, 'Courier', size, 0)];
+                    mathWords.forEach((pieces, i) => words.push({ pieces, spaced: i === 0 && spaced }));
+                    spaced = false;
+                } else {
+                    const font = run.bold || run.italic || run.code ? pdfRunFont({ ...run, bold: run.bold || options.bold }) : baseFont;
+                    run.text.split(/( +)/).forEach(part => {
+                        if (part === '') return;
+                        if (/^ +$/.test(part)) {
+                            spaced = true;
+                            return;
+                        }
+                        words.push({ pieces: pdfTextPieces(part, font, size, 0).map(piece => ({ ...piece, strikeThrough: run.strike })), spaced });
+                        spaced = false;
+                    });
+                }
+            });
+            const centred = entry.runs.length === 1 && entry.runs[0].display;
+            return { level: entry.level || 0, words, centred };
+        });
+    });
+
+    // Break paragraphs into lines; continuation lines hang under the text after a list marker
+    const lines = [];
+    paragraphs.forEach(paragraph => {
+        const indent = paragraph.level * levelIndent;
+        let hang = indent;
+        let line = { x: indent, pieces: [], width: 0, centred: paragraph.centred };
+        const newLine = () => {
+            lines.push(line);
+            line = { x: hang, pieces: [], width: 0, centred: paragraph.centred };
+        };
+        paragraph.words.forEach(word => {
+            if (word.lineBreak) {
+                newLine();
+                return;
+            }
+            const gap = word.spaced && line.pieces.length > 0 ? spaceWidth : 0;
+            const widthNeeded = wordWidth(word.pieces);
+            if (line.pieces.length > 0 && line.x + line.width + gap + widthNeeded > width) {
+                newLine();
+            }
+            let offset = line.width + (line.pieces.length > 0 ? gap : 0);
+            word.pieces.forEach(piece => {
+                line.pieces.push({ ...piece, offset });
+                offset += pieceWidth(piece);
+            });
+            line.width = offset;
+            if (word.marker) hang = indent + line.width;
+        });
+        lines.push(line);
+    });
+
+    const height = lines.length === 0 ? 0 : lines.length * lineHeight;
+    const draw = (x, y) => {
+        lines.forEach((line, lineIndex) => {
+            const baseline = y + lineIndex * lineHeight + size * 0.95;
+            const left = x + (line.centred ? Math.max((width - line.width) / 2, 0) : line.x);
+            line.pieces.forEach(piece => {
+                const pieceX = left + piece.offset;
+                const pieceY = baseline - piece.rise;
+                doc.font(piece.font).fontSize(piece.size).text(piece.text, pieceX, pieceY, { lineBreak: false, baseline: 'alphabetic' });
+                const w = pieceWidth(piece);
+                if (piece.strike) {
+                    doc.text(piece.strike, pieceX + (w - doc.widthOfString(piece.strike)) / 2, pieceY, { lineBreak: false, baseline: 'alphabetic' });
+                }
+                if (piece.over) {
+                    const accentFont = pdfCharacterFont(piece.over, 'KaTeX_Main-Regular') || 'Helvetica';
+                    doc.font(accentFont).fontSize(piece.size * 0.8);
+                    doc.text(piece.over, pieceX + (w - doc.widthOfString(piece.over)) / 2, pieceY - piece.size * 0.55, { lineBreak: false, baseline: 'alphabetic' });
+                }
+                if (piece.strikeThrough) {
+                    doc.moveTo(pieceX, pieceY - piece.size * 0.3).lineTo(pieceX + w, pieceY - piece.size * 0.3).lineWidth(0.5).stroke().lineWidth(1);
+                }
+            });
+        });
+        doc.font(baseFont).fontSize(size);
+    };
+    return { height, draw };
+}
+
+// Helper Function to Turn a MathML Node into docx Math Components (Word draws the fractions, roots and scripts itself)
+function docxMathComponents(node) {
+    const { MathRun, MathFraction, MathRadical, MathSuperScript, MathSubScript, MathSubSuperScript, MathLimitUpper, MathLimitLower } = docx;
+    const [first, second, third] = node.children || [];
+    const of = child => (child ? docxMathComponents(child) : []);
+    if (mathLeafNames.includes(node.name)) {
+        const text = mathLeafText(node);
+        return text === '' ? [] : [new MathRun(text)];
+    }
+    switch (node.name) {
+        case 'msup':
+            return [new MathSuperScript({ children: of(first), superScript: of(second) })];
+        case 'msub':
+            return [new MathSubScript({ children: of(first), subScript: of(second) })];
+        case 'msubsup':
+        case 'munderover':
+            return [new MathSubSuperScript({ children: of(first), subScript: of(second), superScript: of(third) })];
+        case 'mover':
+            return [new MathLimitUpper({ children: of(first), limit: of(second) })];
+        case 'munder':
+            return [new MathLimitLower({ children: of(first), limit: of(second) })];
+        case 'mfrac':
+            return [new MathFraction({ numerator: of(first), denominator: of(second) })];
+        case 'msqrt':
+            return [new MathRadical({ children: node.children.flatMap(docxMathComponents) })];
+        case 'mroot':
+            return [new MathRadical({ children: of(first), degree: of(second) })];
+        case 'mtable':
+            return node.children.flatMap((tableRow, rowIndex) => [
+                ...(rowIndex > 0 ? [new MathRun('; ')] : []),
+                ...tableRow.children.flatMap((cell, cellIndex) => [...(cellIndex > 0 ? [new MathRun(', ')] : []), ...docxMathComponents(cell)])
+            ]);
+        case 'mspace':
+            return [new MathRun(' ')];
+        case 'mphantom':
+            return [];
+        default:
+            return (node.children || []).flatMap(docxMathComponents);
+    }
+}
+
+// Function to turn markup into docx paragraphs and tables for a table cell: Markdown emphasis and code become run
+// formatting, list markers and block quotes an indent, and formulas native Word equations
+function docxMarkupChildren(markup) {
+    const { Paragraph, TextRun, Math: MathBlock, Table, TableRow, TableCell, WidthType, AlignmentType } = docx;
+    const runChildren = runs => runs.map(run => {
+        if (run.break) return new TextRun({ text: '', break: 1 });
+        if (run.math !== undefined) {
+            const tree = formulaTree(run.math, run.display);
+            return tree ? new MathBlock({ children: docxMathComponents(tree) }) : new TextRun({ text: `$${run.math}$`, font: 'Courier New' });
+        }
+        return new TextRun({ text: run.text, bold: run.bold || undefined, italics: run.italic || undefined, strike: run.strike || undefined, font: run.code ? 'Courier New' : undefined });
+    });
+    const children = markupBlocks(markup).map(block => {
+        if (block.type === 'table') {
+            return new Table({
+                width: { size: 100, type: WidthType.PERCENTAGE },
+                rows: block.rows.map(cells => new TableRow({
+                    children: cells.map(runs => new TableCell({ children: [new Paragraph({ children: runChildren(runs) })] }))
+                }))
+            });
+        }
+        const centred = block.runs.length === 1 && block.runs[0].display;
+        return new Paragraph({
+            alignment: centred ? AlignmentType.CENTER : undefined,
+            indent: block.level > 0 || block.marker ? { left: 360 * block.level + (block.marker ? 360 : 0), hanging: block.marker ? 360 : 0 } : undefined,
+            children: [...(block.marker ? [new TextRun({ text: block.marker })] : []), ...runChildren(block.runs)]
+        });
+    });
+    // A table cell must end with a paragraph
+    return children.length > 0 && children[children.length - 1] instanceof Paragraph ? children : [...children, new Paragraph({ children: [] })];
+}
+
+// Function to fetch every image a paper refers to; images that cannot be embedded map to null
+async function loadPaperImages(paper) {
+    const images = {};
+    const urls = [...new Set(paper.parts.flatMap(part => part.questions.map(q => q.imageUrl)).filter(Boolean))];
+    await Promise.all(urls.map(async url => {
+        try {
+            // Images imported at upload are read from the store; only older banks still hold remote URLs
+            const localMatch = url.match(/^\/api\/images\/([a-f0-9]{64})$/);
+            let data;
+            if (localMatch) {
+                const stored = findStoredImage(localMatch[1]);
+                if (!stored) throw new Error('image is missing from the local store');
+                data = fs.readFileSync(stored.filePath);
+            } else {
+                ({ data } = await fetchImage(url, { allowedHosts: imageProxyAllowedHosts }));
+            }
+            const info = imageInfo(data);
+            images[url] = info ? { ...info, data } : null;
+            if (!info) logger.warn('Image is not a PNG or JPEG and cannot be embedded', { url, paperId: paper.id });
+        } catch (error) {
+            logger.error('Failed to fetch image for paper', { url, paperId: paper.id, error: error.message });
+            images[url] = null;
+        }
+    }));
+    return images;
+}
+
+// Helper Function to Scale an Image to Fit a Box Without Changing Its Aspect Ratio
+function fitImage(image, maxWidth, maxHeight) {
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+    return { width: Math.round(image.width * scale), height: Math.round(image.height * scale) };
+}
+
+// Helper Function to Read a Paper's Template Logo from the Image Store (null when it has none or it cannot be embedded)
+function loadTemplateLogo(paper) {
+    const logo = paper.template && paper.template.logo;
+    const stored = logo ? findStoredImage(logo.hash) : null;
+    if (!stored) return null;
+    const data = fs.readFileSync(stored.filePath);
+    const info = imageInfo(data);
+    return info ? { ...info, data } : null;
+}
+
+// Helper Function to Pick a Paper's Printed Title: the template's exam title, else the blueprint name
+function paperTitle(paper) {
+    return (paper.template && paper.template.examTitle) || paper.blueprint.name;
+}
+
+function paperHeaderLines(paper) {
+    const d = paper.paperDetails;
+    return [
+        `Subject Code: ${d.subjectCode}    Regulation: ${d.regulation}    Branch: ${d.branch}`,
+        `Year/Sem: ${d.year} / ${d.semester}    Month: ${d.month}`
+    ];
+}
+
+// Function to run a PDFKit drawing callback and collect the finished document as a buffer; a footer is printed
+// in the bottom margin of every page once the whole document is drawn
+function renderPdf(draw, footer = '') {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+        pdfFallbackFonts.forEach(font => doc.registerFont(font.name, font.file));
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        draw(doc);
+        if (footer) {
+            const range = doc.bufferedPageRange();
+            for (let i = range.start; i < range.start + range.count; i++) {
+                doc.switchToPage(i);
+                // Text below the bottom margin would otherwise start a new page
+                const bottom = doc.page.margins.bottom;
+                doc.page.margins.bottom = 0;
+                doc.font('Helvetica').fontSize(8).text(footer, doc.page.margins.left, doc.page.height - bottom + 12, {
+                    width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+                    align: 'center',
+                    lineBreak: false
+                });
+                doc.page.margins.bottom = bottom;
+            }
+        }
+        doc.end();
+    });
+}
+
+// Helper Function to Write the Official Paper Header (subject, exam title, code, regulation, branch, year/sem, month);
+// papers with a template get its institution block, logo, title and session above the subject
+function writePdfPaperHeader(doc, paper, title, logo = null) {
+    const template = paper.template;
+    if (!template) {
+        doc.font('Helvetica-Bold').fontSize(14).text(paper.paperDetails.subject, { align: 'center' });
+        doc.fontSize(12).text(title, { align: 'center' });
+        doc.font('Helvetica').fontSize(10);
+        paperHeaderLines(paper).forEach(line => doc.text(line, { align: 'center' }));
+        doc.moveDown();
+        return;
+    }
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const top = doc.y;
+    // The logo sits at the top left; the institution lines are inset on both sides so they stay centred beside it
+    const logoSize = logo ? fitImage(logo, 60, 60) : null;
+    const inset = logoSize ? logoSize.width + 10 : 0;
+    if (logo) doc.image(logo.data, left, top, logoSize);
+    doc.font('Helvetica-Bold').fontSize(16).text(template.institution.name, left + inset, top, { width: width - 2 * inset, align: 'center' });
+    doc.font('Helvetica').fontSize(9);
+    [template.institution.affiliation, template.institution.address].filter(Boolean)
+        .forEach(line => doc.text(line, left + inset, doc.y, { width: width - 2 * inset, align: 'center' }));
+    doc.x = left;
+    doc.y = Math.max(doc.y, top + (logoSize ? logoSize.height : 0));
+    doc.moveDown(0.5);
+
+    doc.font('Helvetica-Bold').fontSize(12).text(title, { align: 'center' });
+    doc.fontSize(11).text(template.session, { align: 'center' });
+    doc.fontSize(14).text(paper.paperDetails.subject, { align: 'center' });
+    doc.font('Helvetica').fontSize(10);
+    paperHeaderLines(paper).forEach(line => doc.text(line, { align: 'center' }));
+    doc.moveDown();
+}
+
+// Helper Function to Write the Time and Max. Marks Line (time on the left, marks on the right) and the Template's Instructions
+function writePdfPaperPreamble(doc, paper, maxMarks) {
+    const template = paper.template || {};
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const top = doc.y;
+    doc.font('Helvetica').fontSize(10);
+    if (template.duration) doc.text(`Time: ${template.duration}`, left, top, { width, align: 'left' });
+    doc.text(`Max. Marks: ${maxMarks}`, left, top, { width, align: 'right' });
+    if (template.instructions && template.instructions.length > 0) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').text('Instructions:', left, doc.y);
+        doc.font('Helvetica');
+        template.instructions.forEach((instruction, i) => doc.text(`${i + 1}. ${instruction}`, left + 10, doc.y, { width: width - 10 }));
+        doc.x = left;
+    }
+}
+
+function writePdfSectionTitle(doc, title) {
+    const left = doc.page.margins.left;
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text(title, left, doc.y, { width: doc.page.width - left - doc.page.margins.right, align: 'center' });
+    doc.moveDown(0.5);
+}
+
+// Helper Function to Create a Row Writer for a Bordered PDF Table; cells hold text plus an optional image and italic note
+function pdfTableRowWriter(doc, columns) {
+    const left = doc.page.margins.left;
+    const padding = 4;
+    const imageMaxHeight = 160;
+
+    return (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        const layouts = cells.map((cell, i) => (cell.markup !== undefined ? pdfMarkupLayout(doc, cell.markup, columns[i].width - 2 * padding, { bold }) : null));
+        const heights = cells.map((cell, i) => {
+            const textHeight = layouts[i] ? layouts[i].height : doc.heightOfString(cell.text, { width: columns[i].width - 2 * padding });
+            const imageHeight = cell.image ? fitImage(cell.image, columns[i].width - 2 * padding, imageMaxHeight).height + padding : 0;
+            const noteHeight = cell.note ? doc.heightOfString(cell.note, { width: columns[i].width - 2 * padding }) : 0;
+            return textHeight + imageHeight + noteHeight;
+        });
+        const rowHeight = Math.max(...heights) + 2 * padding;
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+        const top = doc.y;
+        let x = left;
+        cells.forEach((cell, i) => {
+            const width = columns[i].width;
+            doc.rect(x, top, width, rowHeight).stroke();
+            let y;
+            if (layouts[i]) {
+                layouts[i].draw(x + padding, top + padding);
+                y = top + padding + layouts[i].height;
+            } else {
+                doc.text(cell.text, x + padding, top + padding, { width: width - 2 * padding });
+                y = doc.y;
+            }
+            if (cell.image) {
+                const size = fitImage(cell.image, width - 2 * padding, imageMaxHeight);
+                doc.image(cell.image.data, x + padding, y + padding, size);
+                y += size.height + padding;
+            }
+            if (cell.note) {
+                doc.font('Helvetica-Oblique').text(cell.note, x + padding, y, { width: width - 2 * padding });
+                doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+            }
+            x += width;
+        });
+        doc.x = left;
+        doc.y = top + rowHeight;
+    };
+}
+
+// Helper Function to List a Part's Questions in Printing Order: parts with internal choices follow label order,
+// each choice group printed in one place with null entries marking the 'OR' between its alternatives
+function paperLayoutRows(paper, part) {
+    const choiceGroups = paperChoiceGroups(paper, part);
+    if (choiceGroups.length === 0) return part.questions;
+    const rows = [];
+    const printed = new Set();
+    const byLabel = label => part.questions.find(q => q.label === label);
+    [...part.questions].sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true })).forEach(q => {
+        if (printed.has(q.label)) return;
+        const group = choiceGroups.find(entry => entry.alternatives.some(alternative => alternative.labels.includes(q.label)));
+        if (!group) {
+            rows.push(q);
+            printed.add(q.label);
+            return;
+        }
+        group.alternatives.forEach((alternative, i) => {
+            if (i > 0) rows.push(null);
+            alternative.labels.map(byLabel).filter(Boolean).forEach(entry => {
+                rows.push(entry);
+                printed.add(entry.label);
+            });
+        });
+    });
+    return rows;
+}
+
+// Helper Function to Title a Paper Part with Its Marks (e.g. 'Part B (30 Marks)')
+function paperPartTitle(part, marks) {
+    return marks.total > 0 ? `Part ${part.name} (${marks.total} Marks)` : `Part ${part.name}`;
+}
+
+// Function to render a stored paper as a PDF buffer
+function renderPaperPdf(paper, images) {
+    return renderPdf(doc => {
+        const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const columns = [
+            { title: 'Q.No', width: 45 },
+            { title: 'Question', width: tableWidth - 45 - 45 - 45 - 45 },
+            { title: 'Unit', width: 45 },
+            { title: 'BTL', width: 45 },
+            { title: 'Marks', width: 45 }
+        ];
+        const drawRow = pdfTableRowWriter(doc, columns);
+        const marks = paperMarks(paper);
+
+        writePdfPaperHeader(doc, paper, paperTitle(paper), loadTemplateLogo(paper));
+        writePdfPaperPreamble(doc, paper, marks.max || marks.total);
+        paper.parts.forEach((part, partIndex) => {
+            writePdfSectionTitle(doc, paperPartTitle(part, marks.parts[partIndex]));
+            drawRow(columns.map(column => ({ text: column.title })), true);
+            paperLayoutRows(paper, part).forEach(q => {
+                if (!q) {
+                    drawRow([{ text: '' }, { text: 'OR' }, { text: '' }, { text: '' }, { text: '' }], true);
+                    return;
+                }
+                const image = q.imageUrl ? images[q.imageUrl] : null;
+                drawRow([
+                    { text: q.label },
+                    { markup: q.question, image, note: q.imageUrl && !image ? '[Image unavailable]' : '' },
+                    { text: String(q.unit) },
+                    { text: `L${q.btLevel}` },
+                    { text: q.marks ? String(q.marks) : '' }
+                ], false);
+            });
+        });
+    }, paper.template && paper.template.footer);
+}
+
+// Function to render a stored paper as a DOCX buffer
+function renderPaperDocx(paper, images) {
+    const { Document, Packer, Paragraph, TextRun, ImageRun, Table, TableRow, TableCell, WidthType, AlignmentType, Footer, Tab, TabStopType, TabStopPosition } = docx;
+    const columnWidths = [10, 61, 10, 9, 10];
+    const pixelsPerInch = 96;
+    const imageMaxWidth = 4.5 * pixelsPerInch;
+    const imageMaxHeight = 2.5 * pixelsPerInch;
+
+    const cell = (children, widthIndex) => new TableCell({
+        width: { size: columnWidths[widthIndex], type: WidthType.PERCENTAGE },
+        children
+    });
+    const textParagraph = (text, options = {}) => new Paragraph({ children: [new TextRun({ text, ...options })] });
+
+    const questionCellChildren = q => {
+        const children = docxMarkupChildren(q.question);
+        if (q.imageUrl) {
+            const image = images[q.imageUrl];
+            children.push(image
+                ? new Paragraph({ children: [new ImageRun({ type: image.type, data: image.data, transformation: fitImage(image, imageMaxWidth, imageMaxHeight) })] })
+                : textParagraph('[Image unavailable]', { italics: true }));
+        }
+        return children;
+    };
+
+    const partTable = part => new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: [
+            new TableRow({
+                tableHeader: true,
+                children: ['Q.No', 'Question', 'Unit', 'BTL', 'Marks'].map((title, i) => cell([textParagraph(title, { bold: true })], i))
+            }),
+            ...paperLayoutRows(paper, part).map(q => new TableRow({
+                cantSplit: true,
+                children: q ? [
+                    cell([textParagraph(q.label)], 0),
+                    cell(questionCellChildren(q), 1),
+                    cell([textParagraph(String(q.unit))], 2),
+                    cell([textParagraph(`L${q.btLevel}`)], 3),
+                    cell([textParagraph(q.marks ? String(q.marks) : '')], 4)
+                ] : columnWidths.map((width, i) => cell([textParagraph(i === 1 ? 'OR' : '', { bold: true })], i))
+            }))
+        ]
+    });
+    const marks = paperMarks(paper);
+
+    const centered = (text, options) => new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text, ...options })] });
+    const template = paper.template;
+    const header = [];
+    if (template) {
+        const logo = loadTemplateLogo(paper);
+        if (logo) {
+            header.push(new Paragraph({ alignment: AlignmentType.CENTER, children: [new ImageRun({ type: logo.type, data: logo.data, transformation: fitImage(logo, 80, 80) })] }));
+        }
+        header.push(
+            centered(template.institution.name, { bold: true, size: 32 }),
+            ...[template.institution.affiliation, template.institution.address].filter(Boolean).map(line => centered(line, { size: 18 })),
+            centered(paperTitle(paper), { bold: true, size: 24 }),
+            centered(template.session, { bold: true, size: 22 }),
+            centered(paper.paperDetails.subject, { bold: true, size: 28 })
+        );
+    } else {
+        header.push(
+            centered(paper.paperDetails.subject, { bold: true, size: 28 }),
+            centered(paper.blueprint.name, { bold: true, size: 24 })
+        );
+    }
+    header.push(...paperHeaderLines(paper).map(line => centered(line, { size: 20 })));
+    // Time sits on the left and Max. Marks against a right tab stop on the same line
+    header.push(template && template.duration
+        ? new Paragraph({
+            tabStops: [{ type: TabStopType.RIGHT, position: TabStopPosition.MAX }],
+            children: [new TextRun({ text: `Time: ${template.duration}`, size: 20 }), new TextRun({ children: [new Tab(), `Max. Marks: ${marks.max || marks.total}`], size: 20 })]
+        })
+        : new Paragraph({ alignment: AlignmentType.RIGHT, children: [new TextRun({ text: `Max. Marks: ${marks.max || marks.total}`, size: 20 })] }));
+    if (template && template.instructions && template.instructions.length > 0) {
+        header.push(
+            textParagraph('Instructions:', { bold: true, size: 20 }),
+            ...template.instructions.map((instruction, i) => new Paragraph({ indent: { left: 240 }, children: [new TextRun({ text: `${i + 1}. ${instruction}`, size: 20 })] }))
+        );
+    }
+
+    const document = new Document({
+        sections: [{
+            footers: template && template.footer ? { default: new Footer({ children: [centered(template.footer, { size: 16 })] }) } : undefined,
+            children: [
+                ...header,
+                ...paper.parts.flatMap((part, partIndex) => [
+                    new Paragraph({ alignment: AlignmentType.CENTER, spacing: { before: 240, after: 120 }, children: [new TextRun({ text: paperPartTitle(part, marks.parts[partIndex]), bold: true, size: 24 })] }),
+                    partTable(part)
+                ])
+            ]
+        }]
+    });
+    return Packer.toBuffer(document);
+}
+
+// Helper Function to Build the Download File Name for a Paper
+function paperFileName(paper, extension) {
+    const base = `${paper.paperDetails.subjectCode}-${paper.blueprint.id}-${paper.id.slice(0, 8)}`;
+    return `${base.replace(/[^A-Za-z0-9_-]+/g, '_')}.${extension}`;
+}
+
+// Helper Function to Sort Outcome Codes Numerically (CO2 before CO10), Keeping Unmapped Questions Last
+function compareOutcomes(a, b) {
+    if (a === 'Unmapped' || b === 'Unmapped') return (a === 'Unmapped') - (b === 'Unmapped');
+    return a.localeCompare(b, undefined, { numeric: true });
+}
+
+// Function to build a paper's coverage matrix: marks per CO broken down by unit and BTL, totals per unit,
+// BTL, PO and PSO, and how the paper measures up to the blueprint's CO minimums
+function paperCoverage(paper) {
+    const emptyUnits = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+    const emptyBTLevels = () => ({ '1': 0, '2': 0, '3': 0, '4': 0, '5': 0, '6': 0 });
+    const questions = paper.parts.flatMap(part => part.questions);
+    const outcomes = {};
+    const units = emptyUnits();
+    const btLevels = emptyBTLevels();
+    const pos = {};
+    const psos = {};
+
+    questions.forEach(q => {
+        const marks = q.marks || 0;
+        const co = q.co || 'Unmapped';
+        if (!outcomes[co]) outcomes[co] = { co, marks: 0, questions: 0, units: emptyUnits(), btLevels: emptyBTLevels() };
+        outcomes[co].marks += marks;
+        outcomes[co].questions++;
+        outcomes[co].units[q.unit] = (outcomes[co].units[q.unit] || 0) + marks;
+        outcomes[co].btLevels[q.btLevel] = (outcomes[co].btLevels[q.btLevel] || 0) + marks;
+        units[q.unit] = (units[q.unit] || 0) + marks;
+        btLevels[q.btLevel] = (btLevels[q.btLevel] || 0) + marks;
+        (q.pos || []).forEach(po => { pos[po] = (pos[po] || 0) + marks; });
+        (q.psos || []).forEach(pso => { psos[pso] = (psos[pso] || 0) + marks; });
+    });
+
+    const coverage = (paper.blueprintDefinition && paper.blueprintDefinition.coCoverage) || [];
+    return {
+        totalMarks: questions.reduce((total, q) => total + (q.marks || 0), 0),
+        outcomes: Object.values(outcomes).sort((a, b) => compareOutcomes(a.co, b.co)),
+        units,
+        btLevels,
+        pos,
+        psos,
+        requirements: coverage.map(req => {
+            const covered = outcomes[req.co] || { marks: 0, questions: 0 };
+            return { ...req, marks: covered.marks, questions: covered.questions, met: coverageShortfalls([req], questions).length === 0 };
+        })
+    };
+}
+
+// Function to render a paper's coverage matrix as an Excel workbook buffer (a Coverage sheet plus a per-question sheet)
+function renderCoverageWorkbook(paper, coverage) {
+    const unitColumns = [1, 2, 3, 4, 5];
+    const btlColumns = ['1', '2', '3', '4', '5', '6'];
+    const header = ['CO', ...unitColumns.map(unit => `Unit ${unit}`), ...btlColumns.map(level => `L${level}`), 'Marks', 'Questions'];
+    const rows = coverage.outcomes.map(outcome => [
+        outcome.co,
+        ...unitColumns.map(unit => outcome.units[unit] || 0),
+        ...btlColumns.map(level => outcome.btLevels[level] || 0),
+        outcome.marks,
+        outcome.questions
+    ]);
+    const totals = [
+        'Total',
+        ...unitColumns.map(unit => coverage.units[unit] || 0),
+        ...btlColumns.map(level => coverage.btLevels[level] || 0),
+        coverage.totalMarks,
+        coverage.outcomes.reduce((total, outcome) => total + outcome.questions, 0)
+    ];
+    const details = paper.paperDetails;
+    const coverageSheet = [
+        [`${details.subject} (${details.subjectCode})`, paper.blueprint.name, `Paper ${paper.id}`],
+        [],
+        header,
+        ...rows,
+        totals
+    ];
+    if (coverage.requirements.length > 0) {
+        coverageSheet.push([], ['CO', 'Minimum Marks', 'Minimum Questions', 'Marks', 'Questions', 'Met']);
+        coverage.requirements.forEach(req => coverageSheet.push([
+            req.co, req.minMarks === undefined ? '' : req.minMarks, req.minQuestions === undefined ? '' : req.minQuestions,
+            req.marks, req.questions, req.met ? 'Yes' : 'No'
+        ]));
+    }
+
+    const questionSheet = [['Part', 'Label', 'Unit', 'B.T Level', 'CO', 'PO', 'PSO', 'Marks']];
+    paper.parts.forEach(part => part.questions.forEach(q => questionSheet.push([
+        part.name, q.label, q.unit, `L${q.btLevel}`, q.co || '', (q.pos || []).join(', '), (q.psos || []).join(', '), q.marks
+    ])));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(coverageSheet), 'Coverage');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(questionSheet), 'Questions');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Helper Function to Round Down to the Nearest Half Mark
+function roundHalf(value) {
+    return Math.floor(value * 2) / 2;
+}
+
+// Function to build the answer key and marking scheme for a stored paper, labelled as in the paper
+function buildAnswerKey(paper) {
+    return {
+        paperId: paper.id,
+        blueprint: paper.blueprint,
+        paperDetails: paper.paperDetails,
+        parts: paper.parts.map(part => ({
+            name: part.name,
+            questions: part.questions.map(q => {
+                // Points without explicit marks share whatever the explicit ones leave of the question's marks
+                const keyPoints = q.keyPoints || [];
+                const assigned = keyPoints.reduce((total, point) => total + (point.marks || 0), 0);
+                const unassigned = keyPoints.filter(point => point.marks === null);
+                const share = unassigned.length > 0 && q.marks > assigned ? roundHalf((q.marks - assigned) / unassigned.length) : 0;
+                const entry = {
+                    label: q.label,
+                    unit: q.unit,
+                    btLevel: q.btLevel,
+                    marks: q.marks,
+                    question: q.question,
+                    questionHtml: renderMarkup(q.question),
+                    answer: q.answer || '',
+                    answerHtml: renderMarkup(q.answer),
+                    scheme: keyPoints.map(point => ({ point: point.text, marks: point.marks === null ? share : point.marks }))
+                };
+                if (q.parameterValues) entry.parameterValues = q.parameterValues;
+                if (q.answerFormula) {
+                    entry.answerFormula = q.answerFormula;
+                    entry.answerValue = q.answerValue;
+                }
+                return entry;
+            })
+        }))
+    };
+}
+
+// Function to render an answer key as a PDF buffer
+function renderAnswerKeyPdf(paper, answerKey) {
+    return renderPdf(doc => {
+        const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const columns = [
+            { title: 'Q.No', width: 45 },
+            { title: 'Answer and Marking Scheme', width: tableWidth - 45 - 55 },
+            { title: 'Marks', width: 55 }
+        ];
+        const drawRow = pdfTableRowWriter(doc, columns);
+
+        writePdfPaperHeader(doc, paper, `${paperTitle(paper)} - Answer Key and Marking Scheme`, loadTemplateLogo(paper));
+        answerKey.parts.forEach(part => {
+            writePdfSectionTitle(doc, `Part ${part.name}`);
+            drawRow(columns.map(column => ({ text: column.title })), true);
+            part.questions.forEach(q => {
+                // The computed value, the answer and the scheme print as one piece of markup, the scheme as a list
+                const sections = [
+                    ...(q.answerFormula ? [q.answerValue === null ? `Answer: [${q.answerFormula} gives no number for these values]` : `Answer: ${q.answerValue}`] : []),
+                    ...(markupSource(q.answer).trim() !== '' ? [markupSource(q.answer)] : []),
+                    ...(q.scheme.length > 0 ? [q.scheme.map(item => `- ${item.point} (${item.marks})`).join('\n')] : [])
+                ];
+                drawRow([
+                    { text: q.label },
+                    { markup: sections.join('\n\n'), note: sections.length === 0 ? '[No answer recorded]' : '' },
+                    { text: String(q.marks) }
+                ], false);
+            });
+        });
+    }, paper.template && paper.template.footer);
+}
+
+module.exports = {
+    paperMarks,
+    publicPaperParts,
+    formulaTree,
+    pdfMathWords,
+    pdfMarkupLayout,
+    loadPaperImages,
+    renderPdf,
+    renderPaperPdf,
+    renderPaperDocx,
+    paperFileName,
+    paperCoverage,
+    renderCoverageWorkbook,
+    buildAnswerKey,
+    renderAnswerKeyPdf
+};
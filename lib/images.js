@@ -0,0 +1,386 @@
+// Images: guarded remote fetches, the local image store with thumbnails, and the image proxy's cache
+
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const sharp = require('sharp');
+const { dataDir } = require('./data');
+
+// Function to convert Google Drive sharing URL to direct image URL
+function getDirectImageURL(url) {
+    const driveRegex = /https:\/\/drive\.google\.com\/file\/d\/([^/]+)\/view/;
+    const match = url.match(driveRegex);
+    return match ? `https://drive.google.com/uc?export=view&id=${match[1]}` : url;
+}
+
+// Remote images are fetched with guards against the server being used to reach the campus network: only http(s),
+// no private, loopback or link-local addresses (checked on every connection, redirects included), a byte limit,
+// a timeout and a type taken from the bytes rather than the Content-Type header.
+// IMAGE_FETCH_ALLOW_PRIVATE=true lifts the address check for local test setups only
+const imageFetchMaxBytes = Number(process.env.IMAGE_FETCH_MAX_BYTES) || 5 * 1024 * 1024;
+const imageFetchTimeoutMs = Number(process.env.IMAGE_FETCH_TIMEOUT_MS) || 10000;
+const imageFetchAllowPrivate = process.env.IMAGE_FETCH_ALLOW_PRIVATE === 'true';
+// Every remote fetch (proxy, bank import, export) only reaches hosts on IMAGE_PROXY_ALLOWED_HOSTS (comma-separated,
+// '*.example.com' for subdomains; Google Drive by default)
+const imageProxyAllowedHosts = (process.env.IMAGE_PROXY_ALLOWED_HOSTS || 'drive.google.com,drive.usercontent.google.com,*.googleusercontent.com')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Helper Function to Create an Image Fetch Error; reason is the code clients and /metrics see, status the HTTP status
+function imageFetchError(reason, status, message) {
+    const error = new Error(message);
+    error.reason = reason;
+    error.status = status;
+    return error;
+}
+
+// Helper Function to Check Whether an IP Address Is Private, Loopback, Link-Local, Multicast or Otherwise Not Public
+function isPrivateAddress(address) {
+    if (net.isIPv6(address)) {
+        const lower = address.toLowerCase();
+        // IPv4-mapped addresses (::ffff:10.0.0.1 or ::ffff:a00:1) are judged by their IPv4 part
+        const dotted = lower.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+        if (dotted) return isPrivateAddress(dotted[1]);
+        const hex = lower.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+        if (hex) {
+            const high = parseInt(hex[1], 16);
+            const low = parseInt(hex[2], 16);
+            return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+        }
+        return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) ||
+            lower.startsWith('ff') || lower.startsWith('64:ff9b:') || lower.startsWith('2001:db8:');
+    }
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+        (a === 100 && b >= 64 && b <= 127) ||
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 198 && (b === 18 || b === 19));
+}
+
+// Helper Function to Check a URL Before It Is Requested (or Redirected To); returns an image fetch error or null
+function checkImageUrl(url, allowedHosts) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return imageFetchError('invalid_url', 400, `'${url}' is not a valid URL`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return imageFetchError('invalid_url', 400, `Only http and https image URLs are allowed, not '${parsed.protocol}'`);
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (allowedHosts && !isAllowedImageHost(hostname, allowedHosts)) {
+        return imageFetchError('host_not_allowed', 403, `Host '${hostname}' is not on the image host allow-list`);
+    }
+    // Literal addresses are never looked up, so they are checked here rather than at connection time
+    if (net.isIP(hostname) && isPrivateAddress(hostname) && !imageFetchAllowPrivate) {
+        return imageFetchError('private_address', 403, `Address ${hostname} is private or local`);
+    }
+    return null;
+}
+
+// Helper Function to Match a Host Against an Allow-List ('*.example.com' covers every subdomain of example.com)
+function isAllowedImageHost(hostname, allowedHosts) {
+    return allowedHosts.some(entry => (entry.startsWith('*.') ? hostname.endsWith(entry.slice(1)) : hostname === entry));
+}
+
+// Helper Function to Work Out an Image's Type from Its First Bytes (null when it is not a supported raster image)
+function sniffImageType(buffer) {
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))) return 'image/gif';
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.length >= 2 && buffer.toString('latin1', 0, 2) === 'BM') return 'image/bmp';
+    return null;
+}
+
+// Function to fetch an image (rewriting Drive links) and return its bytes and sniffed content type. Options:
+// allowedHosts limits the hosts (redirects included) and headers adds request headers; a 304 answer to a
+// conditional request resolves to { notModified: true }. Failures are image fetch errors
+async function fetchImage(url, options = {}) {
+    const directUrl = getDirectImageURL(url);
+    const problem = checkImageUrl(directUrl, options.allowedHosts);
+    if (problem) throw problem;
+
+    // The first guard failure is kept, since axios wraps errors raised inside lookups and redirects
+    let rejection = null;
+    const lookup = (hostname, lookupOptions, callback) => {
+        dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+            const blocked = imageFetchAllowPrivate ? null : addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) {
+                rejection = imageFetchError('private_address', 403, `Host '${hostname}' resolves to private or local address ${blocked.address}`);
+                return callback(rejection);
+            }
+            if (lookupOptions.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    };
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), imageFetchTimeoutMs);
+
+    try {
+        const response = await axios.get(directUrl, {
+            responseType: 'stream',
+            signal: controller.signal,
+            maxRedirects: 5,
+            httpAgent: new http.Agent({ lookup }),
+            httpsAgent: new https.Agent({ lookup }),
+            validateStatus: status => (status >= 200 && status < 300) || status === 304,
+            beforeRedirect: redirect => {
+                const redirectProblem = checkImageUrl(redirect.href, options.allowedHosts);
+                if (redirectProblem) {
+                    rejection = redirectProblem;
+                    throw redirectProblem;
+                }
+            },
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+                'Referer': 'https://drive.google.com',
+                ...(options.headers || {})
+            }
+        });
+        if (response.status === 304) {
+            response.data.destroy();
+            return { notModified: true };
+        }
+        if (Number(response.headers['content-length']) > imageFetchMaxBytes) {
+            response.data.destroy();
+            throw imageFetchError('too_large', 413, `Image is larger than the ${imageFetchMaxBytes}-byte limit`);
+        }
+
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of response.data) {
+            size += chunk.length;
+            if (size > imageFetchMaxBytes) {
+                response.data.destroy();
+                throw imageFetchError('too_large', 413, `Image is larger than the ${imageFetchMaxBytes}-byte limit`);
+            }
+            chunks.push(chunk);
+        }
+        const data = Buffer.concat(chunks);
+        const contentType = sniffImageType(data);
+        if (!contentType) {
+            throw imageFetchError('not_an_image', 415, 'URL does not point to a PNG, JPEG, GIF, WebP or BMP image');
+        }
+        return { data, contentType, etag: response.headers.etag, lastModified: response.headers['last-modified'] };
+    } catch (error) {
+        if (error.reason) throw error;
+        if (rejection) throw rejection;
+        if (controller.signal.aborted) {
+            throw imageFetchError('timeout', 504, `Image took longer than ${imageFetchTimeoutMs} ms to fetch`);
+        }
+        if (error.response) {
+            throw imageFetchError('upstream_status', 502, `Image host answered with HTTP ${error.response.status}`);
+        }
+        throw imageFetchError('fetch_failed', 502, `Image could not be fetched: ${error.message}`);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Question images are imported at upload time into a content-addressed store under data/images
+// (<sha256>.<ext>, with a PNG thumbnail in data/images/thumbs), so papers never depend on Drive being reachable
+const imagesDir = 'images';
+const thumbnailSize = 240;
+
+function imageFilePath(hash, extension) {
+    return path.join(dataDir, imagesDir, `${hash}.${extension}`);
+}
+
+function thumbnailFilePath(hash) {
+    return path.join(dataDir, imagesDir, 'thumbs', `${hash}.png`);
+}
+
+function localImageUrl(hash) {
+    return `/api/images/${hash}`;
+}
+
+// Helper Function to Find the Stored File for an Image Hash (null when it is not in the store)
+function findStoredImage(hash) {
+    if (typeof hash !== 'string' || !/^[a-f0-9]{64}$/.test(hash)) return null;
+    for (const [extension, contentType] of [['png', 'image/png'], ['jpg', 'image/jpeg']]) {
+        const filePath = imageFilePath(hash, extension);
+        if (fs.existsSync(filePath)) return { filePath, contentType };
+    }
+    return null;
+}
+
+// Function to add an image to the store; PNG and JPEG are kept as-is, other formats are converted to PNG
+async function storeImage(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new Error('File is not a readable image');
+    }
+    const keepOriginal = metadata.format === 'png' || metadata.format === 'jpeg';
+    const data = keepOriginal ? buffer : await sharp(buffer).png().toBuffer();
+    const extension = metadata.format === 'jpeg' ? 'jpg' : 'png';
+    const hash = crypto.createHash('sha256').update(data).digest('hex');
+
+    const filePath = imageFilePath(hash, extension);
+    if (!fs.existsSync(filePath)) {
+        fs.mkdirSync(path.dirname(thumbnailFilePath(hash)), { recursive: true });
+        fs.writeFileSync(filePath, data);
+        await sharp(data)
+            .resize(thumbnailSize, thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+            .png()
+            .toFile(thumbnailFilePath(hash));
+    }
+    return {
+        hash,
+        contentType: extension === 'jpg' ? 'image/jpeg' : 'image/png',
+        width: metadata.width,
+        height: metadata.height
+    };
+}
+
+// Function to import a question's image from an uploaded ZIP or its URL; on failure the question is flagged imageMissing
+async function importQuestionImage(question, source, zipImages, fetched) {
+    question.imageSource = source;
+    delete question.image;
+    delete question.imageMissing;
+    try {
+        const zipName = path.basename(source.split('?')[0]).toLowerCase();
+        const localMatch = source.match(/^\/api\/images\/([a-f0-9]{64})$/);
+        let data;
+        if (localMatch && findStoredImage(localMatch[1])) {
+            // Exported banks may refer to images already in the store
+            data = fs.readFileSync(findStoredImage(localMatch[1]).filePath);
+        } else if (zipImages[zipName]) {
+            data = zipImages[zipName];
+        } else if (/^https?:\/\//i.test(source)) {
+            const directUrl = getDirectImageURL(source);
+            if (!fetched[directUrl]) fetched[directUrl] = fetchImage(directUrl, { allowedHosts: imageProxyAllowedHosts });
+            data = (await fetched[directUrl]).data;
+        } else {
+            throw new Error(`'${source}' is not a URL and no file of that name was uploaded`);
+        }
+        question.image = await storeImage(data);
+        question.imageUrl = localImageUrl(question.image.hash);
+        return null;
+    } catch (error) {
+        question.imageUrl = getDirectImageURL(source);
+        question.imageMissing = true;
+        return error.message;
+    }
+}
+
+// Helper Function to List the Questions of a Paper Whose Image Is Missing from the Store
+function missingPaperImages(paper) {
+    return paper.parts.flatMap(part => part.questions
+        .filter(q => q.imageMissing || (q.image && !findStoredImage(q.image.hash)))
+        .map(q => ({ label: q.label, questionId: q.id, imageSource: q.imageSource || q.imageUrl })));
+}
+
+// The image proxy keeps what it fetched in data/image-cache for IMAGE_PROXY_CACHE_TTL_SECONDS, after which the
+// entry is revalidated with the host
+const imageProxyCacheTtlSeconds = Number(process.env.IMAGE_PROXY_CACHE_TTL_SECONDS) || 24 * 60 * 60;
+const imageCacheDir = 'image-cache';
+
+// Helper Function to Find the Cache Files for a URL; entries are <sha256 of the URL>.json (metadata) and .bin (bytes)
+function imageCachePaths(url) {
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    return { metaPath: path.join(dataDir, imageCacheDir, `${key}.json`), dataPath: path.join(dataDir, imageCacheDir, `${key}.bin`) };
+}
+
+function readImageCache(url) {
+    const { metaPath, dataPath } = imageCachePaths(url);
+    if (!fs.existsSync(metaPath) || !fs.existsSync(dataPath)) return null;
+    return { ...JSON.parse(fs.readFileSync(metaPath, 'utf8')), data: fs.readFileSync(dataPath) };
+}
+
+function writeImageCache(url, entry) {
+    const { metaPath, dataPath } = imageCachePaths(url);
+    fs.mkdirSync(path.dirname(metaPath), { recursive: true });
+    const { data, ...meta } = entry;
+    fs.writeFileSync(dataPath, data);
+    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2));
+}
+
+// Function to get a proxied image from the cache, revalidating or refetching it once it has expired. Returns the
+// cache entry and how it was served (hit, revalidated, miss, or stale when the host failed but a copy exists)
+async function proxiedImage(url, log) {
+    // The allow-list may have shrunk since an entry was cached, so it is checked before the cache is consulted
+    const problem = checkImageUrl(getDirectImageURL(url), imageProxyAllowedHosts);
+    if (problem) throw problem;
+    const cached = readImageCache(url);
+    if (cached && Date.now() - Date.parse(cached.fetchedAt) < imageProxyCacheTtlSeconds * 1000) {
+        return { entry: cached, cache: 'hit' };
+    }
+
+    const headers = {};
+    if (cached && cached.upstreamEtag) headers['If-None-Match'] = cached.upstreamEtag;
+    if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+    let fetched;
+    try {
+        fetched = await fetchImage(url, { allowedHosts: imageProxyAllowedHosts, headers });
+    } catch (error) {
+        // Guard failures are never papered over with a cached copy; a host that is merely down is
+        if (!cached || !['timeout', 'upstream_status', 'fetch_failed'].includes(error.reason)) throw error;
+        log.warn('Serving stale cached image', { url, reason: error.reason });
+        return { entry: cached, cache: 'stale' };
+    }
+    if (fetched.notModified) {
+        const entry = { ...cached, fetchedAt: new Date().toISOString() };
+        writeImageCache(url, entry);
+        return { entry, cache: 'revalidated' };
+    }
+    const entry = {
+        url,
+        contentType: fetched.contentType,
+        etag: `"${crypto.createHash('sha256').update(fetched.data).digest('hex')}"`,
+        upstreamEtag: fetched.etag,
+        lastModified: fetched.lastModified,
+        fetchedAt: new Date().toISOString(),
+        data: fetched.data
+    };
+    writeImageCache(url, entry);
+    return { entry, cache: 'miss' };
+}
+
+// Helper Function to Read the Type and Pixel Size of a PNG or JPEG Image
+function imageInfo(buffer) {
+    if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+        return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return null;
+            const marker = buffer[offset + 1];
+            const length = buffer.readUInt16BE(offset + 2);
+            // SOF0-SOF15 carry the frame size; C4, C8 and CC are other segment types
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { type: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + length;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    getDirectImageURL,
+    imageProxyAllowedHosts,
+    isPrivateAddress,
+    checkImageUrl,
+    fetchImage,
+    thumbnailFilePath,
+    localImageUrl,
+    findStoredImage,
+    storeImage,
+    importQuestionImage,
+    missingPaperImages,
+    imageProxyCacheTtlSeconds,
+    proxiedImage,
+    imageInfo
+};
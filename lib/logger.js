@@ -0,0 +1,49 @@
+// Structured logging: every line is one JSON object (errors and warnings on stderr, the rest on stdout). LOG_LEVEL
+// (error, warn, info or debug; info by default) sets the most detailed level written
+const logLevels = { error: 0, warn: 1, info: 2, debug: 3 };
+const logLevel = Object.prototype.hasOwnProperty.call(logLevels, process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Fields that can carry exam content or credentials; their values are never written to the logs
+const redactedLogFields = new Set(['question', 'questions', 'answer', 'answers', 'keypoints', 'text', 'rows', 'password', 'passwordhash', 'salt', 'token', 'authorization']);
+
+// Helper Function to Copy Log Fields with Exam Content and Secrets Replaced; Errors are reduced to their message and stack
+function redactLogFields(value, depth = 0) {
+    if (value instanceof Error) {
+        return { message: value.message, stack: value.stack };
+    }
+    if (depth > 5) return '[truncated]';
+    if (Array.isArray(value)) {
+        return value.map(item => redactLogFields(item, depth + 1));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, field]) =>
+            [key, redactedLogFields.has(key.toLowerCase()) ? '[redacted]' : redactLogFields(field, depth + 1)]));
+    }
+    return value;
+}
+
+function writeLog(level, message, fields = {}) {
+    if (logLevels[level] > logLevels[logLevel]) return;
+    const line = JSON.stringify({ time: new Date().toISOString(), level, message, ...redactLogFields(fields) });
+    (logLevels[level] <= logLevels.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+// Function to create a logger whose lines all carry the given fields (e.g. the request id)
+function createLogger(context = {}) {
+    const logger = {};
+    Object.keys(logLevels).forEach(level => {
+        logger[level] = (message, fields = {}) => writeLog(level, message, { ...context, ...fields });
+    });
+    return logger;
+}
+
+const logger = createLogger();
+if (process.env.LOG_LEVEL && process.env.LOG_LEVEL !== logLevel) {
+    logger.warn(`Unknown LOG_LEVEL '${process.env.LOG_LEVEL}'; using '${logLevel}'`, { levels: Object.keys(logLevels) });
+}
+
+module.exports = {
+    logLevel,
+    createLogger,
+    logger
+};
@@ -0,0 +1,116 @@
+// Markdown and TeX markup in question text, rendered to sanitized HTML
+
+const MarkdownIt = require('markdown-it');
+const katex = require('katex');
+const sanitizeHtml = require('sanitize-html');
+
+// Question and answer text is Markdown with LaTeX math: '$...$' inline and '$$...$$' displayed. It is stored as written
+// and only ever shown through renderMarkup, which escapes raw HTML and passes the result through a sanitizer
+const markdown = new MarkdownIt('default', { html: false, breaks: true, linkify: false, typographer: false })
+    .disable('image');
+markdown.inline.ruler.after('escape', 'math', mathInlineRule);
+markdown.renderer.rules.math = (tokens, index) => renderMath(tokens[index].content, tokens[index].markup === '$$');
+
+// Helper Function to Read Stored Text as Markup (cells from before Markdown carry <br> or "<br>" for their line breaks)
+function markupSource(text) {
+    return String(text || '').replace(/"<br>"/g, '\n').replace(/<br\s*\/?>/gi, '\n').replace(/\r\n?/g, '\n');
+}
+
+// Function to read '$...$' or '$$...$$' as a math token. A single '$' must hug its formula and not be followed by a digit,
+// so prices such as '$5 and $10' stay text; '\$' is a literal dollar sign
+function mathInlineRule(state, silent) {
+    if (state.src.charCodeAt(state.pos) !== 0x24) return false;
+    const marker = state.src.startsWith('$$', state.pos) ? '$$' : '$';
+    const start = state.pos + marker.length;
+    let end = state.src.indexOf(marker, start);
+    while (end !== -1 && state.src[end - 1] === '\\') {
+        end = state.src.indexOf(marker, end + 1);
+    }
+    if (end === -1 || end + marker.length > state.posMax || end === start) return false;
+    const content = state.src.slice(start, end);
+    if (marker === '$' && (/^\s|\s$/.test(content) || /\d/.test(state.src[end + 1] || ''))) return false;
+    if (!silent) {
+        const token = state.push('math', 'math', 0);
+        token.content = content;
+        token.markup = marker;
+    }
+    state.pos = end + marker.length;
+    return true;
+}
+
+// Helper Function to Render a LaTeX Formula as MathML (a formula KaTeX cannot read is shown as its source, marked as an error)
+function renderMath(tex, display) {
+    return katex.renderToString(tex, { displayMode: display, output: 'mathml', throwOnError: false, strict: 'ignore', trust: false });
+}
+
+// Tags and attributes rendered markup may keep: what Markdown produces, plus the MathML elements KaTeX writes
+const mathmlTags = ['math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'ms', 'mtext', 'mspace', 'msup', 'msub', 'msubsup',
+    'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mstyle', 'mpadded', 'mphantom', 'menclose', 'mtable', 'mtr', 'mtd'];
+const markupSanitizeOptions = {
+    allowedTags: ['p', 'br', 'strong', 'em', 's', 'code', 'pre', 'blockquote', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+        'hr', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'span', ...mathmlTags],
+    allowedAttributes: {
+        a: ['href'],
+        ol: ['start'],
+        th: ['style'],
+        td: ['style'],
+        span: ['class', 'title'],
+        math: ['xmlns', 'display'],
+        mi: ['mathvariant'],
+        mn: ['mathvariant'],
+        mtext: ['mathvariant'],
+        mo: ['mathvariant', 'fence', 'stretchy', 'separator', 'lspace', 'rspace', 'minsize', 'maxsize', 'movablelimits'],
+        mover: ['accent'],
+        munder: ['accentunder'],
+        munderover: ['accent', 'accentunder'],
+        mfrac: ['linethickness'],
+        mspace: ['width'],
+        mstyle: ['scriptlevel', 'displaystyle'],
+        mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'],
+        menclose: ['notation'],
+        mtable: ['rowspacing', 'columnalign', 'columnspacing', 'columnlines'],
+        mtd: ['columnalign'],
+        annotation: ['encoding']
+    },
+    allowedClasses: { span: ['katex', 'katex-display', 'katex-error'] },
+    allowedStyles: {
+        th: { 'text-align': [/^(left|right|center)$/] },
+        td: { 'text-align': [/^(left|right|center)$/] }
+    },
+    allowedSchemes: ['http', 'https', 'mailto']
+};
+
+// Function to render question or answer markup as safe HTML with MathML formulas
+function renderMarkup(text) {
+    const source = markupSource(text);
+    return source.trim() === '' ? '' : sanitizeHtml(markdown.render(source), markupSanitizeOptions);
+}
+
+// Helper Function to Check Markup, Returning a List of Problems (each formula KaTeX cannot read)
+function markupProblems(text) {
+    const problems = [];
+    const visit = tokens => tokens.forEach(token => {
+        if (token.children) visit(token.children);
+        if (token.type !== 'math') return;
+        try {
+            katex.renderToString(token.content, { displayMode: token.markup === '$$', output: 'mathml', throwOnError: true, strict: 'ignore' });
+        } catch (error) {
+            problems.push(`Formula '${token.content}' cannot be read: ${String(error.message).replace(/^KaTeX parse error: /, '').replace(/\u0332/g, '')}`);
+        }
+    });
+    visit(markdown.parse(markupSource(text), {}));
+    return problems;
+}
+
+// Helper Function to Add Rendered HTML Beside a Bank Question's Question and Answer Markup
+function renderedQuestion(q) {
+    return { ...q, questionHtml: renderMarkup(q.question), answerHtml: renderMarkup(q.answer) };
+}
+
+module.exports = {
+    markdown,
+    markupSource,
+    renderMarkup,
+    markupProblems,
+    renderedQuestion
+};
@@ -0,0 +1,65 @@
+// In-process metrics, served in the Prometheus text format at /metrics. Counters and histograms keep one series per
+// distinct label set
+const metrics = {
+    http_requests_total: { type: 'counter', help: 'HTTP requests by method and status code', series: {} },
+    uploads_total: { type: 'counter', help: 'Question bank uploads by result (success, dry_run, rejected, failed)', series: {} },
+    paper_generations_total: { type: 'counter', help: 'Papers generated successfully, by endpoint', series: {} },
+    paper_generation_failures_total: { type: 'counter', help: 'Paper generation requests that failed, by endpoint and reason', series: {} },
+    image_proxy_failures_total: { type: 'counter', help: 'Image proxy requests that failed, by reason', series: {} },
+    image_proxy_duration_seconds: { type: 'histogram', help: 'Time taken by image proxy requests', buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10], series: {} }
+};
+
+// Helper Function to Find (or Start) the Series of a Metric for a Label Set
+function metricSeries(name, labels) {
+    const metric = metrics[name];
+    const key = JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+    if (!metric.series[key]) {
+        metric.series[key] = metric.type === 'histogram'
+            ? { labels, buckets: metric.buckets.map(() => 0), sum: 0, count: 0 }
+            : { labels, value: 0 };
+    }
+    return metric.series[key];
+}
+
+function incrementCounter(name, labels = {}) {
+    metricSeries(name, labels).value++;
+}
+
+function observeHistogram(name, labels, value) {
+    const series = metricSeries(name, labels);
+    metrics[name].buckets.forEach((bound, i) => {
+        if (value <= bound) series.buckets[i]++;
+    });
+    series.sum += value;
+    series.count++;
+}
+
+// Helper Function to Write Every Metric in the Prometheus Text Exposition Format
+function renderMetrics() {
+    const formatLabels = labels => {
+        const entries = Object.entries(labels);
+        return entries.length === 0 ? ''
+            : `{${entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+    };
+    const lines = [];
+    Object.entries(metrics).forEach(([name, metric]) => {
+        lines.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`);
+        Object.values(metric.series).forEach(series => {
+            if (metric.type !== 'histogram') {
+                lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+                return;
+            }
+            metric.buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.buckets[i]}`));
+            lines.push(`${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+            lines.push(`${name}_sum${formatLabels(series.labels)} ${series.sum}`);
+            lines.push(`${name}_count${formatLabels(series.labels)} ${series.count}`);
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    incrementCounter,
+    observeHistogram,
+    renderMetrics
+};
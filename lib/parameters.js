@@ -0,0 +1,245 @@
+// Question parameters: '{R=10..100 step 10}' picks a number from a range (step defaults to 1), '{material: steel|copper}'
+// picks one of the listed values and '{R}' repeats a value already defined. Any other text in braces is left as written
+const parameterRangePattern = /^\s*([A-Za-z_]\w*)\s*=\s*(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)(?:\s+step\s+(\d+(?:\.\d+)?))?\s*$/i;
+const parameterListPattern = /^\s*([A-Za-z_]\w*)\s*:\s*([^|]*(?:\|[^|]*)+)$/;
+
+// Helper Function to Read the Parameters Defined in a Question's Text, Returning { parameters, errors }
+function parseQuestionParameters(text) {
+    const parameters = [];
+    const errors = [];
+    (String(text || '').match(/\{[^{}]*\}/g) || []).forEach(placeholder => {
+        const body = placeholder.slice(1, -1);
+        const range = body.match(parameterRangePattern);
+        const list = range ? null : body.match(parameterListPattern);
+        let parameter = null;
+        if (range) {
+            parameter = { name: range[1], type: 'range', min: Number(range[2]), max: Number(range[3]), step: range[4] === undefined ? 1 : Number(range[4]) };
+            if (parameter.min > parameter.max) {
+                errors.push(`Parameter '${parameter.name}' runs from ${parameter.min} down to ${parameter.max}`);
+            }
+            if (parameter.step <= 0) {
+                errors.push(`Parameter '${parameter.name}' needs a step greater than 0`);
+            }
+        } else if (list) {
+            parameter = { name: list[1], type: 'list', values: list[2].split('|').map(value => value.trim()) };
+            if (parameter.values.includes('')) {
+                errors.push(`Parameter '${parameter.name}' has an empty option`);
+            }
+        } else if (/^\s*[A-Za-z_]\w*\s*=\s*-?\d.*\.\./.test(body)) {
+            // Only something that tries to be a range is flagged, since TeX groups such as '_{i=1}' use braces too
+            errors.push(`'${placeholder}' is not a range such as {R=10..100 step 10}`);
+        }
+        if (!parameter) return;
+        if (parameters.some(existing => existing.name === parameter.name)) {
+            errors.push(`Parameter '${parameter.name}' is defined more than once`);
+        } else {
+            parameters.push(parameter);
+        }
+    });
+    return { parameters, errors };
+}
+
+// Helper Function to Count the Decimal Places of a Number (0.25 -> 2)
+function decimalPlaces(value) {
+    const match = String(value).match(/\.(\d+)$/);
+    return match ? match[1].length : 0;
+}
+
+// Helper Function to Pick a Value for Each Parameter; range values land on the step and keep its decimal places
+function pickParameterValues(parameters, random) {
+    const values = {};
+    parameters.forEach(parameter => {
+        if (parameter.type === 'list') {
+            values[parameter.name] = parameter.values[Math.floor(random() * parameter.values.length)];
+            return;
+        }
+        const decimals = Math.max(decimalPlaces(parameter.min), decimalPlaces(parameter.step));
+        const steps = Math.floor((parameter.max - parameter.min) / parameter.step + 1e-9);
+        const value = parameter.min + Math.floor(random() * (steps + 1)) * parameter.step;
+        values[parameter.name] = Number(value.toFixed(decimals));
+    });
+    return values;
+}
+
+// Helper Function to Find the '$...$' and '$$...$$' TeX Math Spans of a Text as [start, end] Offsets (read as mathInlineRule does)
+function mathSpans(text) {
+    const spans = [];
+    for (let pos = 0; pos < text.length; pos++) {
+        if (text[pos] === '\\') {
+            pos++;
+            continue;
+        }
+        if (text[pos] !== '$') continue;
+        const marker = text.startsWith('$$', pos) ? '$$' : '$';
+        const start = pos + marker.length;
+        let end = text.indexOf(marker, start);
+        while (end !== -1 && text[end - 1] === '\\') {
+            end = text.indexOf(marker, end + 1);
+        }
+        if (end === -1 || end === start) continue;
+        const content = text.slice(start, end);
+        if (marker === '$' && (/^\s|\s$/.test(content) || /\d/.test(text[end + 1] || ''))) continue;
+        spans.push([pos, end + marker.length]);
+        pos = end + marker.length - 1;
+    }
+    return spans;
+}
+
+// Helper Function to Put Parameter Values in Place of Their Definitions and References. Inside math the value keeps
+// its braces, since there they are also TeX groups: '$\frac{V}{R}$' becomes '$\frac{V}{10}$', not '$\frac{V}10$'
+function substituteParameters(text, values) {
+    const source = String(text || '');
+    const spans = mathSpans(source);
+    return source.replace(/\{[^{}]*\}/g, (placeholder, offset) => {
+        const body = placeholder.slice(1, -1);
+        const match = body.match(parameterRangePattern) || body.match(parameterListPattern) || body.match(/^\s*([A-Za-z_]\w*)\s*$/);
+        if (!match || !Object.prototype.hasOwnProperty.call(values, match[1])) return placeholder;
+        const value = String(values[match[1]]);
+        return spans.some(([start, end]) => offset > start && offset < end) ? `{${value}}` : value;
+    });
+}
+
+// Functions and constants an answer formula may use (trigonometry is in radians; log is base 10, ln is natural)
+const formulaFunctions = {
+    sqrt: Math.sqrt, abs: Math.abs, round: Math.round, floor: Math.floor, ceil: Math.ceil, exp: Math.exp,
+    ln: Math.log, log: Math.log10, sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan
+};
+const formulaConstants = { pi: Math.PI, e: Math.E };
+
+// Function to evaluate an answer formula such as 'V / {R}' or 'sqrt(a^2 + b^2)' with the given parameter values.
+// Only numbers, parameters, + - * / ^, brackets and the functions above are read; anything else throws
+function evaluateFormula(formula, values) {
+    const tokens = String(formula).replace(/\{\s*([A-Za-z_]\w*)\s*\}/g, '$1')
+        .match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+|[A-Za-z_]\w*|\S/gi) || [];
+    let position = 0;
+    const peek = () => tokens[position];
+    const expect = token => {
+        if (tokens[position] !== token) {
+            throw new Error(position < tokens.length ? `Unexpected '${tokens[position]}' in answer formula` : `Answer formula is missing '${token}'`);
+        }
+        position++;
+    };
+
+    const readPrimary = () => {
+        const token = tokens[position++];
+        if (token === undefined) throw new Error('Answer formula ends too early');
+        if (token === '(') {
+            const value = readSum();
+            expect(')');
+            return value;
+        }
+        if (/^(\d|\.\d)/.test(token)) return Number(token);
+        if (/^[A-Za-z_]/.test(token)) {
+            if (Object.prototype.hasOwnProperty.call(formulaFunctions, token.toLowerCase()) && peek() === '(') {
+                position++;
+                const argument = readSum();
+                expect(')');
+                return formulaFunctions[token.toLowerCase()](argument);
+            }
+            if (Object.prototype.hasOwnProperty.call(values, token)) {
+                const value = Number(values[token]);
+                if (String(values[token]).trim() === '' || !isFinite(value)) {
+                    throw new Error(`Parameter '${token}' is not a number`);
+                }
+                return value;
+            }
+            if (Object.prototype.hasOwnProperty.call(formulaConstants, token.toLowerCase())) {
+                return formulaConstants[token.toLowerCase()];
+            }
+            throw new Error(`Unknown name '${token}' in answer formula`);
+        }
+        throw new Error(`Unexpected '${token}' in answer formula`);
+    };
+    // '^' binds tighter than a leading minus and groups to the right, so -2^2 is -4 and 2^3^2 is 2^9
+    const readPower = () => {
+        const base = readPrimary();
+        if (peek() !== '^') return base;
+        position++;
+        return Math.pow(base, readUnary());
+    };
+    const readUnary = () => {
+        if (peek() === '-' || peek() === '+') {
+            const sign = tokens[position++] === '-' ? -1 : 1;
+            return sign * readUnary();
+        }
+        return readPower();
+    };
+    const readProduct = () => {
+        let value = readUnary();
+        while (peek() === '*' || peek() === '/') {
+            value = tokens[position++] === '*' ? value * readUnary() : value / readUnary();
+        }
+        return value;
+    };
+    const readSum = () => {
+        let value = readProduct();
+        while (peek() === '+' || peek() === '-') {
+            value = tokens[position++] === '+' ? value + readProduct() : value - readProduct();
+        }
+        return value;
+    };
+
+    if (tokens.length === 0) throw new Error('Answer formula is empty');
+    const result = readSum();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected '${tokens[position]}' in answer formula`);
+    }
+    return result;
+}
+
+// Helper Function to Give Each Parameter a Sample Value (its lowest value or first option) for Checking Text and Formulas
+function sampleParameterValues(parameters) {
+    const sample = {};
+    parameters.forEach(parameter => {
+        sample[parameter.name] = parameter.type === 'range' ? parameter.min : parameter.values[0];
+    });
+    return sample;
+}
+
+// Helper Function to Check a Question's Parameters and Answer Formula, Returning a List of Problems (empty when usable).
+// The formula is tried with sample values to catch unknown names and bad syntax
+function questionParameterProblems(text, answerFormula) {
+    const { parameters, errors } = parseQuestionParameters(text);
+    if (String(answerFormula || '').trim() === '' || errors.length > 0) return errors;
+    try {
+        evaluateFormula(answerFormula, sampleParameterValues(parameters));
+    } catch (error) {
+        errors.push(error.message);
+    }
+    return errors;
+}
+
+// Helper Function to Expand a Question's Parameters with a Seeded Generator, Returning the Fields a Paper Records
+// (empty for questions with neither parameters nor an answer formula, so their paper entries keep the plain shape)
+function expandQuestionParameters(q, random) {
+    const { parameters } = parseQuestionParameters(q.question);
+    const answerFormula = String(q.answerFormula || '').trim();
+    if (parameters.length === 0 && answerFormula === '') return {};
+
+    const values = pickParameterValues(parameters, random);
+    const expanded = {
+        question: substituteParameters(q.question, values),
+        answer: substituteParameters(q.answer || '', values),
+        parameterValues: values
+    };
+    if (answerFormula !== '') {
+        expanded.answerFormula = answerFormula;
+        let result = null;
+        try {
+            result = evaluateFormula(answerFormula, values);
+        } catch (error) {
+            result = null;
+        }
+        // Six significant figures, without the float noise of the raw result
+        expanded.answerValue = result !== null && isFinite(result) ? Number(result.toPrecision(6)) : null;
+    }
+    return expanded;
+}
+
+module.exports = {
+    parseQuestionParameters,
+    substituteParameters,
+    sampleParameterValues,
+    questionParameterProblems,
+    expandQuestionParameters
+};
@@ -0,0 +1,1032 @@
+// Question selection: filling a blueprint's slots from a bank, explaining failures and analysing how many papers a
+// bank supports
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { expandQuestionParameters } = require('./parameters');
+
+function countBlueprintQuestions(blueprint) {
+    return blueprint.parts.reduce((total, part) => total + part.questions.length, 0);
+}
+
+// Helper Function to List a Part's Choice Partner Sets: the labels at one position of a choice group's alternatives
+function choicePartnerSets(part) {
+    return (part.choiceGroups || []).flatMap((group, groupIndex) =>
+        group.alternatives[0].map((label, position) => ({ groupIndex, labels: group.alternatives.map(alternative => alternative[position]) })));
+}
+
+// Function to check a part's BTL tiers can be met while every choice partner set shares one BTL: each set takes
+// a BTL, then a maximum flow places the labels of every BTL into the tiers that allow it (or the labels left free).
+// Returns a message naming the tiers and choice groups that cannot be reconciled, or null when they can.
+function tierSplitProblem(part, tiers) {
+    const partnerSets = choicePartnerSets(part);
+    if (partnerSets.length === 0 || tiers.length === 0) return null;
+    const singles = part.questions.length - partnerSets.reduce((total, set) => total + set.labels.length, 0);
+    const free = part.questions.length - tiers.reduce((total, tier) => total + tier.count, 0);
+    const levels = part.btLevels;
+
+    // Every distinct count of labels per BTL the partner sets can produce
+    let spreads = new Map([[levels.map(() => 0).join(','), levels.map(() => 0)]]);
+    partnerSets.forEach(set => {
+        const next = new Map();
+        spreads.forEach(spread => levels.forEach((level, levelIndex) => {
+            const counts = [...spread];
+            counts[levelIndex] += set.labels.length;
+            next.set(counts.join(','), counts);
+        }));
+        spreads = next;
+    });
+
+    // source -> BTL (its partner labels) and singles -> any BTL -> tier or free -> sink
+    const levelBase = 3;
+    const tierBase = levelBase + levels.length;
+    const freeNode = tierBase + tiers.length;
+    const fits = counts => {
+        const edges = [[0, 2, singles]];
+        levels.forEach((level, levelIndex) => {
+            edges.push([0, levelBase + levelIndex, counts[levelIndex]], [2, levelBase + levelIndex, Infinity], [levelBase + levelIndex, freeNode, Infinity]);
+            tiers.forEach((tier, tierIndex) => {
+                if (tier.levels.includes(level)) edges.push([levelBase + levelIndex, tierBase + tierIndex, Infinity]);
+            });
+        });
+        tiers.forEach((tier, tierIndex) => edges.push([tierBase + tierIndex, 1, tier.count]));
+        edges.push([freeNode, 1, free]);
+        return maxFlow(freeNode + 1, edges, 0, 1) === part.questions.length;
+    };
+    if ([...spreads.values()].some(fits)) return null;
+
+    // Without labels of their own to make up the difference, tiers that are not a whole number of partner sets are to blame
+    const setSize = partnerSets.map(set => set.labels.length).reduce(function gcd(a, b) { return b === 0 ? a : gcd(b, a % b); });
+    const uneven = tiers.filter(tier => singles > 0 || tier.count % setSize !== 0);
+    const named = uneven.length > 0 ? uneven : tiers;
+    const groups = [...new Set(partnerSets.map(set => set.groupIndex))].map(groupIndex =>
+        part.choiceGroups[groupIndex].alternatives.map(alternative => alternative.join('+')).join(' or '));
+    return `Part ${part.name} BTL mix: ${named.map(tier => `${tier.count} at ${describeBTLevels(tier.levels)}`).join(', ')} ` +
+        `cannot be split across choice group${groups.length > 1 ? 's' : ''} ${groups.join(', ')}, ` +
+        `whose alternatives need questions of the same BTL (${setSize} at a time)`;
+}
+
+function findBlueprintLabel(part, label) {
+    return part.questions.find(question => question.label === label);
+}
+
+// Helper Function to Get the Marks a Blueprint Fixes for a Label (null when they come from the bank question)
+function blueprintLabelMarks(part, label) {
+    return label.marks || part.marks || null;
+}
+
+// Helper Function to Total the Marks a Student Can Score in a Part, Counting One Alternative per Choice Group
+// (marksOf gives a label's marks; null when any of them is unknown)
+function answerableMarks(part, marksOf) {
+    const grouped = new Set((part.choiceGroups || []).flatMap(group => group.alternatives.flat()));
+    const counted = [
+        ...part.questions.filter(label => !grouped.has(label.label)),
+        ...(part.choiceGroups || []).flatMap(group => group.alternatives[0].map(label => findBlueprintLabel(part, label)))
+    ];
+    const marks = counted.map(marksOf);
+    return marks.some(value => value === null || value === undefined) ? null : marks.reduce((total, value) => total + value, 0);
+}
+
+// Helper Function to Describe a Set of BTL Levels (e.g. 'L1', 'L2-L6', 'L2/L4')
+function describeBTLevels(levels) {
+    const sorted = [...levels].map(Number).sort((a, b) => a - b);
+    if (sorted.length === 1) return `L${sorted[0]}`;
+    const contiguous = sorted.every((level, i) => i === 0 || level === sorted[i - 1] + 1);
+    return contiguous ? `L${sorted[0]}-L${sorted[sorted.length - 1]}` : sorted.map(level => `L${level}`).join('/');
+}
+
+// BTL tiers of the legacy mix for a 12-question part, keyed by the highest BTL available
+const legacyBtlTiers = {
+    6: [{ levels: ['2'], count: 4 }, { levels: ['3'], count: 4 }, { levels: ['4'], count: 2 }, { levels: ['5', '6'], count: 2 }],
+    5: [{ levels: ['2'], count: 4 }, { levels: ['3'], count: 4 }, { levels: ['4'], count: 2 }, { levels: ['5', '3'], count: 2 }],
+    4: [{ levels: ['2'], count: 4 }, { levels: ['3'], count: 4 }, { levels: ['4'], count: 2 }, { levels: ['3', '4'], count: 2 }],
+    3: [{ levels: ['2'], count: 5 }, { levels: ['3'], count: 5 }, { levels: ['2', '3'], count: 2 }],
+    2: [{ levels: ['2'], count: 12 }]
+};
+
+// Helper Function to Derive an 'auto' BTL Mix: the legacy tiers for the highest BTL in the pool, limited to the
+// BTLs the pool has and scaled to the part's label count (parts with no matching tier pick any allowed BTL)
+function autoBtlMix(pool, labelCount) {
+    const available = new Set(pool.map(q => q.btLevel));
+    const maxBTL = Math.max(0, ...[...available].map(Number).filter(btl => btl > 0));
+    const tiers = (legacyBtlTiers[maxBTL] || [])
+        .map(tier => ({ levels: tier.levels.filter(level => available.has(level)), weight: tier.count }))
+        .filter(tier => tier.levels.length > 0);
+    if (tiers.length === 0) return [];
+
+    // Largest-remainder rounding keeps the counts summing to the label count
+    const totalWeight = tiers.reduce((total, tier) => total + tier.weight, 0);
+    const exact = tiers.map(tier => (tier.weight * labelCount) / totalWeight);
+    const counts = exact.map(Math.floor);
+    let left = labelCount - counts.reduce((total, count) => total + count, 0);
+    exact.map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+        .forEach(({ index }) => {
+            if (left > 0) {
+                counts[index]++;
+                left--;
+            }
+        });
+    return tiers.map((tier, index) => ({ levels: tier.levels, count: counts[index] })).filter(tier => tier.count > 0);
+}
+
+// Helper Function to Resolve a Part's BTL Mix into Tiers ({ levels, count }); labels outside the tiers may take any allowed BTL
+function resolveBtlMix(part, bank) {
+    if (part.btlMix === 'auto') {
+        const pool = bank.filter(q => part.btLevels.includes(q.btLevel) && q.unit >= 1 && q.unit <= 5);
+        return autoBtlMix(pool, part.questions.length);
+    }
+    return Array.isArray(part.btlMix) ? part.btlMix.map(tier => ({ levels: [...tier.levels], count: tier.count })) : [];
+}
+
+// Helper Function to Check a Bank Question Can Fill a Blueprint Slot: the slot's unit, a BTL its part allows,
+// and the slot's marks when the bank gives the question marks of its own (slots without marks need a question that has them)
+function fitsSlot(q, slot) {
+    const hasMarks = q.marks !== null && q.marks !== undefined;
+    return q.unit === slot.unit &&
+        slot.btLevels.includes(q.btLevel) &&
+        (slot.marks === null ? hasMarks : !hasMarks || q.marks === slot.marks);
+}
+
+// Helper Function to Build an Error Listing the Constraints a Selection Could Not Meet
+function selectionError(message, details) {
+    const error = new Error(details.length > 0 ? `${message}: ${details.join('; ')}` : message);
+    error.details = details;
+    return error;
+}
+
+// Helper Function to Describe a Label's Slot (e.g. 'Part B label 4a (Unit 2, L2-L6, 5 marks)')
+function describeSlot(slot) {
+    return `Part ${slot.partName} label ${slot.label} (Unit ${slot.unit}, ${describeBTLevels(slot.btLevels)}, ${slot.marks === null ? 'bank' : slot.marks} marks)`;
+}
+
+// Function to check the supply a paper needs against the bank before searching, returning one message per
+// constraint the bank cannot meet (units per part, BTL tiers, questions shared between parts, CO minimums)
+function explainUnmetConstraints(slots, parts, coverage, usable, excluded) {
+    const problems = [];
+    const fitting = (questions, slotList) => questions.filter(q => slotList.some(slot => fitsSlot(q, slot)));
+    const excludedNote = (slotList, count) => {
+        const more = fitting(excluded, slotList).length;
+        return more > 0 && count + more >= slotList.length ? ` (${more} more are excluded as recently used)` : '';
+    };
+
+    // Every part needs enough questions of each unit at its BTLs and marks
+    parts.forEach(state => {
+        [...new Set(state.slots.map(slot => slot.unit))].forEach(unit => {
+            const unitSlots = state.slots.filter(slot => slot.unit === unit);
+            const available = fitting(usable, unitSlots).length;
+            if (available < unitSlots.length) {
+                const marks = [...new Set(unitSlots.map(slot => (slot.marks === null ? 'bank' : slot.marks)))].join('/');
+                problems.push(`Part ${state.name} Unit ${unit}: needs ${unitSlots.length} questions at ${describeBTLevels(state.btLevels)} ` +
+                    `worth ${marks} marks, bank has ${available}${excludedNote(unitSlots, available)}`);
+            }
+        });
+    });
+
+    // Every group of BTL tiers must be fillable by the units its part draws on, each unit giving at most one
+    // question per label; only the smallest failing groups are reported
+    parts.forEach(state => {
+        if (problems.some(problem => problem.startsWith(`Part ${state.name} `))) return;
+        const units = [...new Set(state.slots.map(slot => slot.unit))].sort((a, b) => a - b);
+        const failing = [];
+        tierSubsets(state.tiers.length).forEach(subset => {
+            if (failing.some(smaller => smaller.every(index => subset.includes(index)))) return;
+            const tiers = subset.map(index => state.tiers[index]);
+            const levels = [...new Set(tiers.flatMap(tier => tier.levels))];
+            const needed = tiers.reduce((total, tier) => total + tier.count, 0);
+            const perUnit = units.map(unit => {
+                const unitSlots = state.slots.filter(slot => slot.unit === unit);
+                const supply = fitting(usable, unitSlots).filter(q => levels.includes(q.btLevel)).length;
+                return { unit, supply: Math.min(supply, unitSlots.length) };
+            });
+            const achievable = perUnit.reduce((total, entry) => total + entry.supply, 0);
+            if (achievable >= needed) return;
+            failing.push(subset);
+            const what = tiers.length === 1
+                ? `needs ${needed} questions at ${describeBTLevels(levels)}`
+                : `tiers ${tiers.map(tier => describeBTLevels(tier.levels)).join(' and ')} need ${needed} questions at ${describeBTLevels(levels)} together`;
+            problems.push(`Part ${state.name} BTL mix: ${what}, the bank can supply only ${achievable} ` +
+                `(${perUnit.map(entry => `Unit ${entry.unit}: ${entry.supply}`).join(', ')})`);
+        });
+
+        // Choice partners need questions of the same BTL, so the tiers must split into whole partner sets
+        const splitProblem = tierSplitProblem(state.definition, state.tiers);
+        if (splitProblem) problems.push(splitProblem);
+
+        // Anything left is an interplay of units, marks and tiers the counts above cannot pin down
+        if (failing.length === 0 && !splitProblem && partCapacity(state, state.slots, usable) < state.slots.length) {
+            problems.push(`Part ${state.name}: at most ${partCapacity(state, state.slots, usable)} of its ${state.slots.length} labels ` +
+                `can be filled while keeping its BTL mix (${state.tiers.map(tier => `${tier.count} at ${describeBTLevels(tier.levels)}`).join(', ')})`);
+        }
+    });
+
+    // Parts whose BTLs overlap compete for the same questions of a unit
+    [1, 2, 3, 4, 5].forEach(unit => {
+        const unitSlots = slots.filter(slot => slot.unit === unit);
+        const sharingParts = [...new Set(unitSlots.map(slot => slot.partName))];
+        if (sharingParts.length < 2) return;
+        const available = paperCapacity(unitSlots, usable);
+        const alreadyReported = sharingParts.some(name => problems.some(problem => problem.startsWith(`Part ${name} Unit ${unit}:`)));
+        if (available < unitSlots.length && !alreadyReported) {
+            problems.push(`Unit ${unit}: Parts ${sharingParts.join(' and ')} need ${unitSlots.length} distinct questions together, ` +
+                `the bank can fill only ${available} of those labels at once`);
+        }
+    });
+
+    // A CO minimum can only be met by as many of its questions as the units and BTL mixes leave room for
+    problems.push(...unreachableOutcomes(coverage, parts, () => true, usable, {}, true));
+
+    return problems;
+}
+
+// Helper Function to List Every Non-Empty Subset of Tier Indexes, Smallest First (singletons only past eight tiers)
+function tierSubsets(count) {
+    if (count > 8) return [...Array(count).keys()].map(index => [index]);
+    const subsets = [];
+    for (let mask = 1; mask < (1 << count); mask++) {
+        subsets.push([...Array(count).keys()].filter(index => mask & (1 << index)));
+    }
+    return subsets.sort((a, b) => a.length - b.length);
+}
+
+// Helper Function to Compute a Maximum Flow (Edmonds-Karp) over a Small Graph of Numbered Nodes
+function maxFlow(nodeCount, edges, source, sink) {
+    const graph = Array.from({ length: nodeCount }, () => []);
+    const target = [];
+    const capacity = [];
+    edges.forEach(([from, to, edgeCapacity]) => {
+        graph[from].push(target.length);
+        target.push(to);
+        capacity.push(edgeCapacity);
+        graph[to].push(target.length);
+        target.push(from);
+        capacity.push(0);
+    });
+
+    let flow = 0;
+    for (;;) {
+        const via = new Array(nodeCount).fill(-1);
+        via[source] = -2;
+        const queue = [source];
+        for (let head = 0; head < queue.length && via[sink] === -1; head++) {
+            for (const edge of graph[queue[head]]) {
+                if (capacity[edge] > 0 && via[target[edge]] === -1) {
+                    via[target[edge]] = edge;
+                    queue.push(target[edge]);
+                }
+            }
+        }
+        if (via[sink] === -1) return flow;
+        let push = Infinity;
+        for (let node = sink; node !== source; node = target[via[node] ^ 1]) push = Math.min(push, capacity[via[node]]);
+        for (let node = sink; node !== source; node = target[via[node] ^ 1]) {
+            capacity[via[node]] -= push;
+            capacity[via[node] ^ 1] += push;
+        }
+        flow += push;
+    }
+}
+
+// Function to work out how many of a part's open labels can be filled at once with distinct questions while
+// keeping its remaining BTL tiers, as a maximum flow: labels (grouped by unit and marks) -> question -> BTL -> tier or free
+function partCapacity(state, openSlots, available) {
+    const groups = {};
+    openSlots.forEach(slot => {
+        const key = `${slot.unit}|${slot.marks}`;
+        if (!groups[key]) groups[key] = { slot, count: 0 };
+        groups[key].count++;
+    });
+    const groupList = Object.values(groups);
+    const candidates = available.filter(q => groupList.some(group => fitsSlot(q, group.slot)));
+
+    const questionBase = 2 + groupList.length;
+    const levelBase = questionBase + candidates.length;
+    const tierBase = levelBase + 6;
+    const freeNode = tierBase + state.tiers.length;
+    const edges = [];
+    groupList.forEach((group, groupIndex) => {
+        edges.push([0, 2 + groupIndex, group.count]);
+        candidates.forEach((q, questionIndex) => {
+            if (fitsSlot(q, group.slot)) edges.push([2 + groupIndex, questionBase + questionIndex, 1]);
+        });
+    });
+    candidates.forEach((q, questionIndex) => edges.push([questionBase + questionIndex, levelBase + Number(q.btLevel) - 1, 1]));
+    state.tiers.forEach((tier, tierIndex) => {
+        tier.levels.forEach(level => edges.push([levelBase + Number(level) - 1, tierBase + tierIndex, Infinity]));
+        edges.push([tierBase + tierIndex, 1, state.remaining[tierIndex]]);
+    });
+    state.btLevels.forEach(level => edges.push([levelBase + Number(level) - 1, freeNode, Infinity]));
+    edges.push([freeNode, 1, state.free]);
+    return maxFlow(freeNode + 1, edges, 0, 1);
+}
+
+// Helper Function to Bound How Many Questions (and Marks) of the Given COs a Part's Open Labels Can Take, Given Its BTL Mix
+function outcomeCapacity(state, openSlots, available, outcomes) {
+    if (openSlots.length === 0) return { questions: 0, marks: 0 };
+    const questions = partCapacity(state, openSlots, available.filter(q => outcomes.includes(q.co)));
+    const marks = openSlots.map(slot => slot.maxMarks).sort((a, b) => b - a).slice(0, questions).reduce((total, value) => total + value, 0);
+    return { questions, marks };
+}
+
+// Function to list the CO minimums the open labels can no longer reach: each CO on its own, then (as the
+// questions they still need cannot share a label) groups of COs together; allGroups checks every group of
+// two or more rather than just all short COs at once, and only the smallest failing groups are reported
+function unreachableOutcomes(coverage, parts, isOpen, available, totals, allGroups) {
+    const problems = [];
+    const openSlots = parts.map(state => state.slots.filter(isOpen));
+    const openMarks = openSlots.flat().map(slot => slot.maxMarks).sort((a, b) => b - a);
+    const current = req => totals[req.co] || { marks: 0, questions: 0 };
+
+    // The fewest further questions a CO needs: its question minimum, or enough of the largest open labels for its marks
+    const demand = req => {
+        let needed = req.minQuestions === undefined ? 0 : Math.max(0, req.minQuestions - current(req).questions);
+        if (req.minMarks !== undefined) {
+            let marks = current(req).marks;
+            let count = 0;
+            while (marks < req.minMarks && count < openMarks.length) marks += openMarks[count++];
+            needed = Math.max(needed, marks < req.minMarks ? Infinity : count);
+        }
+        return needed;
+    };
+
+    coverage.forEach(req => {
+        const reach = parts.map((state, partIndex) => ({ name: state.name, ...outcomeCapacity(state, openSlots[partIndex], available, [req.co]) }));
+        const maxMarks = current(req).marks + reach.reduce((total, entry) => total + entry.marks, 0);
+        const maxQuestions = current(req).questions + reach.reduce((total, entry) => total + entry.questions, 0);
+        const perPart = reach.map(entry => `Part ${entry.name}: ${entry.questions} questions, ${entry.marks} marks`).join('; ');
+        if (req.minMarks !== undefined && maxMarks < req.minMarks) {
+            problems.push(`${req.co}: needs at least ${req.minMarks} marks, but the units and BTL mix allow at most ${maxMarks} (${perPart})`);
+        }
+        if (req.minQuestions !== undefined && maxQuestions < req.minQuestions) {
+            problems.push(`${req.co}: needs at least ${req.minQuestions} questions, but the units and BTL mix allow at most ${maxQuestions} (${perPart})`);
+        }
+    });
+    if (problems.length > 0) return problems;
+
+    const short = coverage.filter(req => demand(req) > 0);
+    const groups = allGroups
+        ? tierSubsets(Math.min(short.length, 8)).filter(subset => subset.length > 1)
+        : (short.length > 1 ? [[...short.keys()]] : []);
+    const failing = [];
+    groups.forEach(subset => {
+        if (failing.some(smaller => smaller.every(index => subset.includes(index)))) return;
+        const reqs = subset.map(index => short[index]);
+        const needed = reqs.reduce((total, req) => total + demand(req), 0);
+        const outcomes = reqs.map(req => req.co);
+        const room = parts.reduce((total, state, partIndex) => total + outcomeCapacity(state, openSlots[partIndex], available, outcomes).questions, 0);
+        if (room >= needed) return;
+        failing.push(subset);
+        problems.push(`${outcomes.join(' and ')}: need at least ${needed} questions between them, but the units and BTL mix leave room for ${room}`);
+    });
+    return problems;
+}
+
+// Helper Function to Count How Many Open Labels Across All Parts Can Hold Distinct Questions at Once
+// (a bipartite matching of labels to fitting questions, ignoring BTL mixes)
+function paperCapacity(openSlots, available) {
+    const candidates = available.filter(q => openSlots.some(slot => fitsSlot(q, slot)));
+    const questionBase = 2 + openSlots.length;
+    const edges = [];
+    openSlots.forEach((slot, slotIndex) => {
+        edges.push([0, 2 + slotIndex, 1]);
+        candidates.forEach((q, questionIndex) => {
+            if (fitsSlot(q, slot)) edges.push([2 + slotIndex, questionBase + questionIndex, 1]);
+        });
+    });
+    candidates.forEach((q, questionIndex) => edges.push([questionBase + questionIndex, 1, 1]));
+    return maxFlow(questionBase + candidates.length, edges, 0, 1);
+}
+
+// Helper Function to Turn Every Blueprint Label into a Slot and Every Part's BTL Mix into Tiers, given the usable questions
+function blueprintSlots(blueprint, usable) {
+    const slots = [];
+    const parts = blueprint.parts.map((part, partIndex) => {
+        const tiers = resolveBtlMix(part, usable);
+        const state = {
+            name: part.name,
+            definition: part,
+            btLevels: part.btLevels,
+            tiers,
+            remaining: tiers.map(tier => tier.count),
+            free: part.questions.length - tiers.reduce((total, tier) => total + tier.count, 0),
+            slots: []
+        };
+        part.questions.forEach(label => {
+            const slot = {
+                index: slots.length,
+                partIndex,
+                partName: part.name,
+                label: label.label,
+                unit: label.unit,
+                marks: blueprintLabelMarks(part, label),
+                btLevels: part.btLevels,
+                partners: []
+            };
+            // The most the label can be worth, for the CO bounds (its bank question's marks when the blueprint gives none)
+            slot.maxMarks = slot.marks !== null ? slot.marks
+                : Math.max(0, ...usable.filter(q => fitsSlot(q, slot)).map(q => q.marks));
+            slots.push(slot);
+            state.slots.push(slot);
+        });
+        // Labels at the same position in the alternatives of a choice group are partners: their questions must
+        // share unit, BTL and marks so either choice is as hard and worth as much as the other
+        (part.choiceGroups || []).forEach(group => group.alternatives[0].forEach((label, position) => {
+            const partnerSlots = group.alternatives.map(alternative => state.slots.find(slot => slot.label === alternative[position]));
+            partnerSlots.forEach(slot => {
+                slot.partners = partnerSlots.filter(other => other !== slot);
+            });
+        }));
+        return state;
+    });
+    return { slots, parts };
+}
+
+// Function to select every question of a paper with a backtracking search over the blueprint's constraints:
+// each label gets a distinct question of its unit, at a BTL its part allows, with matching marks; every part's BTL
+// mix is met exactly and every CO minimum holds. Throws an error with details when no such paper exists.
+function selectPaperQuestions(blueprint, bankQuestions, random, options = {}) {
+    const excludeIds = new Set(options.excludeIds || []);
+    const avoidIds = new Set(options.avoidIds || []);
+    const usable = bankQuestions.filter(q => !excludeIds.has(q.id));
+    const excluded = bankQuestions.filter(q => excludeIds.has(q.id));
+    const coverage = blueprint.coCoverage || [];
+
+    // Step 1: Turn every label into a slot and every part's BTL mix into tiers
+    const { slots, parts } = blueprintSlots(blueprint, usable);
+    const marksOf = (slot, q) => (slot.marks !== null ? slot.marks : q.marks);
+
+    const problems = explainUnmetConstraints(slots, parts, coverage, usable, excluded);
+    if (problems.length > 0) {
+        throw selectionError(`Blueprint '${blueprint.id}' cannot be met by this bank`, problems);
+    }
+
+    // Step 2: Order each slot's candidates randomly (from the seeded stream), questions outside avoidIds first
+    slots.forEach(slot => {
+        const candidates = usable.filter(q => fitsSlot(q, slot));
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+        slot.candidates = [...candidates.filter(q => !avoidIds.has(q.id)), ...candidates.filter(q => avoidIds.has(q.id))];
+    });
+
+    // Step 3: Search, filling the slots with the fewest candidates first (each directly followed by its choice partners)
+    const order = [];
+    [...slots].sort((a, b) => a.candidates.length - b.candidates.length || a.index - b.index).forEach(slot => {
+        if (order.includes(slot)) return;
+        order.push(slot, ...slot.partners.filter(partner => !order.includes(partner)));
+    });
+    // Near-duplicates share a duplicateGroup and count as one question, so a paper never gets two of them
+    const groupOf = q => q.duplicateGroup || q.id;
+    const used = new Set();
+    const assigned = new Array(slots.length).fill(null);
+    const coTotals = {};
+    const blocked = new Array(slots.length).fill(0);
+    let steps = 0;
+    const constraintNotes = coverage.length > 0 ? [`CO minimums in play: ${coverage.map(describeOutcomeMinimum).join(', ')}`] : [];
+    if (slots.some(slot => slot.partners.length > 0)) {
+        constraintNotes.push('Choice alternatives need questions of the same BTL and marks');
+    }
+    const marksLimits = blueprint.parts
+        .map((part, partIndex) => ({ part, partIndex, max: part.maxMarks }))
+        .filter(limit => limit.max !== undefined);
+    if (slots.some(slot => slot.marks === null) && (marksLimits.length > 0 || blueprint.maxMarks !== undefined)) {
+        constraintNotes.push(`Marks totals in play: ${[
+            ...marksLimits.map(limit => `Part ${limit.part.name} = ${limit.max}`),
+            ...(blueprint.maxMarks !== undefined ? [`paper = ${blueprint.maxMarks}`] : [])
+        ].join(', ')}`);
+    }
+
+    // A question fits beside its choice partners when every partner already filled has the same BTL and marks
+    const fairWithPartners = (slot, q) => slot.partners.every(partner => {
+        const other = assigned[partner.index];
+        return !other || (other.btLevel === q.btLevel && marksOf(partner, other) === marksOf(slot, q));
+    });
+
+    // Part and paper totals (one alternative per choice group) must match any maximum the blueprint declares
+    const totalsMatch = () => {
+        const partTotals = blueprint.parts.map((part, partIndex) => answerableMarks(part, label => {
+            const slot = parts[partIndex].slots.find(entry => entry.label === label.label);
+            return marksOf(slot, assigned[slot.index]);
+        }));
+        return marksLimits.every(limit => partTotals[limit.partIndex] === limit.max) &&
+            (blueprint.maxMarks === undefined || partTotals.reduce((total, marks) => total + marks, 0) === blueprint.maxMarks);
+    };
+    // Callers running several searches in one request can pass a shared deadline to cap them all
+    const deadline = Math.min(Date.now() + searchTimeLimitMs, options.deadline || Infinity);
+
+    const tierOptions = (state, q) => {
+        const options = state.tiers
+            .map((tier, tierIndex) => tierIndex)
+            .filter(tierIndex => state.remaining[tierIndex] > 0 && state.tiers[tierIndex].levels.includes(q.btLevel));
+        if (state.free > 0) options.push(-1);
+        return options;
+    };
+
+    // Forward check: every part can still fill its open labels with unused questions while keeping its BTL
+    // mix (an exact test, see partCapacity), parts sharing BTLs do not need the same questions (paperCapacity),
+    // and every CO minimum can still be reached (see unreachableOutcomes)
+    const stillFeasible = () => {
+        const unused = usable.filter(q => !used.has(groupOf(q)));
+        const partsFeasible = parts.every(state => {
+            const openSlots = state.slots.filter(slot => !assigned[slot.index]);
+            return openSlots.length === 0 || partCapacity(state, openSlots, unused) === openSlots.length;
+        });
+        const openSlots = slots.filter(slot => !assigned[slot.index]);
+        if (!partsFeasible || (parts.length > 1 && paperCapacity(openSlots, unused) < openSlots.length)) return false;
+        const partnersFillable = openSlots.every(slot => slot.partners.every(partner => !assigned[partner.index]) ||
+            unused.some(q => fitsSlot(q, slot) && fairWithPartners(slot, q)));
+        if (!partnersFillable) return false;
+        return unreachableOutcomes(coverage, parts, slot => !assigned[slot.index], unused, coTotals, false).length === 0;
+    };
+
+    const search = depth => {
+        if (depth === order.length) return totalsMatch();
+        if (++steps > searchStepLimit || Date.now() > deadline) {
+            const error = selectionError(`Selection search gave up after ${steps} steps`,
+                [...mostBlockedSlots(slots, blocked).map(slot => `${describeSlot(slot)} was hardest to fill`), ...constraintNotes]);
+            // Unlike the other selection errors this one does not prove the blueprint impossible
+            error.gaveUp = true;
+            throw error;
+        }
+        const slot = order[depth];
+        const state = parts[slot.partIndex];
+        // Questions still short of a CO minimum go first; among questions of one unit with the same BTL, CO and
+        // marks only the first is tried, since any other would fail the same way
+        const shortOutcomes = new Set(coverage.filter(req => {
+            const totals = coTotals[req.co] || { marks: 0, questions: 0 };
+            return (req.minMarks !== undefined && totals.marks < req.minMarks) || (req.minQuestions !== undefined && totals.questions < req.minQuestions);
+        }).map(req => req.co));
+        const candidates = [...slot.candidates.filter(q => shortOutcomes.has(q.co)), ...slot.candidates.filter(q => !shortOutcomes.has(q.co))];
+        const tried = new Set();
+        for (const q of candidates) {
+            if (used.has(groupOf(q)) || !fairWithPartners(slot, q)) continue;
+            for (const tierIndex of tierOptions(state, q)) {
+                const key = `${q.btLevel}|${q.co}|${q.marks}|${q.duplicateGroup || ''}|${tierIndex}`;
+                if (tried.has(key)) continue;
+                tried.add(key);
+                used.add(groupOf(q));
+                if (tierIndex >= 0) state.remaining[tierIndex]--; else state.free--;
+                assigned[slot.index] = q;
+                const totals = coTotals[q.co] || (coTotals[q.co] = { marks: 0, questions: 0 });
+                totals.marks += marksOf(slot, q);
+                totals.questions++;
+
+                if (stillFeasible() && search(depth + 1)) return true;
+
+                totals.marks -= marksOf(slot, q);
+                totals.questions--;
+                assigned[slot.index] = null;
+                if (tierIndex >= 0) state.remaining[tierIndex]++; else state.free++;
+                used.delete(groupOf(q));
+            }
+        }
+        blocked[slot.index]++;
+        return false;
+    };
+
+    if (!stillFeasible() || !search(0)) {
+        throw selectionError(`No selection meets every constraint of blueprint '${blueprint.id}' together`,
+            [...mostBlockedSlots(slots, blocked).map(slot => `${describeSlot(slot)} could not be filled without breaking the BTL mix, CO coverage, a choice pairing, a marks total or another label`), ...constraintNotes]);
+    }
+
+    // Step 4: Gather each part's questions, sorted by unit and label
+    return parts.map((state, partIndex) => {
+        const labelOrder = state.slots.map(slot => slot.label);
+        const questions = state.slots
+            .map(slot => ({ ...assigned[slot.index], label: slot.label, part: state.name, marks: marksOf(slot, assigned[slot.index]) }))
+            .sort((a, b) => a.unit - b.unit || labelOrder.indexOf(a.label) - labelOrder.indexOf(b.label));
+        logger.debug('Selected part questions', { blueprintId: blueprint.id, part: state.name, selection: questions.map(q => ({ label: q.label, id: q.id, unit: q.unit, btLevel: q.btLevel })) });
+        return { name: blueprint.parts[partIndex].name, questions };
+    });
+}
+
+// Helper Function to Describe a Blueprint's CO Minimum (e.g. 'CO2 >= 10 marks, 3 questions')
+function describeOutcomeMinimum(req) {
+    const minimums = [];
+    if (req.minMarks !== undefined) minimums.push(`${req.minMarks} marks`);
+    if (req.minQuestions !== undefined) minimums.push(`${req.minQuestions} questions`);
+    return `${req.co} >= ${minimums.join(', ')}`;
+}
+
+// Helper Function to Pick the Slots the Search Backtracked Out of Most Often (at most three)
+function mostBlockedSlots(slots, blocked) {
+    return slots
+        .filter(slot => blocked[slot.index] > 0)
+        .sort((a, b) => blocked[b.index] - blocked[a.index] || a.index - b.index)
+        .slice(0, 3);
+}
+
+// Helper Function to Create a Seeded Pseudo-Random Generator (mulberry32) Returning Numbers in [0, 1)
+function createRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Bumped whenever the selection algorithm changes, so the same seed under a new selector gets a new paper id
+const selectorVersion = 3;
+
+// Upper bounds on search steps and time, so a pathological bank fails with an explanation instead of hanging the server
+const searchStepLimit = 5000;
+const searchTimeLimitMs = 3000;
+// A sets request runs a search per set and may run one over all of them, so it gets one budget for the lot
+const setsTimeLimitMs = 10000;
+// Time one bank analysis may spend searching for distinct sets across every blueprint
+const analysisTimeLimitMs = 5000;
+
+// Function to generate the questions for every part of a blueprint from a bank's questions
+// (options.avoidIds lists questions to keep out of the paper where the bank allows; options.excludeIds are never used;
+// a cluster of near-duplicates counts as one question)
+function generateQuestions(blueprint, bankQuestions, random, options = {}) {
+    const excludeIds = new Set(options.excludeIds || []);
+    const available = new Set(bankQuestions.filter(q => !excludeIds.has(q.id)).map(q => q.duplicateGroup || q.id)).size;
+    const totalQuestions = countBlueprintQuestions(blueprint);
+    if (available < totalQuestions) {
+        throw selectionError('Insufficient questions in question bank',
+            [`got ${available}, need at least ${totalQuestions} for blueprint '${blueprint.id}'`]);
+    }
+    return { parts: selectPaperQuestions(blueprint, bankQuestions, random, options) };
+}
+
+// Helper Function to List the CO Coverage Minimums a Set of Selected Questions Falls Short Of
+function coverageShortfalls(coverage, questions) {
+    return coverage.flatMap(req => {
+        const mapped = questions.filter(q => q.co === req.co);
+        const marks = mapped.reduce((total, q) => total + (q.marks || 0), 0);
+        const problems = [];
+        if (req.minMarks !== undefined && marks < req.minMarks) {
+            problems.push(`${req.co} has ${marks} marks, needs at least ${req.minMarks}`);
+        }
+        if (req.minQuestions !== undefined && mapped.length < req.minQuestions) {
+            problems.push(`${req.co} has ${mapped.length} questions, needs at least ${req.minQuestions}`);
+        }
+        return problems;
+    });
+}
+
+// Helper Function to Repeat Every Label of a Blueprint for Several Question-Disjoint Sets: checking the repeated
+// blueprint against the bank checks whether that many sets can be drawn without reusing a question. With separate,
+// every set gets parts of its own (B, B#2, ...) so each keeps its own BTL mix, choices and marks totals; only the CO
+// minimums stay pooled across the sets
+function multiplyBlueprint(blueprint, copies, separate = false) {
+    const copyIndexes = [...Array(copies).keys()];
+    const copyLabel = (label, copy) => (copy === 0 ? label : `${label}#${copy + 1}`);
+    const scale = value => (value === undefined ? undefined : value * copies);
+    const coCoverage = (blueprint.coCoverage || []).map(req => ({ ...req, minMarks: scale(req.minMarks), minQuestions: scale(req.minQuestions) }));
+    if (separate) {
+        return {
+            ...blueprint,
+            maxMarks: scale(blueprint.maxMarks),
+            parts: copyIndexes.flatMap(copy => blueprint.parts.map(part => ({
+                ...part,
+                name: copyLabel(part.name, copy),
+                questions: part.questions.map(label => ({ ...label, label: copyLabel(label.label, copy) })),
+                choiceGroups: part.choiceGroups && part.choiceGroups.map(group => ({
+                    ...group,
+                    alternatives: group.alternatives.map(alternative => alternative.map(label => copyLabel(label, copy)))
+                }))
+            }))),
+            coCoverage
+        };
+    }
+    return {
+        ...blueprint,
+        maxMarks: scale(blueprint.maxMarks),
+        parts: blueprint.parts.map(part => ({
+            ...part,
+            maxMarks: scale(part.maxMarks),
+            questions: copyIndexes.flatMap(copy => part.questions.map(label => ({ ...label, label: copyLabel(label.label, copy) }))),
+            btlMix: Array.isArray(part.btlMix) ? part.btlMix.map(tier => ({ ...tier, count: tier.count * copies })) : part.btlMix,
+            choiceGroups: part.choiceGroups && copyIndexes.flatMap(copy => part.choiceGroups.map(group => ({
+                ...group,
+                alternatives: group.alternatives.map(alternative => alternative.map(label => copyLabel(label, copy)))
+            })))
+        })),
+        coCoverage
+    };
+}
+
+// Helper Function to List the Supply Problems a Bank Has with a Number of Question-Disjoint Sets of a Blueprint
+// (the checks the solver runs before searching, so an empty list means the sets are possible as far as counts go)
+function setSupplyProblems(blueprint, questions, sets) {
+    const repeated = multiplyBlueprint(blueprint, sets);
+    const { slots, parts } = blueprintSlots(repeated, questions);
+    return explainUnmetConstraints(slots, parts, repeated.coCoverage, questions, []);
+}
+
+// Function to find the most question-disjoint sets of a blueprint a bank can supply: a binary search over the
+// supply checks gives an upper bound (bound), then the sets are drawn for real from the bound down, stepping past counts
+// the search proves impossible. When a search gives up or the deadline passes, max is null (unknown) and atLeast is the
+// largest count drawn since, if any; the bound alone is no guarantee
+function distinctSets(blueprint, questions, deadline) {
+    let low = 0;
+    let high = Math.floor(questions.length / Math.max(1, countBlueprintQuestions(blueprint)));
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (setSupplyProblems(blueprint, questions, middle).length === 0) low = middle; else high = middle - 1;
+    }
+    let settled = true;
+    for (let sets = low; sets > 0; sets--) {
+        try {
+            drawDisjointSets(blueprint, questions, `analysis-${blueprint.id}`, sets, { deadline }, (name, options) =>
+                ({ parts: selectPaperQuestions(blueprint, questions, createRandom(`analysis-${blueprint.id}-${name}`), options) }));
+            return { max: settled ? sets : null, atLeast: sets, bound: low, confirmed: settled };
+        } catch (error) {
+            if (!error.details) throw error;
+            if (error.gaveUp) settled = false;
+            if (Date.now() > deadline) break;
+        }
+    }
+    return settled ? { max: 0, atLeast: 0, bound: low, confirmed: true } : { max: null, atLeast: 0, bound: low, confirmed: false };
+}
+
+// Helper Function to Compute a Binomial Coefficient as a Floating-Point Number
+function binomial(n, k) {
+    if (k < 0 || k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = (result * (n - k + i)) / i;
+    return Math.round(result);
+}
+
+// Helper Function to Bound How Many Different Papers a Blueprint Can Give: for every part, unit and marks, the ways
+// to choose its labels' questions (near-duplicates counted once), multiplied together. BTL mixes, CO minimums and
+// choice pairings only lower the real number
+function possiblePapers(blueprint, questions) {
+    const { parts } = blueprintSlots(blueprint, questions);
+    return parts.reduce((total, state) => {
+        const groups = {};
+        state.slots.forEach(slot => {
+            const key = `${slot.unit}|${slot.marks}`;
+            if (!groups[key]) groups[key] = { slot, count: 0 };
+            groups[key].count++;
+        });
+        return Object.values(groups).reduce((product, group) => {
+            const fitting = new Set(questions.filter(q => fitsSlot(q, group.slot)).map(q => q.duplicateGroup || q.id));
+            return product * binomial(fitting.size, group.count);
+        }, total);
+    }, 1);
+}
+
+// Function to list, as concrete question-writing work, what a bank lacks for a number of question-disjoint sets of
+// a blueprint: questions per unit for each part, per BTL tier, per unit shared between parts, and per CO minimum
+function setShortfalls(blueprint, questions, sets) {
+    const repeated = multiplyBlueprint(blueprint, sets);
+    const { slots, parts } = blueprintSlots(repeated, questions);
+    const target = `to support ${blueprint.id} with ${sets} distinct set${sets === 1 ? '' : 's'}`;
+    const fitting = slotList => questions.filter(q => slotList.some(slot => fitsSlot(q, slot)));
+    const shortfalls = [];
+
+    parts.forEach(state => {
+        const units = [...new Set(state.slots.map(slot => slot.unit))].sort((a, b) => a - b);
+        let unitShort = false;
+        units.forEach(unit => {
+            const unitSlots = state.slots.filter(slot => slot.unit === unit);
+            [...new Set(unitSlots.map(slot => slot.marks))].forEach(marks => {
+                const markSlots = unitSlots.filter(slot => slot.marks === marks);
+                const available = fitting(markSlots).length;
+                if (available >= markSlots.length) return;
+                unitShort = true;
+                const missing = markSlots.length - available;
+                const worth = marks === null ? '' : ` worth ${marks} marks`;
+                shortfalls.push({
+                    part: state.name, units: [unit], btLevels: state.btLevels, marks, needed: markSlots.length, available, missing,
+                    message: `Unit ${unit} needs ${missing} more ${describeBTLevels(state.btLevels)} questions${worth} for Part ${state.name} ${target}`
+                });
+            });
+        });
+        if (unitShort) return;
+
+        // BTL tiers: a unit can only give as many questions at the tier's BTLs as it has labels in the part
+        state.tiers.forEach(tier => {
+            const perUnit = units.map(unit => {
+                const unitSlots = state.slots.filter(slot => slot.unit === unit);
+                const supply = fitting(unitSlots).filter(q => tier.levels.includes(q.btLevel)).length;
+                return { unit, supply, room: unitSlots.length };
+            });
+            const available = perUnit.reduce((total, entry) => total + Math.min(entry.supply, entry.room), 0);
+            if (available >= tier.count) return;
+            const missing = tier.count - available;
+            const roomy = perUnit.filter(entry => entry.supply < entry.room).map(entry => entry.unit);
+            const where = roomy.length === 1 ? `Unit ${roomy[0]} needs` : `Units ${roomy.join(', ')} need`;
+            shortfalls.push({
+                part: state.name, units: roomy, btLevels: tier.levels, marks: null, needed: tier.count, available, missing,
+                message: `${where} ${missing} more ${describeBTLevels(tier.levels)} questions${roomy.length > 1 ? ' between them' : ''} for Part ${state.name} ${target}`
+            });
+        });
+    });
+
+    // Parts whose BTLs overlap draw on the same questions of a unit
+    if (shortfalls.length === 0) {
+        [1, 2, 3, 4, 5].forEach(unit => {
+            const unitSlots = slots.filter(slot => slot.unit === unit);
+            const sharingParts = [...new Set(unitSlots.map(slot => slot.partName))];
+            if (sharingParts.length < 2) return;
+            const available = paperCapacity(unitSlots, questions);
+            if (available >= unitSlots.length) return;
+            const missing = unitSlots.length - available;
+            const levels = [...new Set(unitSlots.flatMap(slot => slot.btLevels))];
+            shortfalls.push({
+                part: sharingParts.join('+'), units: [unit], btLevels: levels, marks: null, needed: unitSlots.length, available, missing,
+                message: `Unit ${unit} needs ${missing} more ${describeBTLevels(levels)} questions shared by Parts ${sharingParts.join(' and ')} ${target}`
+            });
+        });
+    }
+
+    // CO minimums count the questions of the CO that fit some label of the paper
+    (repeated.coCoverage || []).forEach(req => {
+        const outcomeQuestions = fitting(slots).filter(q => q.co === req.co);
+        if (req.minQuestions !== undefined && outcomeQuestions.length < req.minQuestions) {
+            const missing = req.minQuestions - outcomeQuestions.length;
+            shortfalls.push({
+                co: req.co, needed: req.minQuestions, available: outcomeQuestions.length, missing,
+                message: `${req.co} needs ${missing} more questions ${target}`
+            });
+        }
+        const marks = outcomeQuestions.reduce((total, q) => total + (q.marks || 0), 0);
+        if (req.minMarks !== undefined && marks < req.minMarks) {
+            shortfalls.push({
+                co: req.co, neededMarks: req.minMarks, availableMarks: marks, missingMarks: req.minMarks - marks,
+                message: `${req.co} needs questions worth ${req.minMarks - marks} more marks ${target}`
+            });
+        }
+    });
+    return shortfalls;
+}
+
+// Helper Function to Count a Bank's Questions per Unit x BTL x Marks, and per CO (with its units and total marks)
+function bankMatrix(questions) {
+    const cells = {};
+    const outcomes = {};
+    questions.forEach(q => {
+        const marks = q.marks === null || q.marks === undefined ? null : q.marks;
+        const key = `${q.unit}|${q.btLevel}|${marks}`;
+        if (!cells[key]) cells[key] = { unit: q.unit, btLevel: q.btLevel, marks, questions: 0 };
+        cells[key].questions++;
+        if (q.co) {
+            if (!outcomes[q.co]) outcomes[q.co] = { co: q.co, questions: 0, marks: 0, units: {} };
+            outcomes[q.co].questions++;
+            outcomes[q.co].marks += marks || 0;
+            outcomes[q.co].units[q.unit] = (outcomes[q.co].units[q.unit] || 0) + 1;
+        }
+    });
+    return {
+        cells: Object.values(cells).sort((a, b) => a.unit - b.unit || a.btLevel.localeCompare(b.btLevel) || (a.marks || 0) - (b.marks || 0)),
+        outcomes: Object.values(outcomes).sort((a, b) => a.co.localeCompare(b.co, undefined, { numeric: true }))
+    };
+}
+
+// Helper Function to Derive a Paper's Id from Everything That Determines Its Questions (and its template, when it has one)
+function paperIdFor(bank, blueprint, seed, options, template) {
+    const inputs = [bank.id, bank.version, blueprint, String(seed), selectorVersion];
+    if (Object.keys(options).length > 0) inputs.push(options);
+    if (template) inputs.push({ templateId: template.id });
+    return crypto.createHash('sha256')
+        .update(JSON.stringify(inputs))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// Function to build a paper from a bank version, blueprint, seed and options; the same inputs always give the same paper.
+// The template is copied onto the paper so later edits to it do not change how an existing paper prints
+function buildPaper(bank, blueprint, seed, options = {}, template = null) {
+    const { parts } = generateQuestions(blueprint, bank.questions, createRandom(seed), options);
+    // A deadline only bounds the search; it is not one of the inputs the paper is rebuilt from
+    const { deadline, ...paperOptions } = options;
+
+    // Extract paper details from the first question
+    const firstQuestion = parts.flatMap(part => part.questions)[0] || {};
+    const paperDetails = {
+        subjectCode: firstQuestion.subjectCode || '',
+        subject: firstQuestion.subject || '',
+        branch: firstQuestion.branch || '',
+        regulation: firstQuestion.regulation || '',
+        year: firstQuestion.year || '',
+        semester: firstQuestion.semester || '',
+        month: firstQuestion.month || ''
+    };
+
+    const paper = {
+        id: paperIdFor(bank, blueprint, seed, paperOptions, template),
+        seed: String(seed),
+        options: paperOptions,
+        selectorVersion,
+        bankId: bank.id,
+        bankVersion: bank.version,
+        blueprint: { id: blueprint.id, name: blueprint.name },
+        blueprintDefinition: blueprint,
+        parts: parts.map(part => ({
+            name: part.name,
+            questions: part.questions.map(q => paperQuestion(q, seed))
+        })),
+        paperDetails
+    };
+    if (template) {
+        paper.templateId = template.id;
+        paper.template = template;
+    }
+    return paper;
+}
+
+// Helper Function to Copy the Fields a Paper Keeps from a Selected Bank Question (labelled, with its marks).
+// Parameters are expanded from the paper's seed, the label and the question id, so a rebuild or a reprint picks the same values
+function paperQuestion(q, seed) {
+    return {
+        id: q.id,
+        question: q.question,
+        imageUrl: q.imageUrl,
+        imageSource: q.imageSource,
+        image: q.image,
+        imageMissing: q.imageMissing,
+        btLevel: q.btLevel,
+        unit: q.unit,
+        label: q.label,
+        marks: q.marks,
+        answer: q.answer || '',
+        keyPoints: q.keyPoints || [],
+        co: q.co || '',
+        pos: q.pos || [],
+        psos: q.psos || [],
+        ...expandQuestionParameters(q, createRandom(`${seed}|${q.label}|${q.id}`))
+    };
+}
+
+// Helper Function to Work Out Which Questions Each Set Uses and How Much Every Pair of Sets Shares
+function setOverlap(sets) {
+    const questionSets = {};
+    const idsBySet = sets.map(({ name, paper }) => {
+        const ids = paper.parts.flatMap(part => part.questions.map(q => q.id));
+        ids.forEach(id => {
+            if (!questionSets[id]) questionSets[id] = [];
+            questionSets[id].push(name);
+        });
+        return new Set(ids);
+    });
+
+    const pairs = [];
+    for (let i = 0; i < sets.length; i++) {
+        for (let j = i + 1; j < sets.length; j++) {
+            const sharedIds = [...idsBySet[i]].filter(id => idsBySet[j].has(id));
+            pairs.push({ sets: [sets[i].name, sets[j].name], shared: sharedIds.length, questionIds: sharedIds });
+        }
+    }
+    return { pairs, questionSets };
+}
+
+// Function to draw question-disjoint sets of a blueprint together: one search over the blueprint repeated with parts
+// per set finds a split of the questions, then drawSet(name, options) draws each set on its own with the questions of
+// the other sets excluded (the split's questions for sets still to come), so a set built from its stored options can be
+// rebuilt. The split's own set is always open to each draw; only its pooled CO minimums can leave a draw short, and that
+// failure is marked as unsettled (gaveUp) rather than as proof that the sets cannot exist
+function drawDisjointSets(blueprint, questions, seed, count, options, drawSet) {
+    const split = selectPaperQuestions(multiplyBlueprint(blueprint, count, true), questions, createRandom(`${seed}-sets`), options);
+    const planned = Array.from({ length: count }, () => []);
+    split.forEach((part, partIndex) => planned[Math.floor(partIndex / blueprint.parts.length)].push(...part.questions.map(q => q.id)));
+
+    const sets = [];
+    for (let i = 0; i < count; i++) {
+        const name = String.fromCharCode(65 + i);
+        const otherIds = [
+            ...sets.flatMap(({ paper }) => paper.parts.flatMap(part => part.questions.map(q => q.id))),
+            ...planned.slice(i + 1).flat()
+        ];
+        const excludeIds = [...new Set([...(options.excludeIds || []), ...otherIds])].sort((a, b) => a - b);
+        try {
+            sets.push({ name, paper: drawSet(name, { ...options, excludeIds }) });
+        } catch (error) {
+            if (error.details) error.gaveUp = true;
+            throw error;
+        }
+    }
+    return sets;
+}
+
+module.exports = {
+    countBlueprintQuestions,
+    tierSplitProblem,
+    findBlueprintLabel,
+    blueprintLabelMarks,
+    answerableMarks,
+    fitsSlot,
+    selectPaperQuestions,
+    createRandom,
+    selectorVersion,
+    setsTimeLimitMs,
+    analysisTimeLimitMs,
+    generateQuestions,
+    coverageShortfalls,
+    setSupplyProblems,
+    distinctSets,
+    possiblePapers,
+    setShortfalls,
+    bankMatrix,
+    buildPaper,
+    paperQuestion,
+    setOverlap,
+    drawDisjointSets
+};
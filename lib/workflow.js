@@ -0,0 +1,191 @@
+// Paper workflow: stored papers, review statuses, the audit log, reviewer swaps and question usage
+
+const path = require('path');
+const fs = require('fs');
+const { dataDir, readDataFile, writeDataFile } = require('./data');
+const { isValidBankId, loadBankVersion } = require('./banks');
+const { findBlueprintLabel, blueprintLabelMarks, fitsSlot, coverageShortfalls, paperQuestion } = require('./selection');
+
+// Every generated paper is stored as a draft so it can be reviewed, exported, audited or rebuilt later; regenerating
+// an existing id yields the same questions, so the stored record (with its swaps, status and finalization) is kept
+function storeGeneratedPaper(paper, user, extra = {}) {
+    const stored = loadPaper(paper.id);
+    if (stored) return stored;
+    savePaper({ ...paper, ...extra, status: 'draft', swaps: [], createdAt: new Date().toISOString() });
+    recordAudit(paper.id, user, 'created', { to: 'draft' });
+    return loadPaper(paper.id);
+}
+
+// Generated papers are stored one file per paper under data/papers
+const papersDir = 'papers';
+
+function savePaper(paper) {
+    writeDataFile(path.join(papersDir, `${paper.id}.json`), paper);
+    return paper;
+}
+
+function loadPaper(id) {
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_-]{1,128}$/.test(id)) return null;
+    return readDataFile(path.join(papersDir, `${id}.json`), null);
+}
+
+// Papers move draft -> submitted -> approved -> released; the HoD may also send a submitted paper back to draft
+const paperTransitions = [
+    { from: 'draft', to: 'submitted', roles: ['examcell'] },
+    { from: 'submitted', to: 'approved', roles: ['hod'] },
+    { from: 'submitted', to: 'draft', roles: ['hod'] },
+    { from: 'approved', to: 'released', roles: ['examcell'] }
+];
+const paperStatuses = ['draft', 'submitted', 'approved', 'released'];
+
+// Every status change and question swap is appended to a per-paper log under data/audit
+const auditDir = 'audit';
+
+// Papers stored before the review workflow have no status and are treated as drafts
+function paperStatus(paper) {
+    return paper.status || 'draft';
+}
+
+// The exam cell reads every paper; the HoD reads one only while it waits for their approval
+function canReadPaper(user, paper) {
+    return user.role === 'examcell' || (user.role === 'hod' && paperStatus(paper) === 'submitted');
+}
+
+function loadAudit(paperId) {
+    return readDataFile(path.join(auditDir, `${paperId}.json`), []);
+}
+
+function recordAudit(paperId, user, action, details = {}) {
+    const entry = { at: new Date().toISOString(), user: user ? user.username : null, action, ...details };
+    writeDataFile(path.join(auditDir, `${paperId}.json`), [...loadAudit(paperId), entry]);
+    return entry;
+}
+
+// Helper Function to Find a Labelled Question and Its Part in a Paper
+function findPaperQuestion(paper, label) {
+    for (const part of paper.parts) {
+        const question = part.questions.find(q => q.label === label);
+        if (question) return { part, question };
+    }
+    return null;
+}
+
+// Helper Function to Put a Bank Question in Place of a Labelled Question, Keeping the Label and Its Marks
+function replacePaperQuestion(paper, label, bankQuestion) {
+    const found = findPaperQuestion(paper, label);
+    if (!found || !bankQuestion) {
+        throw new Error(`Cannot swap question ${label}: question not found`);
+    }
+    const index = found.part.questions.indexOf(found.question);
+    found.part.questions[index] = paperQuestion({ ...bankQuestion, label, marks: found.question.marks }, paper.seed);
+    return found.part.questions[index];
+}
+
+// Helper Function to List the Bank Questions That Can Replace a Labelled Question: same unit, BTL and marks,
+// not already on the paper (nor a near-duplicate of another question on it), not excluded by the paper's usage
+// options and keeping the blueprint's CO coverage met
+function swapCandidates(paper, bank, label) {
+    const found = findPaperQuestion(paper, label);
+    if (!found) return null;
+    const blueprintPart = paper.blueprintDefinition.parts.find(part => part.name === found.part.name);
+    // Candidates keep the replaced question's marks even where they come from the bank, so choice partners and totals stay level
+    const slotMarks = blueprintLabelMarks(blueprintPart, findBlueprintLabel(blueprintPart, found.question.label));
+    const onPaper = new Set(paper.parts.flatMap(part => part.questions.map(q => q.id)));
+    const groupOf = id => {
+        const q = bank.questions.find(question => question.id === id);
+        return q && q.duplicateGroup ? q.duplicateGroup : id;
+    };
+    const otherGroups = new Set([...onPaper].filter(id => id !== found.question.id).map(groupOf));
+    const excludeIds = new Set((paper.options && paper.options.excludeIds) || []);
+    const coverage = paper.blueprintDefinition.coCoverage || [];
+    const others = paper.parts.flatMap(part => part.questions).filter(q => q !== found.question);
+    return bank.questions.filter(q =>
+        fitsSlot(q, { unit: found.question.unit, btLevels: [found.question.btLevel], marks: slotMarks }) &&
+        (slotMarks !== null || q.marks === found.question.marks) &&
+        !onPaper.has(q.id) &&
+        !otherGroups.has(groupOf(q.id)) &&
+        !excludeIds.has(q.id) &&
+        coverageShortfalls(coverage, [...others, { ...q, marks: found.question.marks }]).length === 0);
+}
+
+// Helper Function to Load a Stored Paper Together with the Bank Version It Was Built From
+function loadPaperWithBank(id) {
+    const paper = loadPaper(id);
+    if (!paper) {
+        return { status: 404, error: `Paper '${id}' not found` };
+    }
+    const bank = loadBankVersion(paper.bankId, paper.bankVersion);
+    if (!bank) {
+        return { status: 410, error: `Version ${paper.bankVersion} of question bank '${paper.bankId}' is no longer stored` };
+    }
+    return { paper, bank };
+}
+
+// Question usage is recorded per bank under data/usage whenever a paper is finalized for an exam
+const usageDir = 'usage';
+const defaultUsageWindow = parseInt(process.env.USAGE_WINDOW, 10) >= 0 ? parseInt(process.env.USAGE_WINDOW, 10) : 2;
+const defaultUsageMode = process.env.USAGE_MODE || 'downweight';
+
+function loadUsage(bankId) {
+    return isValidBankId(bankId) ? readDataFile(path.join(usageDir, `${bankId}.json`), []) : [];
+}
+
+function saveUsage(bankId, entries) {
+    writeDataFile(path.join(usageDir, `${bankId}.json`), entries);
+}
+
+// Helper Function to Forget a Deleted Bank's Usage: question ids restart when a bank of that id is uploaded again
+function clearUsage(bankId) {
+    fs.rmSync(path.join(dataDir, usageDir, `${bankId}.json`), { force: true });
+}
+
+// Helper Function to Collect the Question Ids Used by a Bank's Most Recent Exams. Every paper finalized for an exam
+// (each set of it, say) has its own usage entry, so entries are grouped by exam name and date before the window applies
+function recentlyUsedIds(bankId, window) {
+    const exams = new Map();
+    loadUsage(bankId)
+        .sort((a, b) => b.date.localeCompare(a.date) || b.finalizedAt.localeCompare(a.finalizedAt))
+        .forEach(entry => {
+            const key = `${entry.date}|${entry.examName}`;
+            if (!exams.has(key)) exams.set(key, []);
+            exams.get(key).push(...entry.questionIds);
+        });
+    return [...new Set([...exams.values()].slice(0, window).flat())].sort((a, b) => a - b);
+}
+
+// Helper Function to Turn a Request's Usage Window into Generation Options:
+// 'downweight' only prefers other questions, 'exclude' removes recently used ones outright
+function usageOptions(body, bankId) {
+    const window = body.usageWindow === undefined ? defaultUsageWindow : body.usageWindow;
+    const mode = body.usageMode === undefined ? defaultUsageMode : body.usageMode;
+    if (!Number.isInteger(window) || window < 0) {
+        return { error: 'usageWindow must be a non-negative integer' };
+    }
+    if (!['downweight', 'exclude'].includes(mode)) {
+        return { error: "usageMode must be 'downweight' or 'exclude'" };
+    }
+    const ids = window > 0 ? recentlyUsedIds(bankId, window) : [];
+    if (ids.length === 0) return { options: {} };
+    return { options: mode === 'exclude' ? { excludeIds: ids } : { avoidIds: ids } };
+}
+
+module.exports = {
+    papersDir,
+    savePaper,
+    loadPaper,
+    storeGeneratedPaper,
+    paperTransitions,
+    paperStatuses,
+    paperStatus,
+    canReadPaper,
+    loadAudit,
+    recordAudit,
+    findPaperQuestion,
+    replacePaperQuestion,
+    swapCandidates,
+    loadPaperWithBank,
+    loadUsage,
+    saveUsage,
+    clearUsage,
+    usageOptions
+};
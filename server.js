@@ -4,15 +4,77 @@ const XLSX = require('xlsx');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const axios = require('axios');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+const { logLevel, createLogger, logger } = require('./lib/logger');
+const { incrementCounter, observeHistogram, renderMetrics } = require('./lib/metrics');
+const { dataDir, readDataFile, writeDataFile } = require('./lib/data');
+const {
+    bankIdFor, bankFile, loadBank, saveBank, loadBankVersion, listBanks, createBank, findDuplicateClusters,
+    summarizeBank, normalizeQuestionText
+} = require('./lib/banks');
+const {
+    getDirectImageURL, thumbnailFilePath, localImageUrl, findStoredImage,
+    storeImage, importQuestionImage, missingPaperImages, imageProxyCacheTtlSeconds, proxiedImage
+} = require('./lib/images');
+const { markupSource, renderMarkup, markupProblems, renderedQuestion } = require('./lib/markup');
+const {
+    parseQuestionParameters, substituteParameters, sampleParameterValues, questionParameterProblems
+} = require('./lib/parameters');
+const {
+    countBlueprintQuestions, tierSplitProblem, findBlueprintLabel, blueprintLabelMarks, answerableMarks,
+    selectorVersion, setsTimeLimitMs, analysisTimeLimitMs,
+    setSupplyProblems, distinctSets, possiblePapers, setShortfalls, bankMatrix, buildPaper, setOverlap,
+    drawDisjointSets
+} = require('./lib/selection');
+const {
+    paperMarks, publicPaperParts, loadPaperImages,
+    renderPaperPdf, renderPaperDocx, paperFileName, paperCoverage, renderCoverageWorkbook, buildAnswerKey,
+    renderAnswerKeyPdf
+} = require('./lib/export');
+const {
+    papersDir, savePaper, loadPaper, storeGeneratedPaper, paperTransitions, paperStatuses, paperStatus, canReadPaper,
+    loadAudit, recordAudit, findPaperQuestion, replacePaperQuestion, swapCandidates, loadPaperWithBank, loadUsage,
+    saveUsage, clearUsage, usageOptions
+} = require('./lib/workflow');
 
 const app = express();
 const port = 3000;
 
-// Middleware
-app.use(cors());
+// Middleware to give every request an id (a well-formed X-Request-Id from the client is kept), a logger that tags
+// its lines with that id, and one access log line plus a request count once the response is sent
+app.use((req, res, next) => {
+    const clientId = req.get('X-Request-Id');
+    req.id = clientId && /^[A-Za-z0-9._-]{1,64}$/.test(clientId) ? clientId : crypto.randomUUID();
+    req.log = createLogger({ requestId: req.id });
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        incrementCounter('http_requests_total', { method: req.method, status: res.statusCode });
+        // Query strings are left out since they can carry image URLs and search text
+        req.log.info('Request completed', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+            user: req.user ? req.user.username : undefined
+        });
+    });
+    next();
+});
+
+// API Endpoint to Expose Metrics for Scraping (outside /api, so it needs no sign-in)
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Middleware (CORS_ORIGINS, a comma-separated list, limits which browser origins may call the API)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : {}));
 app.use(express.json());
-app.use('/uploads', express.static(path.join(__dirname, 'Uploads')));
+app.use('/uploads', (req, res, next) => authenticate(req, res, next), requireRole('faculty', 'examcell', 'admin'),
+    express.static(path.join(__dirname, 'Uploads')));
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -28,135 +90,1600 @@ const storage = multer.diskStorage({
     }
 });
 
+// A ZIP of a bank plus its images is the largest upload expected; anything bigger is refused before it is stored
+const uploadSizeLimitMb = 50;
+
 const upload = multer({
     storage: storage,
+    limits: { fileSize: uploadSizeLimitMb * 1024 * 1024, files: 1, fields: 20 },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
-            file.mimetype === 'application/vnd.ms-excel') {
+        if (isSpreadsheetUpload(file) || isZipUpload(file)) {
             cb(null, true);
         } else {
-            cb(null, false);
-            return cb(new Error('Only Excel files are allowed!'));
+            cb(new Error('Only Excel, ODS or CSV files, or ZIP files of one of those plus images, are allowed!'));
+        }
+    }
+});
+
+// Helper Function to Receive One Uploaded File, Answering a Refused File with a JSON Error Instead of Express's Error Page
+function receiveUpload(field) {
+    const receive = upload.single(field);
+    return (req, res, next) => receive(req, res, error => {
+        if (!error) return next();
+        if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ error: `File is larger than ${uploadSizeLimitMb} MB` });
+        }
+        res.status(400).json({ error: error.message });
+    });
+}
+
+// Spreadsheet formats the upload accepts; CSV is matched by extension too since browsers label it inconsistently
+const spreadsheetMimeTypes = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'text/csv',
+    'application/csv'
+];
+const spreadsheetExtensionPattern = /\.(xlsx|xls|ods|csv)$/i;
+
+function isSpreadsheetUpload(file) {
+    return spreadsheetMimeTypes.includes(file.mimetype) || spreadsheetExtensionPattern.test(file.originalname);
+}
+
+// Helper Function to Recognise a ZIP Upload (browsers disagree on its MIME type)
+function isZipUpload(file) {
+    return ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+        path.extname(file.originalname).toLowerCase() === '.zip';
+}
+
+// Helper Function to Parse Spreadsheet Bytes; CSV is decoded as UTF-8 so non-ASCII text survives
+function readSpreadsheet(data, fileName) {
+    return /\.csv$/i.test(fileName)
+        ? XLSX.read(data.toString('utf8'), { type: 'string' })
+        : XLSX.read(data, { type: 'buffer' });
+}
+
+// Helper Function to Read an Uploaded ZIP: the first spreadsheet in it plus every image, keyed by lower-case file name
+function readZipUpload(filePath) {
+    const entries = new AdmZip(filePath).getEntries()
+        .filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'));
+    const sheetEntry = entries.find(entry => spreadsheetExtensionPattern.test(entry.entryName));
+    if (!sheetEntry) {
+        throw new Error('ZIP file does not contain an Excel, ODS or CSV file');
+    }
+    const images = {};
+    entries
+        .filter(entry => /\.(png|jpe?g|gif|webp|bmp|tiff?|svg)$/i.test(entry.entryName))
+        .forEach(entry => {
+            images[path.basename(entry.entryName).toLowerCase()] = entry.getData();
+        });
+    return { workbook: readSpreadsheet(sheetEntry.getData(), sheetEntry.entryName), images };
+}
+
+// User accounts live in data/users.json and login sessions in data/sessions.json (only token hashes are stored)
+const usersFile = 'users.json';
+const sessionsFile = 'sessions.json';
+const initialAdminPasswordFile = 'initial-admin-password';
+const roles = ['admin', 'faculty', 'hod', 'examcell'];
+const sessionTtlHours = Number(process.env.SESSION_TTL_HOURS) > 0 ? Number(process.env.SESSION_TTL_HOURS) : 12;
+let users = loadUsers();
+
+// Helper Function to Hash a Password with scrypt and a Per-User Salt
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function checkPassword(user, password) {
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const given = Buffer.from(hashPassword(String(password), user.salt), 'hex');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Helper Function to Load Users, Creating the First Admin on First Run
+// (from ADMIN_USERNAME/ADMIN_PASSWORD, or with a one-time random password written to data/initial-admin-password)
+function loadUsers() {
+    const stored = readDataFile(usersFile, null);
+    if (stored && Object.keys(stored).length > 0) return stored;
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    const salt = crypto.randomBytes(16).toString('hex');
+    const initial = {
+        [username]: { username, name: 'Administrator', role: 'admin', subjects: [], salt, passwordHash: hashPassword(password, salt), createdAt: new Date().toISOString() }
+    };
+    writeDataFile(usersFile, initial);
+    if (!process.env.ADMIN_PASSWORD) {
+        // The password goes to a file only the server's user can read, never to the logs, which are shipped elsewhere
+        const passwordPath = path.join(dataDir, initialAdminPasswordFile);
+        fs.writeFileSync(passwordPath, `${password}\n`, { mode: 0o600 });
+        fs.chmodSync(passwordPath, 0o600);
+        logger.warn(`Created admin user '${username}'; the one-time password is in ${passwordPath}. Change it through /api/users and delete the file.`);
+    }
+    return initial;
+}
+
+function publicUser(user) {
+    const { salt, passwordHash, ...rest } = user;
+    return rest;
+}
+
+// Helper Function to Validate a User Record from the Admin API, Returning a List of Problems (empty when valid)
+function validateUserFields(fields, creating) {
+    const errors = [];
+    if (creating && (typeof fields.username !== 'string' || !/^[A-Za-z0-9._-]{3,64}$/.test(fields.username))) {
+        errors.push("'username' must be 3-64 letters, digits, '.', '-' or '_'");
+    }
+    if ((creating || fields.password !== undefined) && (typeof fields.password !== 'string' || fields.password.length < 8)) {
+        errors.push("'password' must be at least 8 characters");
+    }
+    if ((creating || fields.role !== undefined) && !roles.includes(fields.role)) {
+        errors.push(`'role' must be one of ${roles.join(', ')}`);
+    }
+    if (fields.subjects !== undefined && (!Array.isArray(fields.subjects) || !fields.subjects.every(code => typeof code === 'string' && code.trim() !== ''))) {
+        errors.push("'subjects' must be an array of subject codes");
+    }
+    if (fields.name !== undefined && typeof fields.name !== 'string') {
+        errors.push("'name' must be a string");
+    }
+    return errors;
+}
+
+function createSession(username) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + sessionTtlHours * 3600 * 1000).toISOString();
+    const now = new Date().toISOString();
+    const sessions = readDataFile(sessionsFile, {});
+    // Drop expired sessions whenever a new one is written
+    Object.keys(sessions).forEach(key => {
+        if (sessions[key].expiresAt <= now) delete sessions[key];
+    });
+    sessions[hashToken(token)] = { username, expiresAt };
+    writeDataFile(sessionsFile, sessions);
+    return { token, expiresAt };
+}
+
+function endSessions(predicate) {
+    const sessions = readDataFile(sessionsFile, {});
+    Object.keys(sessions).forEach(key => {
+        if (predicate(key, sessions[key])) delete sessions[key];
+    });
+    writeDataFile(sessionsFile, sessions);
+}
+
+// Middleware to Require a Valid Bearer Token, Setting req.user
+function authenticate(req, res, next) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+([a-f0-9]{64})$/i);
+    const tokenHash = match ? hashToken(match[1].toLowerCase()) : null;
+    const session = tokenHash ? readDataFile(sessionsFile, {})[tokenHash] : null;
+    if (!session || session.expiresAt <= new Date().toISOString() || !users[session.username]) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = users[session.username];
+    req.tokenHash = tokenHash;
+    next();
+}
+
+// Middleware Factory to Allow Only the Given Roles
+function requireRole(...allowed) {
+    return (req, res, next) => {
+        if (!allowed.includes(req.user.role)) {
+            return res.status(403).json({ error: `This action requires role: ${allowed.join(' or ')}` });
+        }
+        next();
+    };
+}
+
+// Faculty may only work with the subjects assigned to them; other roles see every subject
+function canAccessSubject(user, subjectCode) {
+    if (user.role !== 'faculty') return true;
+    const code = String(subjectCode || '').trim().toUpperCase();
+    return (user.subjects || []).some(subject => subject.trim().toUpperCase() === code);
+}
+
+// Every /api route except login needs a signed-in user. Question text (banks, papers and answer keys) is read only by
+// the roles that work with it: faculty their own subjects' banks, admins every bank, the exam cell every bank and
+// paper, and the HoD a paper, its answer key and its coverage while the paper is submitted for their approval (read-only: swaps
+// and downloads stay with the exam cell). Otherwise HoDs get bank summaries, usage, paper lists and audit logs,
+// which carry no question text. Stored images are served to any signed-in
+// user, as they are addressed by a content hash that only a reader of the question learns
+app.use('/api', (req, res, next) => (req.path === '/auth/login' ? next() : authenticate(req, res, next)));
+
+// API Endpoints for Login Sessions
+app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body;
+    const user = typeof username === 'string' && Object.prototype.hasOwnProperty.call(users, username) ? users[username] : null;
+    if (!user || typeof password !== 'string' || !checkPassword(user, password)) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    const session = createSession(user.username);
+    res.json({ ...session, user: publicUser(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    endSessions(key => key === req.tokenHash);
+    res.json({ message: 'Logged out' });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(publicUser(req.user));
+});
+
+// API Endpoints for Administrators to Manage Users
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    res.json(Object.values(users).map(publicUser));
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+    const errors = validateUserFields(req.body, true);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+    if (Object.prototype.hasOwnProperty.call(users, req.body.username)) {
+        return res.status(409).json({ error: `User '${req.body.username}' already exists` });
+    }
+    const salt = crypto.randomBytes(16).toString('hex');
+    const user = {
+        username: req.body.username,
+        name: req.body.name || req.body.username,
+        role: req.body.role,
+        subjects: req.body.subjects || [],
+        salt,
+        passwordHash: hashPassword(req.body.password, salt),
+        createdAt: new Date().toISOString()
+    };
+    users[user.username] = user;
+    writeDataFile(usersFile, users);
+    res.status(201).json(publicUser(user));
+});
+
+app.put('/api/users/:username', requireRole('admin'), (req, res) => {
+    const user = Object.prototype.hasOwnProperty.call(users, req.params.username) ? users[req.params.username] : null;
+    if (!user) {
+        return res.status(404).json({ error: `User '${req.params.username}' not found` });
+    }
+    const errors = validateUserFields(req.body, false);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
+    if (user.role === 'admin' && req.body.role && req.body.role !== 'admin' &&
+        Object.values(users).filter(u => u.role === 'admin').length === 1) {
+        return res.status(400).json({ error: 'Cannot remove the role of the last admin' });
+    }
+    if (req.body.name !== undefined) user.name = req.body.name;
+    if (req.body.role !== undefined) user.role = req.body.role;
+    if (req.body.subjects !== undefined) user.subjects = req.body.subjects;
+    if (req.body.password !== undefined) {
+        user.salt = crypto.randomBytes(16).toString('hex');
+        user.passwordHash = hashPassword(req.body.password, user.salt);
+        endSessions((key, session) => session.username === user.username);
+    }
+    writeDataFile(usersFile, users);
+    res.json(publicUser(user));
+});
+
+app.delete('/api/users/:username', requireRole('admin'), (req, res) => {
+    const user = Object.prototype.hasOwnProperty.call(users, req.params.username) ? users[req.params.username] : null;
+    if (!user) {
+        return res.status(404).json({ error: `User '${req.params.username}' not found` });
+    }
+    if (user.username === req.user.username) {
+        return res.status(400).json({ error: 'Administrators cannot delete their own account' });
+    }
+    delete users[user.username];
+    writeDataFile(usersFile, users);
+    endSessions((key, session) => session.username === user.username);
+    res.json({ message: `User '${user.username}' deleted` });
+});
+
+// Blueprints describe the layout of a paper: its parts, labels, units, marks, choices and BTL mix
+const blueprintsFile = 'blueprints.json';
+const defaultBlueprintsDir = path.join(__dirname, 'blueprints');
+let blueprints = loadBlueprints();
+
+// Helper Function to Load Stored Blueprints, Seeding from the Bundled Defaults on First Run
+function loadBlueprints() {
+    const stored = readDataFile(blueprintsFile, null);
+    if (stored) return stored;
+
+    const defaults = {};
+    fs.readdirSync(defaultBlueprintsDir)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const blueprint = JSON.parse(fs.readFileSync(path.join(defaultBlueprintsDir, file), 'utf8'));
+            defaults[blueprint.id] = blueprint;
+        });
+    writeDataFile(blueprintsFile, defaults);
+    return defaults;
+}
+
+function getBlueprint(id) {
+    return Object.prototype.hasOwnProperty.call(blueprints, id) ? blueprints[id] : null;
+}
+
+// Helper Function to Validate a Blueprint, Returning a List of Problems (empty when valid)
+function validateBlueprint(blueprint) {
+    const errors = [];
+    const validBTLevels = ['1', '2', '3', '4', '5', '6'];
+    const isPositiveNumber = value => typeof value === 'number' && isFinite(value) && value > 0;
+
+    if (!blueprint || typeof blueprint !== 'object' || Array.isArray(blueprint)) {
+        return ['Blueprint must be a JSON object'];
+    }
+    if (typeof blueprint.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(blueprint.id)) {
+        errors.push("'id' must be 1-64 letters, digits, '-' or '_'");
+    }
+    if (typeof blueprint.name !== 'string' || blueprint.name.trim() === '') {
+        errors.push("'name' must be a non-empty string");
+    }
+    if (!Array.isArray(blueprint.parts) || blueprint.parts.length === 0) {
+        errors.push("'parts' must be a non-empty array");
+        return errors;
+    }
+
+    const partNames = new Set();
+    const allLabels = new Set();
+    blueprint.parts.forEach((part, partIndex) => {
+        const where = `parts[${partIndex}]`;
+        if (!part || typeof part !== 'object') {
+            errors.push(`${where} must be an object`);
+            return;
+        }
+        if (typeof part.name !== 'string' || part.name.trim() === '') {
+            errors.push(`${where}.name must be a non-empty string`);
+        } else if (partNames.has(part.name)) {
+            errors.push(`${where}.name '${part.name}' is used by another part`);
+        } else {
+            partNames.add(part.name);
+        }
+        if (!Array.isArray(part.btLevels) || part.btLevels.length === 0 ||
+            !part.btLevels.every(level => validBTLevels.includes(level))) {
+            errors.push(`${where}.btLevels must be a non-empty array of '1'-'6'`);
+        }
+        // Without marks on the part or a label, the label takes the marks its bank question carries
+        if (part.marks !== undefined && !isPositiveNumber(part.marks)) {
+            errors.push(`${where}.marks must be a positive number`);
+        }
+        if (part.maxMarks !== undefined && !isPositiveNumber(part.maxMarks)) {
+            errors.push(`${where}.maxMarks must be a positive number`);
+        }
+        if (!Array.isArray(part.questions) || part.questions.length === 0) {
+            errors.push(`${where}.questions must be a non-empty array`);
+            return;
+        }
+
+        const partLabels = new Set();
+        part.questions.forEach((question, questionIndex) => {
+            const qWhere = `${where}.questions[${questionIndex}]`;
+            if (!question || typeof question.label !== 'string' || question.label.trim() === '') {
+                errors.push(`${qWhere}.label must be a non-empty string`);
+                return;
+            }
+            if (allLabels.has(question.label)) {
+                errors.push(`${qWhere}.label '${question.label}' is used more than once`);
+            }
+            allLabels.add(question.label);
+            partLabels.add(question.label);
+            if (!Number.isInteger(question.unit) || question.unit < 1 || question.unit > 5) {
+                errors.push(`${qWhere}.unit must be an integer from 1 to 5`);
+            }
+            if (question.marks !== undefined && !isPositiveNumber(question.marks)) {
+                errors.push(`${qWhere}.marks must be a positive number`);
+            }
+        });
+
+        if (part.choiceGroups !== undefined) {
+            if (!Array.isArray(part.choiceGroups)) {
+                errors.push(`${where}.choiceGroups must be an array`);
+            } else {
+                const grouped = new Set();
+                part.choiceGroups.forEach((group, groupIndex) => {
+                    const gWhere = `${where}.choiceGroups[${groupIndex}]`;
+                    if (!group || !Array.isArray(group.alternatives) || group.alternatives.length < 2) {
+                        errors.push(`${gWhere}.alternatives must list at least two alternatives`);
+                        return;
+                    }
+                    let labelsKnown = true;
+                    group.alternatives.forEach((alternative, altIndex) => {
+                        if (!Array.isArray(alternative) || alternative.length === 0) {
+                            errors.push(`${gWhere}.alternatives[${altIndex}] must be a non-empty array of labels`);
+                            labelsKnown = false;
+                            return;
+                        }
+                        alternative.forEach(label => {
+                            if (!partLabels.has(label)) {
+                                errors.push(`${gWhere} refers to unknown label '${label}' in Part ${part.name}`);
+                                labelsKnown = false;
+                            } else if (grouped.has(label)) {
+                                errors.push(`${gWhere} reuses label '${label}' from another choice`);
+                            }
+                            grouped.add(label);
+                        });
+                    });
+                    if (!labelsKnown) return;
+
+                    // Alternatives are compared position by position (2a with 3a, 2b with 3b), so students
+                    // choosing either one face the same units and marks
+                    const [first, ...others] = group.alternatives;
+                    others.forEach(alternative => {
+                        if (alternative.length !== first.length) {
+                            errors.push(`${gWhere}: alternatives [${first.join(', ')}] and [${alternative.join(', ')}] must have the same number of labels`);
+                            return;
+                        }
+                        alternative.forEach((label, position) => {
+                            const [a, b] = [findBlueprintLabel(part, first[position]), findBlueprintLabel(part, label)];
+                            if (a.unit !== b.unit) {
+                                errors.push(`${gWhere}: '${a.label}' (Unit ${a.unit}) and '${b.label}' (Unit ${b.unit}) are alternatives and must share a unit`);
+                            }
+                            if (blueprintLabelMarks(part, a) !== blueprintLabelMarks(part, b)) {
+                                errors.push(`${gWhere}: '${a.label}' and '${b.label}' are alternatives and must carry the same marks`);
+                            }
+                        });
+                    });
+                });
+            }
+        }
+
+        if (part.btlMix !== undefined && part.btlMix !== 'auto') {
+            if (!Array.isArray(part.btlMix)) {
+                errors.push(`${where}.btlMix must be 'auto' or an array of { levels, count }`);
+            } else {
+                let mixTotal = 0;
+                part.btlMix.forEach((req, reqIndex) => {
+                    const rWhere = `${where}.btlMix[${reqIndex}]`;
+                    if (!req || !Array.isArray(req.levels) || req.levels.length === 0 ||
+                        !req.levels.every(level => Array.isArray(part.btLevels) && part.btLevels.includes(level))) {
+                        errors.push(`${rWhere}.levels must be a non-empty subset of the part's btLevels`);
+                    }
+                    if (!req || !Number.isInteger(req.count) || req.count < 1) {
+                        errors.push(`${rWhere}.count must be a positive integer`);
+                    } else {
+                        mixTotal += req.count;
+                    }
+                });
+                if (mixTotal > part.questions.length) {
+                    errors.push(`${where}.btlMix asks for ${mixTotal} questions but the part has only ${part.questions.length}`);
+                }
+            }
+        }
+    });
+
+    // coCoverage lists minimum marks and/or questions the paper must give each course outcome
+    if (blueprint.coCoverage !== undefined) {
+        if (!Array.isArray(blueprint.coCoverage)) {
+            errors.push("'coCoverage' must be an array of { co, minMarks, minQuestions }");
+        } else {
+            const outcomes = new Set();
+            blueprint.coCoverage.forEach((req, reqIndex) => {
+                const where = `coCoverage[${reqIndex}]`;
+                if (!req || typeof req.co !== 'string' || parseOutcome(req.co, 'CO') !== req.co) {
+                    errors.push(`${where}.co must be a course outcome such as 'CO1'`);
+                    return;
+                }
+                if (outcomes.has(req.co)) {
+                    errors.push(`${where}.co '${req.co}' is listed more than once`);
+                }
+                outcomes.add(req.co);
+                if (req.minMarks === undefined && req.minQuestions === undefined) {
+                    errors.push(`${where} must set minMarks or minQuestions`);
+                }
+                if (req.minMarks !== undefined && !isPositiveNumber(req.minMarks)) {
+                    errors.push(`${where}.minMarks must be a positive number`);
+                }
+                if (req.minQuestions !== undefined && (!Number.isInteger(req.minQuestions) || req.minQuestions < 1)) {
+                    errors.push(`${where}.minQuestions must be a positive integer`);
+                }
+            });
+        }
+    }
+
+    if (blueprint.maxMarks !== undefined && !isPositiveNumber(blueprint.maxMarks)) {
+        errors.push("'maxMarks' must be a positive number");
+    }
+    if (errors.length > 0) return errors;
+
+    // Totals count one alternative per choice group; parts whose marks come from the bank are checked at generation
+    const partTotals = blueprint.parts.map(part => {
+        const total = answerableMarks(part, label => blueprintLabelMarks(part, label));
+        if (total !== null && part.maxMarks !== undefined && total !== part.maxMarks) {
+            errors.push(`Part ${part.name} totals ${total} marks but its maxMarks is ${part.maxMarks}`);
+        }
+        return total !== null ? total : part.maxMarks;
+    });
+    if (blueprint.maxMarks !== undefined && partTotals.every(total => total !== undefined)) {
+        const paperTotal = partTotals.reduce((total, marks) => total + marks, 0);
+        if (paperTotal !== blueprint.maxMarks) {
+            errors.push(`Parts total ${paperTotal} marks but the blueprint's maxMarks is ${blueprint.maxMarks}`);
+        }
+    }
+
+    // Choice alternatives need questions of the same BTL, so an explicit BTL mix must split across them
+    blueprint.parts.forEach(part => {
+        if (!Array.isArray(part.btlMix)) return;
+        const problem = tierSplitProblem(part, part.btlMix);
+        if (problem) errors.push(problem);
+    });
+
+    return errors;
+}
+
+// Helper Function to Find the Question Count of the Smallest Configured Blueprint
+function minimumBankSize() {
+    const counts = Object.values(blueprints).map(countBlueprintQuestions);
+    return counts.length > 0 ? Math.min(...counts) : 1;
+}
+
+// API Endpoints to Manage Blueprints
+app.get('/api/blueprints', (req, res) => {
+    res.json(Object.values(blueprints).map(blueprint => ({
+        id: blueprint.id,
+        name: blueprint.name,
+        description: blueprint.description || '',
+        questionCount: countBlueprintQuestions(blueprint)
+    })));
+});
+
+app.get('/api/blueprints/:id', (req, res) => {
+    const blueprint = getBlueprint(req.params.id);
+    if (!blueprint) {
+        return res.status(404).json({ error: `Blueprint '${req.params.id}' not found` });
+    }
+    res.json(blueprint);
+});
+
+app.post('/api/blueprints', requireRole('examcell', 'admin'), (req, res) => {
+    const errors = validateBlueprint(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid blueprint', details: errors });
+    }
+    if (getBlueprint(req.body.id)) {
+        return res.status(409).json({ error: `Blueprint '${req.body.id}' already exists` });
+    }
+    blueprints[req.body.id] = req.body;
+    writeDataFile(blueprintsFile, blueprints);
+    res.status(201).json(req.body);
+});
+
+app.put('/api/blueprints/:id', requireRole('examcell', 'admin'), (req, res) => {
+    if (!getBlueprint(req.params.id)) {
+        return res.status(404).json({ error: `Blueprint '${req.params.id}' not found` });
+    }
+    const blueprint = { ...req.body, id: req.params.id };
+    const errors = validateBlueprint(blueprint);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid blueprint', details: errors });
+    }
+    blueprints[req.params.id] = blueprint;
+    writeDataFile(blueprintsFile, blueprints);
+    res.json(blueprint);
+});
+
+app.delete('/api/blueprints/:id', requireRole('examcell', 'admin'), (req, res) => {
+    if (!getBlueprint(req.params.id)) {
+        return res.status(404).json({ error: `Blueprint '${req.params.id}' not found` });
+    }
+    delete blueprints[req.params.id];
+    writeDataFile(blueprintsFile, blueprints);
+    res.json({ message: `Blueprint '${req.params.id}' deleted` });
+});
+
+const editableQuestionFields = ['unit', 'question', 'btLevel', 'imageUrl', 'sno', 'month', 'answer', 'answerFormula', 'marks', 'keyPoints', 'co', 'pos', 'psos'];
+
+// Helper Function to Load a Bank the Signed-In User May Work With (null when missing or outside their subjects)
+function loadBankForUser(user, id) {
+    const bank = loadBank(id);
+    return bank && canAccessSubject(user, bank.subjectCode) ? bank : null;
+}
+
+// Helper Function to Apply an Edit to a Stored Question, Returning a List of Problems (empty when applied)
+function applyQuestionUpdate(question, changes) {
+    const errors = [];
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return ['Request body must be a JSON object'];
+    }
+    const unknown = Object.keys(changes).filter(field => !editableQuestionFields.includes(field));
+    if (unknown.length > 0) {
+        errors.push(`Fields cannot be edited: ${unknown.join(', ')}`);
+    }
+
+    const updated = { ...question };
+    if (changes.unit !== undefined) {
+        const unit = typeof changes.unit === 'number' ? changes.unit : romanToInt(changes.unit);
+        if (!Number.isInteger(unit) || unit < 1 || unit > 5) {
+            errors.push("'unit' must be 1-5 or I-V");
+        }
+        updated.unit = unit;
+    }
+    if (changes.btLevel !== undefined) {
+        const btLevel = String(changes.btLevel).trim().replace(/^L/i, '');
+        if (!['1', '2', '3', '4', '5', '6'].includes(btLevel)) {
+            errors.push("'btLevel' must be 1-6 or L1-L6");
+        }
+        updated.btLevel = btLevel;
+    }
+    if (changes.question !== undefined) {
+        if (typeof changes.question !== 'string' || changes.question.trim() === '') {
+            errors.push("'question' must be a non-empty string");
+        }
+        updated.question = markupSource(changes.question);
+    }
+    if (changes.imageUrl !== undefined) {
+        updated.imageUrl = changes.imageUrl ? getDirectImageURL(String(changes.imageUrl)) : '';
+    }
+    if (changes.marks !== undefined) {
+        updated.marks = changes.marks === null ? null : parseMarks(changes.marks);
+        if (changes.marks !== null && updated.marks === null) {
+            errors.push("'marks' must be a positive number or null");
+        }
+    }
+    if (changes.keyPoints !== undefined) {
+        const points = Array.isArray(changes.keyPoints)
+            ? changes.keyPoints.map(point => (point && typeof point === 'object' ? `${point.text}${point.marks ? ` (${point.marks})` : ''}` : point))
+            : changes.keyPoints;
+        updated.keyPoints = parseKeyPoints(points);
+    }
+    if (changes.co !== undefined) {
+        updated.co = changes.co === null || changes.co === '' ? '' : parseOutcome(changes.co, 'CO');
+        if (updated.co === null) {
+            errors.push("'co' must be a course outcome such as 'CO1', or empty");
+        }
+    }
+    [['pos', 'PO'], ['psos', 'PSO']].forEach(([field, prefix]) => {
+        if (changes[field] === undefined) return;
+        updated[field] = parseOutcomeList(changes[field], prefix);
+        if (updated[field] === null) {
+            errors.push(`'${field}' must be a list of outcomes such as '${prefix}1'`);
+        }
+    });
+    if (changes.answer !== undefined) updated.answer = markupSource(changes.answer);
+    if (changes.answerFormula !== undefined) updated.answerFormula = changes.answerFormula === null ? '' : String(changes.answerFormula).trim();
+    if (changes.question !== undefined || changes.answer !== undefined || changes.answerFormula !== undefined) {
+        const parameterProblems = questionParameterProblems(updated.question, updated.answerFormula);
+        errors.push(...parameterProblems);
+        if (parameterProblems.length === 0) {
+            const sample = sampleParameterValues(parseQuestionParameters(updated.question).parameters);
+            errors.push(...markupProblems(substituteParameters(updated.question, sample)), ...markupProblems(substituteParameters(updated.answer, sample)));
+        }
+    }
+    if (changes.sno !== undefined) updated.sno = String(changes.sno);
+    if (changes.month !== undefined) updated.month = String(changes.month);
+
+    if (errors.length === 0) Object.assign(question, updated);
+    return errors;
+}
+
+// API Endpoints to Manage Question Banks
+app.get('/api/banks', (req, res) => {
+    res.json(listBanks().filter(bank => canAccessSubject(req.user, bank.subjectCode)).map(summarizeBank));
+});
+
+app.get('/api/banks/:bankId', requireRole('faculty', 'examcell', 'admin'), (req, res) => {
+    const bank = loadBankForUser(req.user, req.params.bankId);
+    if (!bank) {
+        return res.status(404).json({ error: `Question bank '${req.params.bankId}' not found` });
+    }
+    res.json(bank);
+});
+
+app.delete('/api/banks/:bankId', requireRole('faculty', 'admin'), (req, res) => {
+    const bank = loadBankForUser(req.user, req.params.bankId);
+    if (!bank) {
+        return res.status(404).json({ error: `Question bank '${req.params.bankId}' not found` });
+    }
+    fs.unlinkSync(path.join(dataDir, bankFile(bank.id)));
+    clearUsage(bank.id);
+    res.json({ message: `Question bank '${bank.id}' deleted` });
+});
+
+app.get('/api/banks/:bankId/questions', requireRole('faculty', 'examcell', 'admin'), (req, res) => {
+    const bank = loadBankForUser(req.user, req.params.bankId);
+    if (!bank) {
+        return res.status(404).json({ error: `Question bank '${req.params.bankId}' not found` });
+    }
+    const { unit, btLevel } = req.query;
+    res.json(bank.questions.filter(q =>
+        (unit === undefined || q.unit === Number(unit)) &&
+        (btLevel === undefined || q.btLevel === String(btLevel).replace(/^L/i, ''))
+    ).map(renderedQuestion));
+});
+
+app.get('/api/banks/:bankId/questions/:questionId', requireRole('faculty', 'examcell', 'admin'), (req, res) => {
+    const bank = loadBankForUser(req.user, req.params.bankId);
+    const question = bank && bank.questions.find(q => q.id === Number(req.params.questionId));
+    if (!question) {
+        return res.status(404).json({ error: `Question ${req.params.questionId} not found in bank '${req.params.bankId}'` });
+    }
+    res.json(renderedQuestion(question));
+});
+
+app.put('/api/banks/:bankId/questions/:questionId', requireRole('faculty', 'admin'), async (req, res) => {
+    try {
+        const bank = loadBankForUser(req.user, req.params.bankId);
+        const question = bank && bank.questions.find(q => q.id === Number(req.params.questionId));
+        if (!question) {
+            return res.status(404).json({ error: `Question ${req.params.questionId} not found in bank '${req.params.bankId}'` });
+        }
+        const errors = applyQuestionUpdate(question, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid question update', details: errors });
+        }
+        if (req.body.imageUrl !== undefined) {
+            if (req.body.imageUrl) {
+                const failure = await importQuestionImage(question, String(req.body.imageUrl), {}, {});
+                if (failure) {
+                    return res.status(400).json({ error: `Image could not be imported: ${failure}` });
+                }
+            } else {
+                ['image', 'imageSource', 'imageMissing'].forEach(field => delete question[field]);
+            }
+        }
+        saveBank(bank);
+        res.json(renderedQuestion(question));
+    } catch (error) {
+        req.log.error('Error updating question', { error: error.message });
+        res.status(500).json({ error: 'Error updating question: ' + error.message });
+    }
+});
+
+app.delete('/api/banks/:bankId/questions/:questionId', requireRole('faculty', 'admin'), (req, res) => {
+    const bank = loadBankForUser(req.user, req.params.bankId);
+    const question = bank && bank.questions.find(q => q.id === Number(req.params.questionId));
+    if (!question) {
+        return res.status(404).json({ error: `Question ${req.params.questionId} not found in bank '${req.params.bankId}'` });
+    }
+    bank.questions = bank.questions.filter(q => q.id !== question.id);
+    saveBank(bank);
+    res.json({ message: `Question ${question.id} deleted from bank '${bank.id}'` });
+});
+
+// Column layout of bank uploads, in the order an export writes them
+const bankColumns = ['S.NO', 'Unit', 'Question', 'B.T Level', 'Subject Code', 'Subject', 'Branch', 'Regulation', 'Year', 'Sem', 'Month',
+    'Image Url', 'Answer', 'Answer Formula', 'Marks', 'Key Points', 'CO', 'PO', 'PSO'];
+// Custom workbook property marking a file as an export of this server (its value is '<bank id>@<version>')
+const bankExportProperty = 'QuestionBankExport';
+
+// Helper Function to Turn a Stored Question Back into an Upload Row (the reverse of processExcelData)
+function questionToRow(q) {
+    const monthDate = stringToExcelDate(q.month);
+    return {
+        'S.NO': /^\d+$/.test(q.sno || '') ? Number(q.sno) : (q.sno || ''),
+        'Unit': intToRoman(q.unit),
+        'Question': markupSource(q.question),
+        'B.T Level': `L${q.btLevel}`,
+        'Subject Code': q.subjectCode,
+        'Subject': q.subject,
+        'Branch': q.branch,
+        'Regulation': q.regulation,
+        'Year': q.year,
+        'Sem': q.semester,
+        'Month': monthDate === null ? (q.month || '') : { v: monthDate, t: 'n', z: 'mmmm yyyy' },
+        'Image Url': q.imageSource || q.imageUrl || '',
+        'Answer': markupSource(q.answer),
+        'Answer Formula': q.answerFormula || '',
+        'Marks': q.marks === null || q.marks === undefined ? '' : q.marks,
+        'Key Points': (q.keyPoints || []).map(point => (point.marks ? `${point.text} (${point.marks})` : point.text)).join('\n'),
+        'CO': q.co || '',
+        'PO': (q.pos || []).join(', '),
+        'PSO': (q.psos || []).join(', ')
+    };
+}
+
+// Function to write a bank as a workbook in the upload column layout
+function renderBankWorkbook(bank) {
+    const sheet = XLSX.utils.aoa_to_sheet([bankColumns]);
+    XLSX.utils.sheet_add_json(sheet, bank.questions.map(questionToRow), { header: bankColumns, skipHeader: true, origin: 'A2' });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, sheet, 'Questions');
+    workbook.Custprops = { [bankExportProperty]: `${bank.id}@${bank.version}` };
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// API Endpoint to Download a Bank as an Excel File that Can Be Edited and Uploaded Again
+app.get('/api/banks/:bankId/export', requireRole('faculty', 'examcell', 'admin'), (req, res) => {
+    try {
+        const bank = loadBankForUser(req.user, req.params.bankId);
+        if (!bank) {
+            return res.status(404).json({ error: `Question bank '${req.params.bankId}' not found` });
+        }
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.set('Content-Disposition', `attachment; filename="${bank.id}-v${bank.version}.xlsx"`);
+        res.send(renderBankWorkbook(bank));
+    } catch (error) {
+        req.log.error('Error exporting question bank', { error: error.message });
+        res.status(500).json({ error: 'Error exporting question bank: ' + error.message });
+    }
+});
+
+// API Endpoint to List a Bank's Near-Duplicate Clusters with Their Questions and Similarity Scores
+// (a cluster stored before some of its questions left the bank lists only those still in it)
+app.get('/api/banks/:bankId/duplicates', requireRole('faculty', 'examcell', 'admin'), (req, res) => {
+    const bank = loadBankForUser(req.user, req.params.bankId);
+    if (!bank) {
+        return res.status(404).json({ error: `Question bank '${req.params.bankId}' not found` });
+    }
+    const byId = new Map(bank.questions.map(q => [q.id, q]));
+    res.json((bank.duplicateClusters || [])
+        .map(cluster => ({
+            ...cluster,
+            questionIds: cluster.questionIds.filter(id => byId.has(id)),
+            pairs: cluster.pairs.filter(pair => pair.questionIds.every(id => byId.has(id)))
+        }))
+        .filter(cluster => cluster.questionIds.length > 1)
+        .map(cluster => ({
+            ...cluster,
+            questions: cluster.questionIds.map(id => {
+                const q = byId.get(id);
+                return { id: q.id, sno: q.sno, unit: q.unit, btLevel: q.btLevel, question: q.question };
+            })
+        })));
+});
+
+// Helper Function to Load a Bank and One of Its Duplicate Clusters for the Merge and Dismiss Endpoints
+function loadDuplicateCluster(user, bankId, clusterId) {
+    const bank = loadBankForUser(user, bankId);
+    if (!bank) {
+        return { status: 404, error: `Question bank '${bankId}' not found` };
+    }
+    const cluster = (bank.duplicateClusters || []).find(entry => entry.id === clusterId);
+    if (!cluster) {
+        return { status: 404, error: `Duplicate cluster '${clusterId}' not found in bank '${bankId}'` };
+    }
+    return { bank, cluster };
+}
+
+// API Endpoint to Merge a Duplicate Cluster, Keeping One Question ({ keep: questionId }) and Deleting the Others
+app.post('/api/banks/:bankId/duplicates/:clusterId/merge', requireRole('faculty', 'admin'), (req, res) => {
+    const { bank, cluster, status, error } = loadDuplicateCluster(req.user, req.params.bankId, req.params.clusterId);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    const keep = Number(req.body.keep);
+    if (!cluster.questionIds.includes(keep)) {
+        return res.status(400).json({ error: `'keep' must be one of the cluster's questions: ${cluster.questionIds.join(', ')}` });
+    }
+    const removed = cluster.questionIds.filter(id => id !== keep);
+    bank.questions = bank.questions.filter(q => !removed.includes(q.id));
+    saveBank(bank);
+    res.json({ message: `Kept question ${keep} and deleted ${removed.join(', ')} from bank '${bank.id}'`, kept: keep, removed, version: bank.version });
+});
+
+// API Endpoint to Mark a Duplicate Cluster's Questions as Distinct, so They Are No Longer Clustered
+app.post('/api/banks/:bankId/duplicates/:clusterId/dismiss', requireRole('faculty', 'admin'), (req, res) => {
+    const { bank, cluster, status, error } = loadDuplicateCluster(req.user, req.params.bankId, req.params.clusterId);
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    bank.distinctQuestionSets = [...(bank.distinctQuestionSets || []), cluster.questionIds];
+    saveBank(bank);
+    res.json({ message: `Questions ${cluster.questionIds.join(', ')} of bank '${bank.id}' are marked as distinct`, version: bank.version });
+});
+
+// Function to import the images of freshly processed rows ({ question, row, index } entries), adding a warning
+// per image that could not be imported
+async function importUploadedImages(entries, zipImages, report) {
+    const fetched = {};
+    for (const { question, row, index } of entries) {
+        const source = String(row['Image Url'] || '').trim();
+        if (!source) continue;
+        const failure = await importQuestionImage(question, source, zipImages, fetched);
+        if (failure) {
+            report.warnings.push(reportEntry(sheetRowNumber(row, index), row['S.NO'], 'Image Url', source,
+                `Image could not be imported: ${failure}`, row.__sheet__));
+        }
+    }
+}
+
+// Fields an upload may change on a question already in the bank (the image cell is compared separately)
+const mergedQuestionFields = ['unit', 'question', 'btLevel', 'subjectCode', 'subject', 'branch', 'regulation', 'year', 'semester',
+    'month', 'answer', 'answerFormula', 'marks', 'keyPoints', 'co', 'pos', 'psos'];
+
+// Helper Function to Find the First Question Id a Bank Has Never Used: past its questions and any id its usage
+// history records, so a new question never inherits a removed one's usage
+function nextQuestionId(bank) {
+    return Math.max(0, ...bank.questions.map(q => q.id), ...loadUsage(bank.id).flatMap(entry => entry.questionIds)) + 1;
+}
+
+// Function to plan how an upload changes one bank. 'replace' stores the uploaded rows as the whole bank, keeping the
+// id of every question whose unit and text are already in it; 'merge' updates questions by S.NO (keeping their ids),
+// adds new ones and keeps those missing from the file unless removeMissing is set. Stored questions are copied, so a
+// dry run or a rejected upload never touches them
+function planBankUpload(id, entries, mode, removeMissing, report) {
+    const existing = loadBank(id);
+    const rowImage = row => String(row['Image Url'] || '').trim();
+
+    if (existing && mode === 'replace') {
+        const textKey = q => `${q.unit}|${normalizeQuestionText(q.question)}`;
+        const stored = {};
+        existing.questions.forEach(q => {
+            if (!stored[textKey(q)]) stored[textKey(q)] = [];
+            stored[textKey(q)].push(q.id);
+        });
+        let nextId = nextQuestionId(existing);
+        entries.forEach(entry => {
+            const ids = stored[textKey(entry.question)];
+            entry.question.id = ids && ids.length > 0 ? ids.shift() : nextId++;
+        });
+    }
+    if (!existing || mode === 'replace') {
+        return {
+            id,
+            questions: entries.map(entry => entry.question),
+            imageEntries: entries.filter(entry => rowImage(entry.row)),
+            diff: {
+                mode: existing ? 'replaced' : 'created',
+                added: entries.map(entry => entry.question.sno),
+                updated: [],
+                unchanged: 0,
+                removed: existing ? existing.questions.map(q => q.sno) : [],
+                kept: 0
+            },
+            // Ids survive a replace, so questions a reviewer marked as distinct stay so
+            distinctQuestionSets: existing ? existing.distinctQuestionSets || [] : []
+        };
+    }
+
+    const bySerial = {};
+    existing.questions.forEach(q => {
+        if (q.sno) (bySerial[q.sno] = bySerial[q.sno] || []).push(q);
+    });
+    let nextId = nextQuestionId(existing);
+    const diff = { mode: 'merged', added: [], updated: [], unchanged: 0, removed: [], kept: 0 };
+    const imageEntries = [];
+    const merged = {};
+    const added = [];
+    let unnumbered = 0;
+
+    entries.forEach(entry => {
+        const incoming = entry.question;
+        const matches = incoming.sno ? bySerial[incoming.sno] || [] : [];
+        if (matches.length > 1) {
+            report.errors.push(reportEntry(sheetRowNumber(entry.row, entry.index), incoming.sno, 'S.NO', incoming.sno,
+                `S.NO matches ${matches.length} questions in bank '${id}'; renumber the bank before merging`, entry.row.__sheet__));
+            return;
+        }
+        if (matches.length === 0) {
+            const question = { ...incoming, id: nextId++ };
+            added.push(question);
+            diff.added.push(incoming.sno);
+            if (!incoming.sno) unnumbered++;
+            if (rowImage(entry.row)) imageEntries.push({ ...entry, question });
+            return;
+        }
+
+        const current = matches[0];
+        const question = { ...current };
+        // Text stored before Markdown kept its line breaks as <br>; read alike, it is not a change
+        const stored = field => (field === 'question' || field === 'answer' ? markupSource(current[field]) : current[field]);
+        const fields = mergedQuestionFields.filter(field => JSON.stringify(stored(field)) !== JSON.stringify(incoming[field]));
+        fields.forEach(field => {
+            question[field] = incoming[field];
+        });
+        const source = rowImage(entry.row);
+        const currentSource = current.imageSource || current.imageUrl || '';
+        if (source !== currentSource && getDirectImageURL(source) !== currentSource) {
+            fields.push('imageUrl');
+            if (source) {
+                imageEntries.push({ ...entry, question });
+            } else {
+                question.imageUrl = '';
+                ['image', 'imageSource', 'imageMissing'].forEach(field => delete question[field]);
+            }
+        } else if (source && current.imageMissing) {
+            // Same image as before, but it never made it into the store; try again
+            imageEntries.push({ ...entry, question });
+        }
+        merged[current.id] = question;
+        if (fields.length > 0) {
+            diff.updated.push({ sno: incoming.sno, fields });
+        } else {
+            diff.unchanged++;
+        }
+    });
+
+    const questions = [];
+    existing.questions.forEach(q => {
+        if (merged[q.id]) {
+            questions.push(merged[q.id]);
+        } else if (removeMissing) {
+            diff.removed.push(q.sno);
+        } else {
+            questions.push(q);
+            diff.kept++;
+        }
+    });
+    if (unnumbered > 0) {
+        report.warnings.push(reportEntry(null, null, 'S.NO', unnumbered,
+            `${unnumbered} rows for bank '${id}' have no S.NO and were added as new questions`));
+    }
+    return { id, questions: [...questions, ...added], imageEntries, diff, distinctQuestionSets: existing.distinctQuestionSets || [] };
+}
+
+// API Endpoints to Serve Stored Images and Their Thumbnails
+app.get('/api/images/:hash', (req, res) => {
+    const stored = findStoredImage(req.params.hash);
+    if (!stored) {
+        return res.status(404).json({ error: `Image '${req.params.hash}' not found` });
+    }
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type(stored.contentType).sendFile(stored.filePath);
+});
+
+app.get('/api/images/:hash/thumbnail', (req, res) => {
+    const stored = findStoredImage(req.params.hash);
+    if (!stored || !fs.existsSync(thumbnailFilePath(req.params.hash))) {
+        return res.status(404).json({ error: `Thumbnail for image '${req.params.hash}' not found` });
+    }
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    res.type('image/png').sendFile(thumbnailFilePath(req.params.hash));
+});
+
+// Proxy endpoint to fetch an allowed image and return it base64-encoded. Responses carry an ETag (the image's
+// SHA-256) so clients can revalidate with If-None-Match; failures answer with an error status and a code
+// (invalid_url, host_not_allowed, private_address, too_large, not_an_image, timeout, upstream_status, fetch_failed).
+// It previews the images of questions being written, so it is open to the roles that upload banks
+app.get('/api/image-proxy-base64', requireRole('faculty', 'admin'), async (req, res) => {
+    const { url } = req.query;
+    if (!url || typeof url !== 'string') {
+        incrementCounter('image_proxy_failures_total', { reason: 'missing_url' });
+        req.log.warn('No URL provided to /api/image-proxy-base64');
+        return res.status(400).json({ error: 'No URL provided', code: 'missing_url' });
+    }
+
+    const directUrl = getDirectImageURL(url);
+    const started = process.hrtime.bigint();
+    const observeDuration = () => observeHistogram('image_proxy_duration_seconds', {}, Number(process.hrtime.bigint() - started) / 1e9);
+    req.log.debug('Fetching image', { url: directUrl });
+
+    try {
+        const { entry, cache } = await proxiedImage(directUrl, req.log);
+        observeDuration();
+        res.set('ETag', entry.etag);
+        res.set('Cache-Control', `private, max-age=${imageProxyCacheTtlSeconds}`);
+        res.set('X-Cache', cache);
+        const ifNoneMatch = req.get('If-None-Match');
+        if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(entry.etag)) {
+            return res.status(304).end();
+        }
+        req.log.debug('Fetched image', { url: directUrl, contentType: entry.contentType, bytes: entry.data.length, cache });
+        res.json({ dataUrl: `data:${entry.contentType};base64,${entry.data.toString('base64')}` });
+    } catch (error) {
+        observeDuration();
+        const reason = error.reason || 'internal_error';
+        incrementCounter('image_proxy_failures_total', { reason });
+        (error.status && error.status < 500 ? req.log.warn : req.log.error)('Image proxy error', { url: directUrl, reason, error: error.message });
+        res.status(error.status || 500).json({ error: error.message, code: reason });
+    }
+});
+
+// Paper templates hold the institution branding, exam session, instructions and footer printed around a paper's
+// questions. A template may also pin subject fields (a value or a list of accepted values) that papers must match
+const templatesFile = 'templates.json';
+const templateSubjectFields = ['subjectCode', 'subject', 'branch', 'regulation', 'year', 'semester'];
+
+function loadTemplates() {
+    return readDataFile(templatesFile, {});
+}
+
+function getTemplate(id) {
+    const templates = loadTemplates();
+    return Object.prototype.hasOwnProperty.call(templates, id) ? templates[id] : null;
+}
+
+// Helper Function to Validate a Paper Template, Returning a List of Problems (empty when valid). A template is
+// { id, name, institution: { name, affiliation?, address? }, session, examTitle?, duration?, maxMarks?,
+// instructions?: [text], footer?, subject?: { <paper detail>: value | [values] } }; the logo is uploaded separately
+function validateTemplate(template) {
+    const errors = [];
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+        return ['Template must be a JSON object'];
+    }
+    if (typeof template.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(template.id)) {
+        errors.push("'id' must be 1-64 letters, digits, '-' or '_'");
+    }
+    if (!isText(template.name)) {
+        errors.push("'name' must be a non-empty string");
+    }
+    if (!template.institution || typeof template.institution !== 'object' || Array.isArray(template.institution)) {
+        errors.push("'institution' must be an object with a name");
+    } else {
+        if (!isText(template.institution.name)) {
+            errors.push("'institution.name' must be a non-empty string");
+        }
+        ['affiliation', 'address'].forEach(field => {
+            if (template.institution[field] !== undefined && typeof template.institution[field] !== 'string') {
+                errors.push(`'institution.${field}' must be a string`);
+            }
+        });
+    }
+    if (!isText(template.session)) {
+        errors.push("'session' must be a non-empty string (e.g. 'November 2026')");
+    }
+    ['examTitle', 'duration', 'footer'].forEach(field => {
+        if (template[field] !== undefined && typeof template[field] !== 'string') {
+            errors.push(`'${field}' must be a string`);
+        }
+    });
+    if (template.maxMarks !== undefined && !(typeof template.maxMarks === 'number' && isFinite(template.maxMarks) && template.maxMarks > 0)) {
+        errors.push("'maxMarks' must be a positive number");
+    }
+    if (template.instructions !== undefined && (!Array.isArray(template.instructions) || !template.instructions.every(isText))) {
+        errors.push("'instructions' must be an array of non-empty strings");
+    }
+    if (template.subject !== undefined) {
+        if (!template.subject || typeof template.subject !== 'object' || Array.isArray(template.subject)) {
+            errors.push("'subject' must map paper details to the values they must have");
+        } else {
+            Object.entries(template.subject).forEach(([field, value]) => {
+                if (!templateSubjectFields.includes(field)) {
+                    errors.push(`subject: '${field}' is not a paper detail (${templateSubjectFields.join(', ')})`);
+                } else if (!isText(value) && !(Array.isArray(value) && value.length > 0 && value.every(isText))) {
+                    errors.push(`subject['${field}'] must be a non-empty string or array of strings`);
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+// Helper Function to Add the Logo's Image URL to a Template Sent to Clients
+function templateResponse(template) {
+    return template.logo ? { ...template, logo: { ...template.logo, url: localImageUrl(template.logo.hash) } } : template;
+}
+
+// Helper Function to List Where a Paper Disagrees with Its Template's Subject Fields or Max Marks (empty when consistent)
+function templateMismatches(template, paper) {
+    const normalize = value => String(value).trim().toUpperCase();
+    const mismatches = [];
+    Object.entries(template.subject || {}).forEach(([field, value]) => {
+        const expected = [].concat(value);
+        const actual = paper.paperDetails[field];
+        if (!expected.some(entry => normalize(entry) === normalize(actual))) {
+            mismatches.push({ field, expected, actual, message: `${field} is '${actual}' but template '${template.id}' expects ${expected.map(entry => `'${entry}'`).join(' or ')}` });
+        }
+    });
+    if (template.maxMarks !== undefined) {
+        const marks = paperMarks(paper);
+        const actual = marks.max || marks.total;
+        if (actual !== template.maxMarks) {
+            mismatches.push({ field: 'maxMarks', expected: [template.maxMarks], actual, message: `paper carries ${actual} marks but template '${template.id}' expects ${template.maxMarks}` });
+        }
+    }
+    return mismatches;
+}
+
+// Logos go straight to the image store, so they are held in memory rather than written to Uploads/
+const logoUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
+
+// API Endpoints to Manage Paper Templates
+app.get('/api/templates', (req, res) => {
+    res.json(Object.values(loadTemplates()).map(templateResponse));
+});
+
+app.get('/api/templates/:id', (req, res) => {
+    const template = getTemplate(req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: `Template '${req.params.id}' not found` });
+    }
+    res.json(templateResponse(template));
+});
+
+app.post('/api/templates', requireRole('examcell', 'admin'), (req, res) => {
+    const template = { ...req.body };
+    delete template.logo;
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+    const templates = loadTemplates();
+    if (templates[template.id]) {
+        return res.status(409).json({ error: `Template '${template.id}' already exists` });
+    }
+    templates[template.id] = template;
+    writeDataFile(templatesFile, templates);
+    res.status(201).json(templateResponse(template));
+});
+
+// The logo is kept across edits; it only changes through the logo endpoints
+app.put('/api/templates/:id', requireRole('examcell', 'admin'), (req, res) => {
+    const templates = loadTemplates();
+    const existing = templates[req.params.id];
+    if (!existing) {
+        return res.status(404).json({ error: `Template '${req.params.id}' not found` });
+    }
+    const template = { ...req.body, id: req.params.id };
+    delete template.logo;
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+    if (existing.logo) template.logo = existing.logo;
+    templates[req.params.id] = template;
+    writeDataFile(templatesFile, templates);
+    res.json(templateResponse(template));
+});
+
+// Papers keep a copy of the template they were generated with, so deleting one does not change existing papers
+app.delete('/api/templates/:id', requireRole('examcell', 'admin'), (req, res) => {
+    const templates = loadTemplates();
+    if (!templates[req.params.id]) {
+        return res.status(404).json({ error: `Template '${req.params.id}' not found` });
+    }
+    delete templates[req.params.id];
+    writeDataFile(templatesFile, templates);
+    res.json({ message: `Template '${req.params.id}' deleted` });
+});
+
+// API Endpoints to Set or Remove a Template's Logo (multipart field 'logo'; PNG and JPEG are kept, other images become PNG)
+app.post('/api/templates/:id/logo', requireRole('examcell', 'admin'), (req, res, next) => {
+    logoUpload.single('logo')(req, res, error => {
+        if (error) {
+            return res.status(400).json({ error: 'Error uploading logo: ' + error.message });
+        }
+        next();
+    });
+}, async (req, res) => {
+    try {
+        const templates = loadTemplates();
+        const template = templates[req.params.id];
+        if (!template) {
+            return res.status(404).json({ error: `Template '${req.params.id}' not found` });
+        }
+        if (!req.file) {
+            return res.status(400).json({ error: "No logo uploaded; send the image in the multipart field 'logo'" });
+        }
+        let logo;
+        try {
+            logo = await storeImage(req.file.buffer);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        template.logo = logo;
+        writeDataFile(templatesFile, templates);
+        res.json(templateResponse(template));
+    } catch (error) {
+        req.log.error('Error storing template logo', { error: error.message });
+        res.status(500).json({ error: 'Error storing template logo: ' + error.message });
+    }
+});
+
+app.delete('/api/templates/:id/logo', requireRole('examcell', 'admin'), (req, res) => {
+    const templates = loadTemplates();
+    const template = templates[req.params.id];
+    if (!template) {
+        return res.status(404).json({ error: `Template '${req.params.id}' not found` });
+    }
+    delete template.logo;
+    writeDataFile(templatesFile, templates);
+    res.json(templateResponse(template));
+});
+
+// Header spellings recognised for each upload column, compared after normalizeHeader (so 'B.T. Level', 'b t level'
+// and 'BT Level' all match 'btlevel'); column-mapping profiles add their own aliases on top of these
+const columnAliases = {
+    'S.NO': ['sno', 'slno', 'serialno', 'serialnumber', 'qno', 'questionno', 'questionnumber'],
+    'Unit': ['unit', 'unitno', 'module'],
+    'Question': ['question', 'questions', 'questiontext'],
+    'B.T Level': ['btlevel', 'btl', 'bloomlevel', 'bloomslevel', 'bloomstaxonomylevel', 'bloomstaxonomy', 'cognitivelevel'],
+    'Subject Code': ['subjectcode', 'subcode', 'coursecode'],
+    'Subject': ['subject', 'subjectname', 'course', 'coursename'],
+    'Branch': ['branch', 'department', 'dept'],
+    'Regulation': ['regulation', 'reg'],
+    'Year': ['year'],
+    'Sem': ['sem', 'semester'],
+    'Month': ['month', 'monthyear', 'exammonth'],
+    'Image Url': ['imageurl', 'image', 'imagelink', 'img', 'figure'],
+    'Answer': ['answer', 'modelanswer'],
+    'Answer Formula': ['answerformula', 'formula'],
+    'Marks': ['marks', 'mark', 'maxmarks'],
+    'Key Points': ['keypoints', 'rubric', 'markingscheme'],
+    'CO': ['co', 'courseoutcome'],
+    'PO': ['po', 'pos', 'programoutcomes'],
+    'PSO': ['pso', 'psos', 'programspecificoutcomes']
+};
+const columnProfilesFile = 'column-profiles.json';
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function loadColumnProfiles() {
+    return readDataFile(columnProfilesFile, {});
+}
+
+// Helper Function to Validate a Column-Mapping Profile, Returning a List of Problems (empty when valid). A profile is
+// { id, name, columns: { '<upload column>': ['alias', ...] }, defaults: { '<upload column>': value } }; defaults fill
+// cells that are empty or whose column the file lacks (e.g. a bank kept without a Regulation column)
+function validateColumnProfile(profile) {
+    const errors = [];
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return ['Profile must be a JSON object'];
+    }
+    if (typeof profile.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(profile.id)) {
+        errors.push("'id' must be 1-64 letters, digits, '-' or '_'");
+    }
+    if (typeof profile.name !== 'string' || profile.name.trim() === '') {
+        errors.push("'name' must be a non-empty string");
+    }
+    if (profile.columns !== undefined) {
+        if (!profile.columns || typeof profile.columns !== 'object' || Array.isArray(profile.columns)) {
+            errors.push("'columns' must map upload columns to lists of header names");
+        } else {
+            Object.entries(profile.columns).forEach(([column, aliases]) => {
+                if (!bankColumns.includes(column)) {
+                    errors.push(`columns: '${column}' is not an upload column (${bankColumns.join(', ')})`);
+                } else if (!Array.isArray(aliases) || aliases.length === 0 ||
+                    !aliases.every(alias => typeof alias === 'string' && normalizeHeader(alias) !== '')) {
+                    errors.push(`columns['${column}'] must be a non-empty array of header names`);
+                }
+            });
+        }
+    }
+    if (profile.defaults !== undefined) {
+        if (!profile.defaults || typeof profile.defaults !== 'object' || Array.isArray(profile.defaults)) {
+            errors.push("'defaults' must map upload columns to values");
+        } else {
+            Object.entries(profile.defaults).forEach(([column, value]) => {
+                if (!bankColumns.includes(column)) {
+                    errors.push(`defaults: '${column}' is not an upload column (${bankColumns.join(', ')})`);
+                } else if (!['string', 'number'].includes(typeof value)) {
+                    errors.push(`defaults['${column}'] must be a string or a number`);
+                }
+            });
         }
     }
-});
+    return errors;
+}
 
-// Store questions in memory
-let questionBank = null;
+// Helper Function to Match a Sheet's Headers to Upload Columns; returns { columns: { header: column }, unmatched: [header] }
+function matchSheetHeaders(headers, profile) {
+    const lookup = {};
+    // Profile aliases are registered first so they win over the built-in spellings
+    const aliasLists = [profile ? profile.columns || {} : {}, columnAliases];
+    aliasLists.forEach(aliases => Object.entries(aliases).forEach(([column, names]) => {
+        [column, ...names].forEach(name => {
+            const key = normalizeHeader(name);
+            if (!lookup[key]) lookup[key] = column;
+        });
+    }));
 
-// Function to convert Google Drive sharing URL to direct image URL
-function getDirectImageURL(url) {
-    const driveRegex = /https:\/\/drive\.google\.com\/file\/d\/([^/]+)\/view/;
-    const match = url.match(driveRegex);
-    return match ? `https://drive.google.com/uc?export=view&id=${match[1]}` : url;
+    const columns = {};
+    const unmatched = [];
+    const taken = new Set();
+    headers.forEach(header => {
+        const column = lookup[normalizeHeader(header)];
+        if (column && !taken.has(column)) {
+            columns[header] = column;
+            taken.add(column);
+        } else {
+            unmatched.push(header);
+        }
+    });
+    return { columns, unmatched };
 }
 
-// Proxy endpoint to fetch image and return base64 data
-app.get('/api/image-proxy-base64', async (req, res) => {
-    const { url } = req.query;
-    if (!url) {
-        console.error('No URL provided to /api/image-proxy-base64');
-        return res.status(400).json({ error: 'No URL provided' });
-    }
-
-    const directUrl = getDirectImageURL(url);
-    console.log(`Fetching image from: ${directUrl}`);
+// Function to read the named sheets of a workbook as rows keyed by upload column; when several sheets are read
+// each row remembers its sheet for the report
+function readUploadRows(workbook, sheetNames, profile, report) {
+    const rows = [];
+    const sheetSummaries = sheetNames.map(name => {
+        const worksheet = workbook.Sheets[name];
+        const headers = (XLSX.utils.sheet_to_json(worksheet, { header: 1, blankrows: false })[0] || [])
+            .map(header => String(header))
+            .filter(header => header.trim() !== '');
+        const { columns, unmatched } = matchSheetHeaders(headers, profile);
+        const sheet = sheetNames.length > 1 ? name : undefined;
+        if (unmatched.length > 0) {
+            report.warnings.push(reportEntry(null, null, '', unmatched, `Column(s) not recognised and ignored: ${unmatched.join(', ')}`, sheet));
+        }
+        if (!Object.values(columns).includes('Question')) {
+            report.errors.push(reportEntry(null, null, 'Question', headers, 'Sheet has no Question column', sheet));
+        }
 
-    try {
-        const response = await axios.get(directUrl, {
-            responseType: 'arraybuffer',
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                'Referer': 'https://drive.google.com'
-            }
+        const sheetRows = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
+        sheetRows.forEach(raw => {
+            const row = {};
+            Object.defineProperty(row, '__rowNum__', { value: raw.__rowNum__ });
+            if (sheet !== undefined) Object.defineProperty(row, '__sheet__', { value: sheet });
+            Object.entries(columns).forEach(([header, column]) => {
+                row[column] = raw[header];
+            });
+            Object.entries((profile && profile.defaults) || {}).forEach(([column, value]) => {
+                if (row[column] === undefined || String(row[column]).trim() === '') row[column] = value;
+            });
+            rows.push(row);
         });
+        return { name, rowCount: sheetRows.length, columns };
+    });
+    return { rows, sheets: sheetSummaries };
+}
 
-        const contentType = response.headers['content-type'];
-        if (!contentType.startsWith('image/')) {
-            console.error(`Invalid content type from ${directUrl}: ${contentType}`);
-            return res.status(400).json({ error: 'URL does not point to an image', contentType });
-        }
+// API Endpoints to Manage Column-Mapping Profiles for Uploads
+app.get('/api/column-profiles', (req, res) => {
+    res.json(Object.values(loadColumnProfiles()));
+});
 
-        const base64Data = Buffer.from(response.data).toString('base64');
-        const dataUrl = `data:${contentType};base64,${base64Data}`;
-        console.log(`Successfully fetched image from ${directUrl}, data URL length: ${dataUrl.length}, starts with: ${dataUrl.substring(0, 50)}...`);
-        
-        res.json({ dataUrl });
-    } catch (error) {
-        console.error(`Image proxy error for ${directUrl}:`, error.message, error.response?.status, error.response?.data?.toString());
-        const placeholder = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAADIAAAAyCAYAAAAeP4ixAAAACXBIWXMAAAsTAAALEwEAmpwYAAAAvElEQVR4nO3YQQqDMBAF0L/KnW+/Q6+xu1oSLeI4DAgAAAAAAAAA7rZpm7Zt2/9eNpvNZrPZdrsdANxut9vt9nq9PgAwGo1Go9FoNBr9MabX6/U2m01mM5vNZnO5XC6X+wDAXC6Xy+VyuVwul8sFAKPRaDQajUaj0Wg0Go1Goz8A8Hg8Ho/H4/F4PB6Px+MBgMFoNBqNRqPRaDQajUaj0Wg0Go1Goz8AAAAAAAAA7rYBAK3eVREcAAAAAElFTkSuQmCC';
-        res.json({ dataUrl: placeholder });
+app.get('/api/column-profiles/:id', (req, res) => {
+    const profile = loadColumnProfiles()[req.params.id];
+    if (!profile) {
+        return res.status(404).json({ error: `Column profile '${req.params.id}' not found` });
+    }
+    res.json(profile);
+});
+
+app.post('/api/column-profiles', requireRole('faculty', 'admin'), (req, res) => {
+    const errors = validateColumnProfile(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid column profile', details: errors });
+    }
+    const profiles = loadColumnProfiles();
+    if (profiles[req.body.id]) {
+        return res.status(409).json({ error: `Column profile '${req.body.id}' already exists` });
     }
+    profiles[req.body.id] = req.body;
+    writeDataFile(columnProfilesFile, profiles);
+    res.status(201).json(req.body);
 });
 
-// API Endpoint to Upload and Process Excel File
-app.post('/api/upload', upload.single('excelFile'), (req, res) => {
+app.put('/api/column-profiles/:id', requireRole('faculty', 'admin'), (req, res) => {
+    const profiles = loadColumnProfiles();
+    if (!profiles[req.params.id]) {
+        return res.status(404).json({ error: `Column profile '${req.params.id}' not found` });
+    }
+    const profile = { ...req.body, id: req.params.id };
+    const errors = validateColumnProfile(profile);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid column profile', details: errors });
+    }
+    profiles[req.params.id] = profile;
+    writeDataFile(columnProfilesFile, profiles);
+    res.json(profile);
+});
+
+app.delete('/api/column-profiles/:id', requireRole('faculty', 'admin'), (req, res) => {
+    const profiles = loadColumnProfiles();
+    if (!profiles[req.params.id]) {
+        return res.status(404).json({ error: `Column profile '${req.params.id}' not found` });
+    }
+    delete profiles[req.params.id];
+    writeDataFile(columnProfilesFile, profiles);
+    res.json({ message: `Column profile '${req.params.id}' deleted` });
+});
+
+// Middleware to Count Every Upload by Result Once Its Response Is Sent (reported at /metrics)
+function countUploads(req, res, next) {
+    res.on('finish', () => {
+        const dryRun = String(req.query.dryRun || (req.body && req.body.dryRun) || '') === 'true';
+        const result = res.statusCode >= 500 ? 'failed' : res.statusCode >= 400 ? 'rejected' : dryRun ? 'dry_run' : 'success';
+        incrementCounter('uploads_total', { result });
+    });
+    next();
+}
+
+// API Endpoint to Upload and Process an Excel, ODS or CSV File, or a ZIP of one plus images (pass dryRun=true to only get the validation report).
+// mode=merge (the default) updates existing banks by S.NO and keeps questions missing from the file unless removeMissing=true;
+// mode=replace stores the file as the whole bank. sheets=all (or a comma-separated list of sheet names) reads more than
+// the first sheet, and profile=<id> applies a column-mapping profile
+app.post('/api/upload', requireRole('faculty', 'admin'), countUploads, receiveUpload('excelFile'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No file uploaded' });
         }
+        const dryRun = String(req.query.dryRun || req.body.dryRun || '') === 'true';
+        const mode = String(req.query.mode || req.body.mode || 'merge');
+        const removeMissing = String(req.query.removeMissing || req.body.removeMissing || '') === 'true';
+        if (!['merge', 'replace'].includes(mode)) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: `Unknown upload mode '${mode}'; use 'merge' or 'replace'` });
+        }
 
-        const workbook = XLSX.readFile(req.file.path);
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: '' });
-        
-        console.log('Raw Excel Data (first 5 rows):', jsonData.slice(0, 5));
-        
-        questionBank = processExcelData(jsonData);
-        console.log('Processed questionBank (first 5 entries):', questionBank.slice(0, 5));
-        console.log('Total questions:', questionBank.length);
+        const profileId = req.query.profile || req.body.profile;
+        const profile = profileId ? loadColumnProfiles()[profileId] : null;
+        if (profileId && !profile) {
+            fs.unlinkSync(req.file.path);
+            return res.status(400).json({ error: `Unknown column profile '${profileId}'` });
+        }
+
+        let workbook;
+        let zipImages = {};
+        if (isZipUpload(req.file)) {
+            ({ workbook, images: zipImages } = readZipUpload(req.file.path));
+        } else {
+            workbook = readSpreadsheet(fs.readFileSync(req.file.path), req.file.originalname);
+        }
 
-        // Validate question bank
-        if (questionBank.length < 17) {
+        const sheetsParam = String(req.query.sheets || req.body.sheets || '').trim();
+        const sheetNames = sheetsParam === 'all' ? workbook.SheetNames
+            : sheetsParam ? sheetsParam.split(',').map(name => name.trim()).filter(name => name !== '')
+                : [workbook.SheetNames[0]];
+        const unknownSheets = sheetNames.filter(name => !workbook.SheetNames.includes(name));
+        if (unknownSheets.length > 0) {
             fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: `Insufficient questions: got ${questionBank.length}, need at least 17 (5 for Part A, 12 for Part B)` });
+            return res.status(400).json({
+                error: `Sheet(s) not found: ${unknownSheets.join(', ')}`,
+                details: [`Available sheets: ${workbook.SheetNames.join(', ')}`]
+            });
         }
 
-        // Check available questions by unit and BTL
-        const partAQuestions = questionBank.filter(q => q.btLevel === '1');
-        const partBQuestions = questionBank.filter(q => q.btLevel !== '1');
-        console.log(`Part A questions (BTL L1): ${partAQuestions.length}`);
-        console.log(`Part B questions (BTL L2-L6): ${partBQuestions.length}`);
+        const report = { errors: [], warnings: [] };
+        const { rows: jsonData, sheets } = readUploadRows(workbook, sheetNames, profile, report);
 
-        const unitCounts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-        const btlCounts = { '1': 0, '2': 0, '3': 0, '4': 0, '5': 0, '6': 0 };
-        questionBank.forEach(q => {
-            unitCounts[q.unit]++;
-            btlCounts[q.btLevel]++;
+        const rowReport = validateExcelRows(jsonData, { uniqueSerials: mode === 'merge' });
+        report.errors.push(...rowReport.errors);
+        report.warnings.push(...rowReport.warnings);
+        const questions = processExcelData(jsonData);
+        req.log.info('Upload read', { file: req.file.originalname, sheets: sheets.map(sheet => sheet.name), rowCount: jsonData.length, mode, dryRun });
+
+        // A single file may carry several subjects; each becomes its own bank
+        const groups = {};
+        questions.forEach((question, index) => {
+            const id = bankIdFor(question);
+            if (!groups[id]) groups[id] = [];
+            groups[id].push({ question, row: jsonData[index], index });
         });
-        console.log('Questions per unit:', unitCounts);
-        console.log('Questions per BTL:', btlCounts);
-
-        // Validate required fields
-        const requiredFields = ['subjectCode', 'subject', 'branch', 'regulation', 'year', 'semester'];
-        const sampleQuestion = questionBank[0];
-        for (const field of requiredFields) {
-            if (!sampleQuestion[field] || sampleQuestion[field] === '') {
-                fs.unlinkSync(req.file.path);
-                return res.status(400).json({ error: `Missing or empty field '${field}' in Excel data` });
+
+        // Faculty may only upload banks for the subjects assigned to them
+        const forbiddenSubjects = [...new Set(Object.values(groups).map(entries => entries[0].question.subjectCode))]
+            .filter(subjectCode => !canAccessSubject(req.user, subjectCode));
+        if (forbiddenSubjects.length > 0) {
+            fs.unlinkSync(req.file.path);
+            return res.status(403).json({ error: `You are not assigned to subject(s): ${forbiddenSubjects.join(', ')}` });
+        }
+
+        const plans = Object.entries(groups).map(([id, entries]) => planBankUpload(id, entries, mode, removeMissing, report));
+        await importUploadedImages(plans.flatMap(plan => plan.imageEntries), zipImages, report);
+
+        const minimumQuestions = minimumBankSize();
+        plans.forEach(({ id, questions: bankQuestions }) => {
+            if (bankQuestions.length < minimumQuestions) {
+                report.errors.push(reportEntry(null, null, '', bankQuestions.length,
+                    `Insufficient questions for bank '${id}': got ${bankQuestions.length}, need at least ${minimumQuestions} for the smallest blueprint`));
             }
+        });
+        const bankSummaries = plans.map(({ id, questions: bankQuestions, diff, distinctQuestionSets }) => ({
+            id,
+            questionCount: bankQuestions.length,
+            ...bankCounts(bankQuestions),
+            changes: diff,
+            duplicateClusters: findDuplicateClusters(bankQuestions, distinctQuestionSets)
+        }));
+
+        if (dryRun) {
+            fs.unlinkSync(req.file.path);
+            return res.json({
+                dryRun: true,
+                valid: report.errors.length === 0,
+                questionCount: questions.length,
+                sheets,
+                banks: bankSummaries,
+                report
+            });
         }
 
-        // Validate BTL levels and units
-        const validBTLevels = ['1', '2', '3', '4', '5', '6'];
-        const validUnits = [1, 2, 3, 4, 5];
-        const invalidQuestions = questionBank.filter(
-            q => !validBTLevels.includes(q.btLevel) || !validUnits.includes(q.unit)
-        );
-        if (invalidQuestions.length > 0) {
-            console.log('Invalid questions:', invalidQuestions);
+        // Nothing is saved unless every row is valid, so a bad file never half-replaces the stored banks
+        if (report.errors.length > 0) {
             fs.unlinkSync(req.file.path);
-            return res.status(400).json({ error: `Invalid BTL levels or units in ${invalidQuestions.length} questions` });
+            return res.status(400).json({ error: `Excel data has ${report.errors.length} errors`, report });
         }
 
+        plans.forEach(({ id, questions: bankQuestions, distinctQuestionSets }) => {
+            saveBank({ ...createBank(id, bankQuestions), distinctQuestionSets });
+        });
+
         fs.unlinkSync(req.file.path);
         res.json({
             message: 'File processed successfully',
-            questionCount: questionBank.length
+            questionCount: questions.length,
+            sheets,
+            banks: bankSummaries,
+            warnings: report.warnings
         });
     } catch (error) {
-        console.error('Error processing file:', error);
+        req.log.error('Error processing file', { error });
         if (req.file && fs.existsSync(req.file.path)) {
             fs.unlinkSync(req.file.path);
         }
@@ -164,35 +1691,60 @@ app.post('/api/upload', upload.single('excelFile'), (req, res) => {
     }
 });
 
+// Helper Function to Count a Bank's Questions per Unit, per BTL and per CO
+function bankCounts(questions) {
+    const units = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    const btLevels = { '1': 0, '2': 0, '3': 0, '4': 0, '5': 0, '6': 0 };
+    const outcomes = {};
+    questions.forEach(q => {
+        units[q.unit] = (units[q.unit] || 0) + 1;
+        btLevels[q.btLevel] = (btLevels[q.btLevel] || 0) + 1;
+        const co = q.co || 'Unmapped';
+        outcomes[co] = (outcomes[co] || 0) + 1;
+    });
+    return { units, btLevels, outcomes };
+}
+
 // Helper Function to Convert Roman Numerals to Integers
 function romanToInt(roman) {
     const romanMap = { 'I': 1, 'II': 2, 'III': 3, 'IV': 4, 'V': 5 };
     return romanMap[String(roman).toUpperCase()] || 0;
 }
 
-// Helper Function to Convert Excel Date to Readable Format
+// Helper Function to Convert Integers (1-5) Back to Roman Numerals
+function intToRoman(value) {
+    return ['', 'I', 'II', 'III', 'IV', 'V'][value] || '';
+}
+
+// Helper Function to Convert Excel Date to Readable Format (a month already written out, e.g. 'November 2024', is kept)
 function excelDateToString(excelDate) {
+    if (typeof excelDate === 'string' && /^[A-Za-z]+ \d{4}$/.test(excelDate.trim())) return excelDate.trim();
     if (!excelDate || isNaN(excelDate)) return '';
     const date = new Date((excelDate - 25569) * 86400 * 1000); // Excel epoch: Jan 1, 1900
     return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
 }
 
-// Helper Function to Process Excel Data with Line Break Handling
+// Helper Function to Convert a Readable Month (e.g. 'November 2024') Back to an Excel Date (null when it is not one)
+function stringToExcelDate(month) {
+    const match = String(month || '').trim().match(/^([A-Za-z]+) (\d{4})$/);
+    if (!match) return null;
+    const monthIndex = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december']
+        .indexOf(match[1].toLowerCase());
+    if (monthIndex < 0) return null;
+    // Mid-month, so the date reads as the same month in every time zone
+    return Date.UTC(Number(match[2]), monthIndex, 15) / (86400 * 1000) + 25569;
+}
+
+// Helper Function to Process Excel Data (question and answer cells are kept as markup; line breaks inside a cell stay line breaks)
 function processExcelData(data) {
     return data.map((row, index) => {
         const btLevelRaw = String(row['B.T Level'] || '').trim();
         const btLevel = btLevelRaw.replace(/^L/i, '');
-        
-        let questionText = String(row.Question || '');
-        if (questionText) {
-            questionText = questionText.replace(/\"<br>\"/g, '<br>');
-            if (!questionText.includes('<br>')) {
-                questionText = questionText.replace(/(\d+\.\s|[a-z]\)\s)/g, '$1<br>');
-            }
-        }
+        const questionText = markupSource(row.Question);
 
         const unit = romanToInt(row.Unit);
         const month = excelDateToString(row.Month);
+        const answer = markupSource(row.Answer);
         
         return {
             id: index + 1,
@@ -207,373 +1759,793 @@ function processExcelData(data) {
             semester: String(row.Sem || ''),
             month: month,
             imageUrl: row['Image Url'] ? getDirectImageURL(String(row['Image Url'])) : '',
-            sno: String(row['S.NO'] || '')
+            sno: String(row['S.NO'] || ''),
+            answer: answer,
+            answerFormula: String(row['Answer Formula'] || '').trim(),
+            marks: parseMarks(row.Marks),
+            keyPoints: parseKeyPoints(row['Key Points']),
+            co: parseOutcome(row.CO, 'CO') || '',
+            pos: parseOutcomeList(row.PO, 'PO') || [],
+            psos: parseOutcomeList(row.PSO, 'PSO') || []
         };
-    }).filter(q => q.unit >= 1 && q.unit <= 5 && q.btLevel !== '0');
-}
-
-// Function to generate questions for Part A and Part B
-function generateQuestions(paperType) {
-    if (!questionBank || questionBank.length < 17) {
-        throw new Error(`Insufficient questions in question bank: got ${questionBank.length}, need at least 17 (5 for Part A, 12 for Part B)`);
-    }
-
-    // Step 1: Filter questions by BTL and Unit for Part A and Part B
-    const partAQuestions = questionBank.filter(q => q.btLevel === '1' && q.unit >= 1 && q.unit <= 5);
-    const partBQuestions = questionBank.filter(q => q.btLevel !== '1' && q.unit >= 1 && q.unit <= 5);
-
-    // Step 2: Validate available questions for the specific paper type
-    let unitRequirements;
-    let partAUnitRequirements;
-    if (paperType === 'mid1') {
-        partAUnitRequirements = [
-            { unit: 1, count: 2 },
-            { unit: 2, count: 2 },
-            { unit: 3, count: 1 }
-        ];
-        unitRequirements = [
-            { unit: 1, minCount: 5, maxCount: 5 },
-            { unit: 2, minCount: 5, maxCount: 5 },
-            { unit: 3, minCount: 2, maxCount: 2 }
-        ];
-    } else if (paperType === 'mid2') {
-        partAUnitRequirements = [
-            { unit: 3, count: 1 },
-            { unit: 4, count: 2 },
-            { unit: 5, count: 2 }
-        ];
-        unitRequirements = [
-            { unit: 3, minCount: 2, maxCount: 2 },
-            { unit: 4, minCount: 5, maxCount: 5 },
-            { unit: 5, minCount: 5, maxCount: 5 }
-        ];
-    } else {
-        throw new Error('Invalid paper type');
-    }
+    });
+}
 
-    // Check Part A requirements
-    for (const req of partAUnitRequirements) {
-        const count = partAQuestions.filter(q => q.unit === req.unit).length;
-        if (count < req.count) {
-            throw new Error(`Insufficient BTL L1 questions for Unit ${req.unit}: got ${count}, need ${req.count}`);
-        }
-    }
+// Helper Function to Read an Optional Marks Cell (null when blank or not a positive number)
+function parseMarks(value) {
+    if (value === '' || value === undefined || value === null) return null;
+    const marks = Number(value);
+    return isFinite(marks) && marks > 0 ? marks : null;
+}
 
-    // Check Part B requirements
-    for (const req of unitRequirements) {
-        const count = partBQuestions.filter(q => q.unit === req.unit).length;
-        if (count < req.minCount) {
-            throw new Error(`Insufficient BTL L2-L6 questions for Unit ${req.unit}: got ${count}, need ${req.minCount}`);
-        }
-    }
+// Helper Function to Read an Outcome Code such as 'CO2', 'co 2' or '2' as 'CO2' (null when not recognisable)
+function parseOutcome(value, prefix) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    const match = text.match(new RegExp(`^(?:${prefix})?\\s*-?\\s*(\\d{1,2})$`, 'i'));
+    return match && Number(match[1]) > 0 ? `${prefix}${Number(match[1])}` : null;
+}
 
-    // Step 3: Assess available questions by unit and BTL for Part B
-    const availableByUnitAndBTL = {};
-    const availableBTLs = new Set();
-    for (let unit = 1; unit <= 5; unit++) {
-        availableByUnitAndBTL[unit] = {};
-        partBQuestions.filter(q => q.unit === unit).forEach(q => {
-            if (!availableByUnitAndBTL[unit][q.btLevel]) {
-                availableByUnitAndBTL[unit][q.btLevel] = [];
-            }
-            availableByUnitAndBTL[unit][q.btLevel].push(q);
-            availableBTLs.add(q.btLevel);
+// Helper Function to Read a List of Outcome Codes (a cell such as 'PO1, PO3' or an array); null when any entry is not recognisable
+function parseOutcomeList(value, prefix) {
+    const entries = (Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(/[,;/]/))
+        .map(entry => String(entry).trim())
+        .filter(entry => entry !== '');
+    const outcomes = entries.map(entry => parseOutcome(entry, prefix));
+    if (outcomes.includes(null)) return null;
+    return [...new Set(outcomes)].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+// Helper Function to Split a Key Points Cell into Points, Reading Trailing "(2)" or "(2 marks)" as the Point's Marks
+function parseKeyPoints(value) {
+    const raw = Array.isArray(value) ? value : String(value || '').split(/\r?\n|;|<br\s*\/?>/i);
+    return raw
+        .map(point => String(point).trim())
+        .filter(point => point !== '')
+        .map(point => {
+            const match = point.match(/^(.*?)\s*\((\d+(?:\.\d+)?)\s*(?:m|marks?)?\)$/i);
+            return match ? { text: match[1], marks: Number(match[2]) } : { text: point, marks: null };
         });
-    }
-    console.log('Available questions for Part B by unit and BTL:', availableByUnitAndBTL);
-    console.log('Unique BTLs for Part B:', [...availableBTLs]);
-
-    // Step 4: Determine maximum BTL level for Part B
-    const btLevels = partBQuestions.map(q => parseInt(q.btLevel) || 0).filter(btl => btl > 0);
-    if (btLevels.length === 0) {
-        throw new Error('No valid BTL levels found in Part B question bank');
-    }
-    const maxBTL = Math.max(...btLevels);
-    console.log('Max BTL for Part B:', maxBTL);
-
-    // Step 5: Define BTL requirements for Part B
-    let btlRequirements;
-    if (maxBTL === 6) {
-        btlRequirements = [
-            { level: '2', count: 4 },
-            { level: '3', count: 4 },
-            { level: '4', count: 2 },
-            { level: 'random', options: ['5', '6'], count: 2 }
-        ];
-    } else if (maxBTL === 5) {
-        btlRequirements = [
-            { level: '2', count: 4 },
-            { level: '3', count: 4 },
-            { level: '4', count: 2 },
-            { level: 'random', options: ['5', '3'], count: 2 }
-        ];
-    } else if (maxBTL === 4) {
-        btlRequirements = [
-            { level: '2', count: 4 },
-            { level: '3', count: 4 },
-            { level: '4', count: 2 },
-            { level: 'random', options: ['3', '4'], count: 2 }
-        ];
-    } else if (maxBTL === 3) {
-        btlRequirements = [
-            { level: '2', count: 5 },
-            { level: '3', count: 5 },
-            { level: 'random', options: ['2', '3'], count: 2 }
-        ];
-    } else if (maxBTL === 2 && availableBTLs.has('2')) {
-        btlRequirements = [
-            { level: '2', count: 12 }
-        ];
-    } else if (availableBTLs.size === 1) {
-        btlRequirements = [{ level: [...availableBTLs][0], count: 12 }];
-    } else {
-        throw new Error(`Unsupported case: Max BTL = ${maxBTL} with BTLs (${[...availableBTLs]}).`);
-    }
-    console.log('BTL Requirements for Part B:', btlRequirements);
-
-    // Step 6: Define unit requirements and question labels based on paper type
-    let questionLabels;
-    let partALabels;
-    if (paperType === 'mid1') {
-        questionLabels = [
-            { label: '2a', unit: 1 },
-            { label: '2b', unit: 1 },
-            { label: '3a', unit: 1 },
-            { label: '3b', unit: 1 },
-            { label: '6b', unit: 1 },
-            { label: '4a', unit: 2 },
-            { label: '4b', unit: 2 },
-            { label: '5a', unit: 2 },
-            { label: '5b', unit: 2 },
-            { label: '7b', unit: 2 },
-            { label: '6a', unit: 3 },
-            { label: '7a', unit: 3 }
-        ];
-        partALabels = [
-            { label: '1', unit: 1 },
-            { label: '2', unit: 1 },
-            { label: '3', unit: 2 },
-            { label: '4', unit: 2 },
-            { label: '5', unit: 3 }
-        ];
-    } else if (paperType === 'mid2') {
-        questionLabels = [
-            { label: '2a', unit: 3 },
-            { label: '2b', unit: 3 },
-            { label: '3a', unit: 4 },
-            { label: '3b', unit: 4 },
-            { label: '4a', unit: 4 },
-            { label: '4b', unit: 4 },
-            { label: '5a', unit: 4 },
-            { label: '5b', unit: 5 },
-            { label: '6a', unit: 5 },
-            { label: '6b', unit: 5 },
-            { label: '7a', unit: 5 },
-            { label: '7b', unit: 5 }
-        ];
-        partALabels = [
-            { label: '1', unit: 3 },
-            { label: '2', unit: 4 },
-            { label: '3', unit: 4 },
-            { label: '4', unit: 5 },
-            { label: '5', unit: 5 }
-        ];
-    } else {
-        throw new Error('Invalid paper type');
-    }
-    console.log('Unit Requirements for Part B:', unitRequirements);
-    console.log('Question Labels for Part B:', questionLabels);
-    console.log('Unit Requirements for Part A:', partAUnitRequirements);
-    console.log('Question Labels for Part A:', partALabels);
-
-    // Step 7: Select questions for Part A
-    const selectPartAQuestions = (unitReqs, labels) => {
-        let selectedQuestions = [];
-        let unitCount = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-        let remainingQuestions = [...partAQuestions];
-
-        const pickQuestionFromUnit = (unit) => {
-            let unitQuestions = remainingQuestions.filter(q => q.unit === unit && q.btLevel === '1');
-            if (unitQuestions.length === 0) {
-                throw new Error(`No BTL L1 questions available for Unit ${unit}`);
+}
+
+// Helper Function to Build One Entry of an Upload Validation Report (sheet is only given for workbooks read sheet by sheet)
+function reportEntry(row, sno, column, value, reason, sheet) {
+    const entry = { row, sno: sno === null || sno === undefined ? '' : String(sno), column, value, reason };
+    if (sheet !== undefined) entry.sheet = sheet;
+    return entry;
+}
+
+// Helper Function to Find the Spreadsheet Row of an Uploaded Row
+// (sheet_to_json records the zero-based sheet row; fall back to header + index when absent)
+function sheetRowNumber(row, index) {
+    return row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : index + 2;
+}
+
+// Helper Function to Describe Where an Uploaded Row Came From (e.g. "row 4" or "row 4 of sheet 'Unit II'")
+function describeSheetRow(row, index) {
+    return row.__sheet__ !== undefined ? `row ${sheetRowNumber(row, index)} of sheet '${row.__sheet__}'` : `row ${sheetRowNumber(row, index)}`;
+}
+
+// Helper Function to Check Raw Excel Rows, Returning Per-Row Errors and Warnings
+// (with uniqueSerials a repeated S.NO is an error, since a merge could not tell which row updates the question)
+function validateExcelRows(data, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const requiredColumns = ['Subject Code', 'Subject', 'Branch', 'Regulation', 'Year', 'Sem'];
+    const seenQuestions = {};
+    const seenSerials = {};
+    const subjectCodes = new Set();
+    // Once any row carries a CO, rows without one are flagged since they cannot count toward CO coverage
+    const mapsOutcomes = data.some(row => String(row.CO || '').trim() !== '');
+
+    data.forEach((row, index) => {
+        const sheetRow = sheetRowNumber(row, index);
+        const sno = row['S.NO'];
+        const add = (list, column, reason) => list.push(reportEntry(sheetRow, sno, column, row[column], reason, row.__sheet__));
+
+        if (romanToInt(row.Unit) === 0) {
+            add(errors, 'Unit', 'Unit must be a Roman numeral from I to V');
+        }
+        const btLevel = String(row['B.T Level'] || '').trim().replace(/^L/i, '');
+        if (!['1', '2', '3', '4', '5', '6'].includes(btLevel)) {
+            add(errors, 'B.T Level', 'B.T Level must be one of L1-L6');
+        }
+        if (String(row.Question || '').trim() === '') {
+            add(errors, 'Question', 'Question is empty');
+        }
+        const parameterProblems = parseQuestionParameters(row.Question).errors;
+        parameterProblems.forEach(reason => add(errors, 'Question', reason));
+        if (parameterProblems.length === 0) {
+            questionParameterProblems(row.Question, row['Answer Formula']).forEach(reason => add(errors, 'Answer Formula', reason));
+            // Formulas are read as they will print, with parameters filled in
+            const sample = sampleParameterValues(parseQuestionParameters(row.Question).parameters);
+            markupProblems(substituteParameters(row.Question, sample)).forEach(reason => add(errors, 'Question', reason));
+            markupProblems(substituteParameters(row.Answer, sample)).forEach(reason => add(errors, 'Answer', reason));
+        }
+        requiredColumns.forEach(column => {
+            if (String(row[column] || '').trim() === '') {
+                add(errors, column, `${column} is empty`);
             }
-            const idx = Math.floor(Math.random() * unitQuestions.length);
-            const q = unitQuestions[idx];
-            remainingQuestions = remainingQuestions.filter(r => r.id !== q.id);
-            unitCount[q.unit]++;
-            return q;
-        };
+        });
 
-        for (const label of labels) {
-            const q = pickQuestionFromUnit(label.unit);
-            selectedQuestions.push({ ...q, label: label.label, part: 'A' });
+        if (row.Marks !== '' && row.Marks !== undefined && parseMarks(row.Marks) === null) {
+            add(errors, 'Marks', 'Marks must be a positive number');
         }
 
-        // Validate unit requirements
-        for (const req of unitReqs) {
-            if (unitCount[req.unit] !== req.count) {
-                throw new Error(`Unit ${req.unit} has ${unitCount[req.unit]} questions, needs exactly ${req.count}`);
-            }
+        if (String(row.CO || '').trim() !== '' && parseOutcome(row.CO, 'CO') === null) {
+            add(errors, 'CO', 'CO must be a course outcome such as CO1');
+        } else if (mapsOutcomes && String(row.CO || '').trim() === '') {
+            add(warnings, 'CO', 'CO is empty; the question will not count toward CO coverage');
+        }
+        if (parseOutcomeList(row.PO, 'PO') === null) {
+            add(errors, 'PO', 'PO must list program outcomes such as PO1, PO3');
+        }
+        if (parseOutcomeList(row.PSO, 'PSO') === null) {
+            add(errors, 'PSO', 'PSO must list program specific outcomes such as PSO1, PSO2');
         }
 
-        console.log('Selected Part A Questions:', selectedQuestions.map(q => `Label ${q.label}, Unit ${q.unit}, BTL ${q.btLevel}`));
-        console.log('Part A Unit Count:', unitCount);
-        return selectedQuestions;
-    };
+        if (row.Month !== '' && row.Month !== undefined && excelDateToString(row.Month) === '') {
+            add(warnings, 'Month', 'Month is not an Excel date and will be left blank');
+        }
 
-    // Step 8: Select questions for Part B
-    const selectPartBQuestions = (btlReqs, unitReqs, labels) => {
-        let selectedQuestions = [];
-        let unitCount = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-        let btlCount = {};
-        let remainingQuestions = [...partBQuestions];
-
-        const pickQuestionFromUnit = (btl, unit) => {
-            let unitQuestions = remainingQuestions.filter(q => q.unit === unit);
-            let btlMatches = unitQuestions.filter(q => q.btLevel === btl);
-            if (btlMatches.length === 0 || unitCount[unit] >= unitReqs.find(r => r.unit === unit).maxCount) {
-                btlMatches = unitQuestions;
-            }
-            if (btlMatches.length === 0) {
-                throw new Error(`No questions available for Unit ${unit}`);
-            }
-            const idx = Math.floor(Math.random() * btlMatches.length);
-            const q = btlMatches[idx];
-            remainingQuestions = remainingQuestions.filter(r => r.id !== q.id);
-            unitCount[q.unit]++;
-            btlCount[q.btLevel] = (btlCount[q.btLevel] || 0) + 1;
-            return q;
-        };
+        if (String(row['Subject Code'] || '').trim() !== '') {
+            subjectCodes.add(String(row['Subject Code']).trim());
+        }
 
-        for (const label of labels) {
-            let btl = null;
-            for (const req of btlReqs) {
-                if (req.count > 0) {
-                    btl = req.level === 'random' ? req.options[Math.floor(Math.random() * req.options.length)] : req.level;
-                    req.count--;
-                    break;
-                }
-            }
-            if (!btl) {
-                btl = [...availableBTLs][Math.floor(Math.random() * availableBTLs.size)];
+        const subjectKey = String(row['Subject Code'] || '').trim();
+        if (String(sno || '').trim() !== '') {
+            const serialKey = `${subjectKey}|${String(sno).trim()}`;
+            if (seenSerials[serialKey]) {
+                add(options.uniqueSerials ? errors : warnings, 'S.NO', `S.NO repeats ${seenSerials[serialKey]}`);
+            } else {
+                seenSerials[serialKey] = describeSheetRow(row, index);
             }
-            const q = pickQuestionFromUnit(btl, label.unit);
-            selectedQuestions.push({ ...q, label: label.label, part: 'B' });
         }
 
-        // Validate unit requirements
-        for (const req of unitReqs) {
-            if (unitCount[req.unit] < req.minCount) {
-                throw new Error(`Unit ${req.unit} has ${unitCount[req.unit]} questions, needs at least ${req.minCount}`);
+        const text = normalizeQuestionText(row.Question);
+        if (text !== '') {
+            const questionKey = `${subjectKey}|${text}`;
+            if (seenQuestions[questionKey]) {
+                add(warnings, 'Question', `Duplicate of the question in ${seenQuestions[questionKey]}`);
+            } else {
+                seenQuestions[questionKey] = describeSheetRow(row, index);
             }
         }
+    });
+
+    if (subjectCodes.size > 1) {
+        warnings.push(reportEntry(null, null, 'Subject Code', [...subjectCodes],
+            `File mixes ${subjectCodes.size} subject codes; each will be stored as a separate bank`));
+    }
+
+    return { errors, warnings };
+}
+
+// API Endpoint to Analyse a Bank Against Every Blueprint: counts per unit, BTL, marks and CO, how many distinct
+// papers and question-disjoint sets each blueprint allows, and the questions still to write for the requested sets
+app.get('/api/banks/:bankId/analysis', (req, res) => {
+    try {
+        const bank = loadBankForUser(req.user, req.params.bankId);
+        if (!bank) {
+            return res.status(404).json({ error: `Question bank '${req.params.bankId}' not found` });
+        }
+        const sets = req.query.sets === undefined ? 1 : Number(req.query.sets);
+        if (!Number.isInteger(sets) || sets < 1 || sets > 26) {
+            return res.status(400).json({ error: 'sets must be an integer from 1 to 26' });
+        }
 
-        // Sort by unit and label
-        selectedQuestions.sort((a, b) => {
-            if (a.unit !== b.unit) return a.unit - b.unit;
-            const labelOrder = ['2a', '2b', '3a', '3b', '4a', '4b', '5a', '5b', '6a', '6b', '7a', '7b'];
-            return labelOrder.indexOf(a.label) - labelOrder.indexOf(b.label);
+        const matrix = bankMatrix(bank.questions);
+        const deadline = Date.now() + analysisTimeLimitMs;
+        res.json({
+            bankId: bank.id,
+            version: bank.version,
+            questionCount: bank.questions.length,
+            ...bankCounts(bank.questions),
+            matrix: matrix.cells,
+            outcomes: matrix.outcomes,
+            sets,
+            blueprints: Object.values(blueprints).map(blueprint => {
+                const setCount = distinctSets(blueprint, bank.questions, deadline);
+                // supported is null when the search could not settle whether the requested sets exist
+                const supported = setCount.atLeast >= sets ? true : (setCount.confirmed || setCount.bound < sets ? false : null);
+                const shortfalls = supported ? [] : setShortfalls(blueprint, bank.questions, sets);
+                const problems = supported ? [] : setSupplyProblems(blueprint, bank.questions, sets);
+                if (supported === false && setCount.bound >= sets) {
+                    problems.push(`The counts allow ${setCount.bound} distinct sets, but no selection of ${sets} keeps every choice pairing and marks total; more questions at the paired BTLs and marks would help`);
+                }
+                if (!setCount.confirmed) {
+                    problems.push(`The search for distinct sets gave up before settling the count: the counts allow at most ${setCount.bound}, ` +
+                        `an upper bound rather than a guarantee, and ${setCount.atLeast} ${setCount.atLeast === 1 ? 'was' : 'were'} drawn`);
+                }
+                return {
+                    id: blueprint.id,
+                    name: blueprint.name,
+                    questionsPerPaper: countBlueprintQuestions(blueprint),
+                    possiblePapers: setCount.max === 0 ? 0 : possiblePapers(blueprint, bank.questions),
+                    maxDistinctSets: setCount.max,
+                    distinctSetsConfirmed: setCount.confirmed,
+                    distinctSetsAtLeast: setCount.atLeast,
+                    distinctSetsBound: setCount.bound,
+                    supported,
+                    shortfalls,
+                    // The solver's own account, for gaps the per-unit counts above do not pin down
+                    problems
+                };
+            })
         });
+    } catch (error) {
+        req.log.error('Error analysing question bank', { error: error.message });
+        res.status(500).json({ error: 'Error analysing question bank: ' + error.message });
+    }
+});
 
-        console.log('Selected Part B Questions:', selectedQuestions.map(q => `Label ${q.label}, Unit ${q.unit}, BTL ${q.btLevel}`));
-        console.log('Part B Unit Count:', unitCount);
-        console.log('Part B BTL Count:', btlCount);
-        return selectedQuestions;
+// Helper Function to Build the Generate/Fetch Response for a Paper
+function paperResponse(paper) {
+    const marks = paperMarks(paper);
+    const response = {
+        paperId: paper.id,
+        seed: paper.seed,
+        bankId: paper.bankId,
+        bankVersion: paper.bankVersion,
+        blueprint: paper.blueprint,
+        parts: publicPaperParts(paper),
+        paperDetails: paper.paperDetails,
+        template: paper.template ? templateResponse(paper.template) : null,
+        marks: { total: marks.total, max: marks.max },
+        status: paperStatus(paper),
+        coverage: paperCoverage(paper),
+        missingImages: missingPaperImages(paper)
     };
+    // Keep the partA/partB keys older clients read
+    response.parts.forEach(part => {
+        response[`part${part.name}`] = part.questions;
+    });
+    return response;
+}
+
+// Helper Function to Resolve the Bank, Blueprint, Seed and Template a Generate Request Asks For
+function resolveGenerationInputs(body) {
+    // bankId may be omitted while only one subject has been uploaded
+    let { bankId } = body;
+    if (!bankId) {
+        const banks = listBanks();
+        if (banks.length === 0) {
+            return { status: 400, error: 'No questions available. Please upload an Excel file first.' };
+        }
+        if (banks.length > 1) {
+            return { status: 400, error: 'bankId is required when more than one question bank is stored' };
+        }
+        bankId = banks[0].id;
+    }
+    const bank = loadBank(bankId);
+    if (!bank) {
+        return { status: 404, error: `Question bank '${bankId}' not found` };
+    }
 
-    const partASelected = selectPartAQuestions(partAUnitRequirements, partALabels);
-    const partBSelected = selectPartBQuestions(btlRequirements, unitRequirements, questionLabels);
+    // paperType is still accepted so existing clients sending 'mid1'/'mid2' keep working
+    const blueprintId = body.blueprintId || body.paperType;
+    const blueprint = blueprintId ? getBlueprint(blueprintId) : null;
+    if (!blueprint) {
+        return { status: 400, error: `Unknown blueprint '${blueprintId || ''}'` };
+    }
 
-    if (partASelected.length !== 5) {
-        throw new Error('Failed to select exactly 5 questions for Part A');
+    const { seed = crypto.randomBytes(8).toString('hex') } = body;
+    if ((typeof seed !== 'string' && typeof seed !== 'number') || String(seed).length === 0 || String(seed).length > 128) {
+        return { status: 400, error: 'seed must be a string or number of 1-128 characters' };
     }
-    if (partBSelected.length !== 12) {
-        throw new Error('Failed to select exactly 12 questions for Part B');
+
+    const template = body.templateId ? getTemplate(body.templateId) : null;
+    if (body.templateId && !template) {
+        return { status: 400, error: `Unknown template '${body.templateId}'` };
     }
+    return { bank, blueprint, seed: String(seed), template };
+}
+
+// Helper Function to Find the First Required Paper Detail That Is Missing
+function missingPaperDetail(paperDetails) {
+    const requiredFields = ['subjectCode', 'subject', 'branch', 'regulation', 'year', 'semester'];
+    return requiredFields.find(field => !paperDetails[field] || paperDetails[field] === '') || null;
+}
 
-    return { partA: partASelected, partB: partBSelected };
+// Helper Function to Count a Failed Generate Request by Endpoint and Reason (reported at /metrics)
+function countGenerationFailure(endpoint, reason) {
+    incrementCounter('paper_generation_failures_total', { endpoint, reason });
 }
 
-// API Endpoint to Generate Questions
-app.post('/api/generate', (req, res) => {
+// API Endpoint to Generate Questions (pass seed to reproduce a selection; one is chosen when omitted)
+app.post('/api/generate', requireRole('examcell'), (req, res) => {
     try {
-        if (!questionBank) {
-            return res.status(400).json({ error: 'No questions available. Please upload an Excel file first.' });
-        }
-
-        const { paperType } = req.body;
-        if (!['mid1', 'mid2'].includes(paperType)) {
-            return res.status(400).json({ error: 'Invalid paper type' });
-        }
-
-        const { partA, partB } = generateQuestions(paperType);
-        console.log('Generated Questions:');
-        console.log('Part A:');
-        partA.forEach((q, index) => {
-            console.log(`Question ${q.label}:`);
-            console.log(`  Question: ${q.question}`);
-            console.log(`  Unit: ${q.unit}`);
-            console.log(`  BTL: ${q.btLevel}`);
-            console.log(`  Subject: ${q.subject}`);
-            console.log(`  Subject Code: ${q.subjectCode}`);
-            console.log(`  Year: ${q.year}`);
-            console.log('------------------------');
-        });
-        console.log('Part B:');
-        partB.forEach((q, index) => {
-            console.log(`Question ${q.label}:`);
-            console.log(`  Question: ${q.question}`);
-            console.log(`  Unit: ${q.unit}`);
-            console.log(`  BTL: ${q.btLevel}`);
-            console.log(`  Subject: ${q.subject}`);
-            console.log(`  Subject Code: ${q.subjectCode}`);
-            console.log(`  Year: ${q.year}`);
-            console.log('------------------------');
-        });
+        const inputs = resolveGenerationInputs(req.body);
+        if (inputs.error) {
+            countGenerationFailure('generate', 'invalid_request');
+            return res.status(inputs.status).json({ error: inputs.error });
+        }
 
-        // Extract paper details from the first question
-        const paperDetails = {
-            subjectCode: partA[0]?.subjectCode || partB[0]?.subjectCode || '',
-            subject: partA[0]?.subject || partB[0]?.subject || '',
-            branch: partA[0]?.branch || partB[0]?.branch || '',
-            regulation: partA[0]?.regulation || partB[0]?.regulation || '',
-            year: partA[0]?.year || partB[0]?.year || '',
-            semester: partA[0]?.semester || partB[0]?.semester || '',
-            month: partA[0]?.month || partB[0]?.month || ''
-        };
+        const usage = usageOptions(req.body, inputs.bank.id);
+        if (usage.error) {
+            countGenerationFailure('generate', 'invalid_request');
+            return res.status(400).json({ error: usage.error });
+        }
+
+        const paper = buildPaper(inputs.bank, inputs.blueprint, inputs.seed, usage.options, inputs.template);
 
         // Validate paper details
-        const requiredFields = ['subjectCode', 'subject', 'branch', 'regulation', 'year', 'semester'];
-        for (const field of requiredFields) {
-            if (!paperDetails[field] || paperDetails[field] === '') {
-                return res.status(400).json({ error: `Missing or empty field '${field}' in paper details` });
+        const missingField = missingPaperDetail(paper.paperDetails);
+        if (missingField) {
+            countGenerationFailure('generate', 'missing_paper_details');
+            return res.status(400).json({ error: `Missing or empty field '${missingField}' in paper details` });
+        }
+        const mismatches = paper.template ? templateMismatches(paper.template, paper) : [];
+        if (mismatches.length > 0) {
+            countGenerationFailure('generate', 'template_mismatch');
+            return res.status(422).json({
+                error: `Paper does not match template '${paper.templateId}': ${mismatches.map(mismatch => mismatch.message).join('; ')}`,
+                details: mismatches
+            });
+        }
+
+        // Missing images are always flagged in the response; requireImages turns them into a failure
+        const missingImages = missingPaperImages(paper);
+        if (missingImages.length > 0) {
+            req.log.warn('Paper refers to missing images', { paperId: paper.id, missingImages });
+            if (req.body.requireImages) {
+                countGenerationFailure('generate', 'missing_images');
+                return res.status(422).json({ error: `Paper refers to ${missingImages.length} missing images`, missingImages });
+            }
+        }
+
+        incrementCounter('paper_generations_total', { endpoint: 'generate' });
+        res.json(paperResponse(storeGeneratedPaper(paper, req.user)));
+    } catch (error) {
+        // Selection errors name the blueprint constraints the bank cannot meet
+        if (error.details) {
+            countGenerationFailure('generate', 'unsatisfiable_blueprint');
+            req.log.warn('Blueprint cannot be met by the bank', { error: error.message, details: error.details });
+            return res.status(422).json({ error: 'Error generating questions: ' + error.message, details: error.details });
+        }
+        countGenerationFailure('generate', 'internal_error');
+        req.log.error('Error generating questions', { error });
+        res.status(500).json({ error: 'Error generating questions: ' + error.message });
+    }
+});
+
+// API Endpoint to Generate Several Distinct Sets (Set A, B, C...) of One Exam in a Single Request
+app.post('/api/generate/sets', requireRole('examcell'), (req, res) => {
+    try {
+        const inputs = resolveGenerationInputs(req.body);
+        if (inputs.error) {
+            countGenerationFailure('sets', 'invalid_request');
+            return res.status(inputs.status).json({ error: inputs.error });
+        }
+        const { bank, blueprint, seed, template } = inputs;
+        const usage = usageOptions(req.body, bank.id);
+        if (usage.error) {
+            countGenerationFailure('sets', 'invalid_request');
+            return res.status(400).json({ error: usage.error });
+        }
+
+        const count = req.body.count === undefined ? 2 : req.body.count;
+        if (!Number.isInteger(count) || count < 2 || count > 26) {
+            countGenerationFailure('sets', 'invalid_request');
+            return res.status(400).json({ error: 'count must be an integer from 2 to 26' });
+        }
+        const maxOverlap = req.body.maxOverlap === undefined ? 0 : req.body.maxOverlap;
+        if (!Number.isInteger(maxOverlap) || maxOverlap < 0) {
+            countGenerationFailure('sets', 'invalid_request');
+            return res.status(400).json({ error: 'maxOverlap must be a non-negative integer' });
+        }
+
+        // Each set steers away from every question earlier sets (and recent exams) used
+        const deadline = Date.now() + setsTimeLimitMs;
+        let sets = [];
+        const usedIds = new Set(usage.options.avoidIds || []);
+        for (let i = 0; i < count; i++) {
+            const name = String.fromCharCode(65 + i);
+            const options = { ...usage.options, deadline };
+            if (usedIds.size > 0) options.avoidIds = [...usedIds].sort((a, b) => a - b);
+            const paper = buildPaper(bank, blueprint, `${seed}-${name}`, options, template);
+            paper.parts.forEach(part => part.questions.forEach(q => usedIds.add(q.id)));
+            sets.push({ name, paper });
+        }
+
+        // Sets drawn one after another can paint themselves into a corner; a search over all the sets together
+        // either finds question-disjoint sets or, when it proves there are none, says what the bank lacks
+        let overlap = setOverlap(sets);
+        if (overlap.pairs.some(pair => pair.shared > maxOverlap)) {
+            try {
+                sets = drawDisjointSets(blueprint, bank.questions, seed, count, { ...usage.options, deadline },
+                    (name, options) => buildPaper(bank, blueprint, `${seed}-${name}`, options, template));
+                overlap = setOverlap(sets);
+            } catch (error) {
+                if (!error.details) throw error;
+                // Only a disjoint request is settled by the search failing; a looser cap may still be met by other draws
+                if (maxOverlap > 0 || error.gaveUp) {
+                    countGenerationFailure('sets', 'set_overlap');
+                    return res.status(400).json({
+                        error: `Cannot build ${count} sets sharing at most ${maxOverlap} questions: the sets drawn share more, ` +
+                            `and ${error.gaveUp ? 'the search for question-disjoint sets gave up' : 'the bank has no question-disjoint sets'}`,
+                        details: [],
+                        overlap
+                    });
+                }
+                const usable = bank.questions.filter(q => !(usage.options.excludeIds || []).includes(q.id));
+                const shortfalls = setShortfalls(blueprint, usable, count);
+                countGenerationFailure('sets', 'set_overlap');
+                return res.status(400).json({
+                    error: `Cannot build ${count} sets sharing at most ${maxOverlap} questions: ` +
+                        (shortfalls.length > 0 ? shortfalls.map(shortfall => shortfall.message).join('; ') : error.details.join('; ')),
+                    details: shortfalls.length > 0 ? shortfalls : error.details,
+                    overlap
+                });
             }
         }
 
+        const missingField = missingPaperDetail(sets[0].paper.paperDetails);
+        if (missingField) {
+            countGenerationFailure('sets', 'missing_paper_details');
+            return res.status(400).json({ error: `Missing or empty field '${missingField}' in paper details` });
+        }
+        const mismatches = template ? sets.flatMap(({ name, paper }) => templateMismatches(template, paper).map(mismatch => ({ set: name, ...mismatch }))) : [];
+        if (mismatches.length > 0) {
+            countGenerationFailure('sets', 'template_mismatch');
+            return res.status(422).json({
+                error: `Sets do not match template '${template.id}': ${mismatches.map(mismatch => `Set ${mismatch.set}: ${mismatch.message}`).join('; ')}`,
+                details: mismatches
+            });
+        }
+        const missingImages = sets.flatMap(({ name, paper }) => missingPaperImages(paper).map(image => ({ set: name, ...image })));
+        if (missingImages.length > 0 && req.body.requireImages) {
+            countGenerationFailure('sets', 'missing_images');
+            return res.status(422).json({ error: `Sets refer to ${missingImages.length} missing images`, missingImages });
+        }
+
+        incrementCounter('paper_generations_total', { endpoint: 'sets' });
+        const stored = sets.map(({ name, paper }) => ({ name, paper: storeGeneratedPaper(paper, req.user, { set: name }) }));
         res.json({
-            partA: partA.map(q => ({
-                question: q.question,
-                imageUrl: q.imageUrl,
-                btLevel: q.btLevel,
-                unit: q.unit,
-                label: q.label
-            })),
-            partB: partB.map(q => ({
-                question: q.question,
-                imageUrl: q.imageUrl,
-                btLevel: q.btLevel,
-                unit: q.unit,
-                label: q.label
-            })),
-            paperDetails
+            seed,
+            count,
+            maxOverlap,
+            sets: stored.map(({ name, paper }) => ({ set: name, ...paperResponse(paper) })),
+            overlap
         });
     } catch (error) {
-        console.error('Error generating questions:', error.message);
-        res.status(500).json({ error: 'Error generating questions: ' + error.message });
+        // Selection errors name the blueprint constraints the bank cannot meet
+        if (error.details) {
+            countGenerationFailure('sets', 'unsatisfiable_blueprint');
+            req.log.warn('Blueprint cannot be met by the bank', { error: error.message, details: error.details });
+            return res.status(422).json({ error: 'Error generating sets: ' + error.message, details: error.details });
+        }
+        countGenerationFailure('sets', 'internal_error');
+        req.log.error('Error generating sets', { error });
+        res.status(500).json({ error: 'Error generating sets: ' + error.message });
+    }
+});
+
+// API Endpoint to Rebuild a Stored Paper from Its Bank Version, Blueprint, Seed and Reviewer Swaps
+app.get('/api/papers/:id', requireRole('examcell', 'hod'), (req, res) => {
+    try {
+        const stored = loadPaper(req.params.id);
+        if (!stored) {
+            return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+        }
+        if (!canReadPaper(req.user, stored)) {
+            return res.status(403).json({ error: `Paper '${stored.id}' is ${paperStatus(stored)}; the HoD views papers only while they are submitted` });
+        }
+        const extra = { set: stored.set, createdAt: stored.createdAt, swaps: stored.swaps || [] };
+        // Papers from an earlier selector cannot be redrawn by this one; the stored copy is returned as-is
+        if ((stored.selectorVersion || 1) !== selectorVersion) {
+            return res.json({ ...paperResponse(stored), ...extra, rebuilt: false });
+        }
+        const bank = loadBankVersion(stored.bankId, stored.bankVersion);
+        if (!bank) {
+            return res.status(410).json({ error: `Version ${stored.bankVersion} of question bank '${stored.bankId}' is no longer stored` });
+        }
+
+        const paper = buildPaper(bank, stored.blueprintDefinition, stored.seed, stored.options || {}, stored.template || null);
+        (stored.swaps || []).forEach(swap => replacePaperQuestion(paper, swap.label, bank.questions.find(q => q.id === swap.toQuestionId)));
+        const selection = p => JSON.stringify(p.parts.map(part => part.questions.map(q => [q.label, q.id, q.parameterValues || null])));
+        if (paper.id !== stored.id || selection(paper) !== selection(stored)) {
+            req.log.error('Rebuilt paper does not match stored paper', { paperId: stored.id, rebuiltId: paper.id });
+            return res.status(500).json({ error: `Rebuilt paper does not match stored paper '${stored.id}'` });
+        }
+        res.json({ ...paperResponse({ ...paper, status: stored.status }), ...extra, rebuilt: true });
+    } catch (error) {
+        req.log.error('Error rebuilding paper', { error: error.message });
+        res.status(500).json({ error: 'Error rebuilding paper: ' + error.message });
+    }
+});
+
+// API Endpoints to Export a Generated Paper (the exam cell alone downloads papers)
+app.get('/api/papers/:id/pdf', requireRole('examcell'), async (req, res) => {
+    try {
+        const paper = loadPaper(req.params.id);
+        if (!paper) {
+            return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+        }
+        const pdf = await renderPaperPdf(paper, await loadPaperImages(paper));
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${paperFileName(paper, 'pdf')}"`);
+        res.send(pdf);
+    } catch (error) {
+        req.log.error('Error rendering PDF', { error: error.message });
+        res.status(500).json({ error: 'Error rendering PDF: ' + error.message });
+    }
+});
+
+app.get('/api/papers/:id/docx', requireRole('examcell'), async (req, res) => {
+    try {
+        const paper = loadPaper(req.params.id);
+        if (!paper) {
+            return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+        }
+        const document = await renderPaperDocx(paper, await loadPaperImages(paper));
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+        res.set('Content-Disposition', `attachment; filename="${paperFileName(paper, 'docx')}"`);
+        res.send(document);
+    } catch (error) {
+        req.log.error('Error rendering DOCX', { error: error.message });
+        res.status(500).json({ error: 'Error rendering DOCX: ' + error.message });
+    }
+});
+
+// API Endpoints to Get a Paper's CO/Unit/BTL Coverage Matrix as JSON or as an Excel Sheet
+// (read like the paper itself; the sheet is a download, so it is for the exam cell alone)
+app.get('/api/papers/:id/coverage', requireRole('examcell', 'hod'), (req, res) => {
+    const paper = loadPaper(req.params.id);
+    if (!paper) {
+        return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+    }
+    if (!canReadPaper(req.user, paper)) {
+        return res.status(403).json({ error: `Paper '${paper.id}' is ${paperStatus(paper)}; the HoD views papers only while they are submitted` });
+    }
+    res.json({ paperId: paper.id, ...paperCoverage(paper) });
+});
+
+app.get('/api/papers/:id/coverage/xlsx', requireRole('examcell'), (req, res) => {
+    try {
+        const paper = loadPaper(req.params.id);
+        if (!paper) {
+            return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+        }
+        const workbook = renderCoverageWorkbook(paper, paperCoverage(paper));
+        res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.set('Content-Disposition', `attachment; filename="${paperFileName(paper, 'coverage.xlsx')}"`);
+        res.send(workbook);
+    } catch (error) {
+        req.log.error('Error rendering coverage workbook', { error: error.message });
+        res.status(500).json({ error: 'Error rendering coverage workbook: ' + error.message });
+    }
+});
+
+// API Endpoint to List Stored Papers, Optionally Filtered by Status (e.g. ?status=submitted for the HoD's queue)
+app.get('/api/papers', requireRole('examcell', 'hod'), (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !paperStatuses.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${paperStatuses.join(', ')}` });
+    }
+    const dir = path.join(dataDir, papersDir);
+    const papers = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(file => file.endsWith('.json')).map(file => loadPaper(path.basename(file, '.json'))).filter(Boolean)
+        : [];
+    res.json(papers
+        .filter(paper => status === undefined || paperStatus(paper) === status)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(paper => ({
+            paperId: paper.id,
+            bankId: paper.bankId,
+            blueprint: paper.blueprint,
+            set: paper.set,
+            status: paperStatus(paper),
+            createdAt: paper.createdAt
+        })));
+});
+
+// API Endpoint to List the Questions That Could Replace a Labelled Question of a Draft
+app.get('/api/papers/:id/questions/:label/candidates', requireRole('examcell'), (req, res) => {
+    const loaded = loadPaperWithBank(req.params.id);
+    if (loaded.error) {
+        return res.status(loaded.status).json({ error: loaded.error });
+    }
+    const candidates = swapCandidates(loaded.paper, loaded.bank, req.params.label);
+    if (!candidates) {
+        return res.status(404).json({ error: `Paper '${loaded.paper.id}' has no question labelled '${req.params.label}'` });
+    }
+    res.json(candidates.map(q => ({ id: q.id, sno: q.sno, question: q.question, questionHtml: renderMarkup(q.question), unit: q.unit, btLevel: q.btLevel })));
+});
+
+// API Endpoint to Swap One Labelled Question of a Draft (pass questionId to choose the replacement, otherwise one is picked)
+app.post('/api/papers/:id/questions/:label/swap', requireRole('examcell'), (req, res) => {
+    try {
+        const loaded = loadPaperWithBank(req.params.id);
+        if (loaded.error) {
+            return res.status(loaded.status).json({ error: loaded.error });
+        }
+        const { paper, bank } = loaded;
+        if (paperStatus(paper) !== 'draft') {
+            return res.status(409).json({ error: `Paper '${paper.id}' is ${paperStatus(paper)}; only drafts can be changed` });
+        }
+        const candidates = swapCandidates(paper, bank, req.params.label);
+        if (!candidates) {
+            return res.status(404).json({ error: `Paper '${paper.id}' has no question labelled '${req.params.label}'` });
+        }
+
+        const { question: current } = findPaperQuestion(paper, req.params.label);
+        let replacement;
+        if (req.body.questionId !== undefined) {
+            replacement = candidates.find(q => q.id === req.body.questionId);
+            if (!replacement) {
+                return res.status(400).json({
+                    error: `Question ${req.body.questionId} cannot replace ${req.params.label}: it must be a Unit ${current.unit}, BTL L${current.btLevel} question not already on the paper that keeps the CO coverage met`
+                });
+            }
+        } else {
+            if (candidates.length === 0) {
+                return res.status(400).json({ error: `No other Unit ${current.unit}, BTL L${current.btLevel} questions are available to replace ${req.params.label}` });
+            }
+            // Prefer questions the paper's usage options do not steer away from
+            const avoidIds = new Set((paper.options && paper.options.avoidIds) || []);
+            const fresh = candidates.filter(q => !avoidIds.has(q.id));
+            const pool = fresh.length > 0 ? fresh : candidates;
+            replacement = pool[crypto.randomInt(pool.length)];
+        }
+
+        replacePaperQuestion(paper, req.params.label, replacement);
+        const swap = { label: req.params.label, fromQuestionId: current.id, toQuestionId: replacement.id };
+        paper.swaps = [...(paper.swaps || []), swap];
+        savePaper(paper);
+        const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
+        recordAudit(paper.id, req.user, 'swap', comment ? { ...swap, comment } : swap);
+        res.json(paperResponse(paper));
+    } catch (error) {
+        req.log.error('Error swapping question', { error: error.message });
+        res.status(500).json({ error: 'Error swapping question: ' + error.message });
+    }
+});
+
+// API Endpoint to Move a Paper to Its Next Review Status
+app.post('/api/papers/:id/status', requireRole('examcell', 'hod'), (req, res) => {
+    const paper = loadPaper(req.params.id);
+    if (!paper) {
+        return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+    }
+    const from = paperStatus(paper);
+    const { status: to, comment } = req.body;
+    if (!paperStatuses.includes(to)) {
+        return res.status(400).json({ error: `status must be one of: ${paperStatuses.join(', ')}` });
+    }
+    if (comment !== undefined && typeof comment !== 'string') {
+        return res.status(400).json({ error: 'comment must be a string' });
+    }
+    const transition = paperTransitions.find(t => t.from === from && t.to === to);
+    if (!transition) {
+        return res.status(409).json({ error: `Paper '${paper.id}' cannot move from ${from} to ${to}` });
+    }
+    if (!transition.roles.includes(req.user.role)) {
+        return res.status(403).json({ error: `Moving a paper from ${from} to ${to} requires role: ${transition.roles.join(' or ')}` });
     }
+
+    paper.status = to;
+    savePaper(paper);
+    const details = { from, to };
+    if (comment && comment.trim() !== '') details.comment = comment.trim();
+    const entry = recordAudit(paper.id, req.user, 'status', details);
+    res.json({ paperId: paper.id, status: to, audit: entry });
+});
+
+// API Endpoint to Query a Paper's Audit Log (filter with ?action=status or ?action=swap)
+app.get('/api/papers/:id/audit', requireRole('examcell', 'hod', 'admin'), (req, res) => {
+    const paper = loadPaper(req.params.id);
+    if (!paper) {
+        return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+    }
+    const { action } = req.query;
+    res.json({
+        paperId: paper.id,
+        status: paperStatus(paper),
+        entries: loadAudit(paper.id).filter(entry => action === undefined || entry.action === action)
+    });
+});
+
+// API Endpoint to Finalize a Paper for an Exam, Recording the Questions It Used
+app.post('/api/papers/:id/finalize', requireRole('examcell'), (req, res) => {
+    const paper = loadPaper(req.params.id);
+    if (!paper) {
+        return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+    }
+    if (paper.finalized) {
+        return res.status(409).json({ error: `Paper '${paper.id}' was already finalized for ${paper.finalized.examName}` });
+    }
+    if (paperStatus(paper) !== 'released') {
+        return res.status(409).json({ error: `Paper '${paper.id}' is ${paperStatus(paper)}; only released papers can be finalized` });
+    }
+    const { examName, date = new Date().toISOString().slice(0, 10) } = req.body;
+    if (typeof examName !== 'string' || examName.trim() === '') {
+        return res.status(400).json({ error: 'examName is required' });
+    }
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+        return res.status(400).json({ error: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const entry = {
+        paperId: paper.id,
+        examName: examName.trim(),
+        date,
+        questionIds: paper.parts.flatMap(part => part.questions.map(q => q.id)),
+        finalizedAt: new Date().toISOString()
+    };
+    saveUsage(paper.bankId, [...loadUsage(paper.bankId), entry]);
+    paper.finalized = { examName: entry.examName, date, finalizedAt: entry.finalizedAt };
+    savePaper(paper);
+    res.json({ message: `Paper '${paper.id}' finalized for ${entry.examName}`, usage: entry });
+});
+
+// API Endpoint to Report How Often Each Question of a Bank Has Been Used
+app.get('/api/banks/:bankId/usage', (req, res) => {
+    const bank = loadBankForUser(req.user, req.params.bankId);
+    if (!bank) {
+        return res.status(404).json({ error: `Question bank '${req.params.bankId}' not found` });
+    }
+    const exams = loadUsage(bank.id).sort((a, b) => b.date.localeCompare(a.date));
+    const questions = bank.questions.map(q => {
+        const usedIn = exams.filter(entry => entry.questionIds.includes(q.id));
+        return {
+            id: q.id,
+            sno: q.sno,
+            unit: q.unit,
+            btLevel: q.btLevel,
+            uses: usedIn.length,
+            lastUsed: usedIn.length > 0 ? { examName: usedIn[0].examName, date: usedIn[0].date } : null
+        };
+    });
+
+    const neverUsed = questions.filter(q => q.uses === 0);
+    const neverUsedByUnit = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    neverUsed.forEach(q => {
+        neverUsedByUnit[q.unit] = (neverUsedByUnit[q.unit] || 0) + 1;
+    });
+
+    res.json({
+        bankId: bank.id,
+        exams: exams.map(({ questionIds, ...entry }) => ({ ...entry, questionCount: questionIds.length })),
+        questions,
+        neverUsed: neverUsed.map(q => q.id),
+        neverUsedByUnit
+    });
+});
+
+// API Endpoints to Get the Answer Key and Marking Scheme of a Generated Paper
+// Answer keys are read like the papers they belong to, and only the exam cell downloads them
+app.get('/api/papers/:id/answer-key', requireRole('examcell', 'hod'), (req, res) => {
+    const paper = loadPaper(req.params.id);
+    if (!paper) {
+        return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+    }
+    if (!canReadPaper(req.user, paper)) {
+        return res.status(403).json({ error: `Paper '${paper.id}' is ${paperStatus(paper)}; the HoD views papers only while they are submitted` });
+    }
+    res.json(buildAnswerKey(paper));
 });
 
-// Start the Server
-app.listen(port, () => {
-    console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+app.get('/api/papers/:id/answer-key/pdf', requireRole('examcell'), async (req, res) => {
+    try {
+        const paper = loadPaper(req.params.id);
+        if (!paper) {
+            return res.status(404).json({ error: `Paper '${req.params.id}' not found` });
+        }
+        const pdf = await renderAnswerKeyPdf(paper, buildAnswerKey(paper));
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${paperFileName(paper, 'answer-key.pdf')}"`);
+        res.send(pdf);
+    } catch (error) {
+        req.log.error('Error rendering answer key PDF', { error: error.message });
+        res.status(500).json({ error: 'Error rendering answer key PDF: ' + error.message });
+    }
+});
+
+// Start the Server when run directly; tests require the app (and the helpers from lib/) instead
+if (require.main === module) {
+    app.listen(port, () => {
+        logger.info(`Server running on port ${port}`, { port, logLevel });
+    });
+}
+
+module.exports = { app };
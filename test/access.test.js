@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+const bankId = 'CS501-R22-CSE';
+const roles = ['admin', 'faculty', 'hod', 'examcell'];
+let server;
+let base;
+const headers = {};
+let paperId;
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+function bankWorkbook() {
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 4; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `Secret unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function uploadForm() {
+    const form = new FormData();
+    form.append('excelFile', new Blob([bankWorkbook()],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    return form;
+}
+
+async function call(method, url, role, body) {
+    const init = { method, headers: { ...headers[role] } };
+    if (body instanceof FormData) {
+        init.body = body;
+    } else if (body !== undefined) {
+        init.headers['Content-Type'] = 'application/json';
+        init.body = JSON.stringify(body);
+    }
+    const response = await fetch(`${base}${url}`, init);
+    return { status: response.status, text: await response.text() };
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    headers.admin = await signIn('admin', 'test-admin-password');
+    const accounts = [
+        { username: 'teacher', role: 'faculty', subjects: ['CS501'] },
+        { username: 'stranger', role: 'faculty', subjects: ['CS502'] },
+        { username: 'head', role: 'hod' },
+        { username: 'cell', role: 'examcell' }
+    ];
+    for (const account of accounts) {
+        await call('POST', '/api/users', 'admin', { ...account, password: `${account.username}-password` });
+    }
+    headers.faculty = await signIn('teacher', 'teacher-password');
+    headers.stranger = await signIn('stranger', 'stranger-password');
+    headers.hod = await signIn('head', 'head-password');
+    headers.examcell = await signIn('cell', 'cell-password');
+
+    assert.strictEqual((await call('POST', '/api/upload', 'admin', uploadForm())).status, 200);
+    paperId = JSON.parse((await call('POST', '/api/generate', 'examcell', { blueprintId: 'mid1', seed: 'access' })).text).paperId;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Each route with the roles allowed through and the status they get; every other role gets 403
+const routes = () => [
+    ['GET', '/api/banks', { admin: 200, faculty: 200, hod: 200, examcell: 200 }],
+    ['GET', `/api/banks/${bankId}`, { admin: 200, faculty: 200, examcell: 200 }],
+    ['GET', `/api/banks/${bankId}/questions`, { admin: 200, faculty: 200, examcell: 200 }],
+    ['GET', `/api/banks/${bankId}/questions/1`, { admin: 200, faculty: 200, examcell: 200 }],
+    ['GET', `/api/banks/${bankId}/export`, { admin: 200, faculty: 200, examcell: 200 }],
+    ['GET', `/api/banks/${bankId}/duplicates`, { admin: 200, faculty: 200, examcell: 200 }],
+    ['GET', `/api/banks/${bankId}/usage`, { admin: 200, faculty: 200, hod: 200, examcell: 200 }],
+    ['GET', `/api/banks/${bankId}/analysis`, { admin: 200, faculty: 200, hod: 200, examcell: 200 }],
+    ['GET', '/api/blueprints', { admin: 200, faculty: 200, hod: 200, examcell: 200 }],
+    ['GET', '/api/blueprints/mid1', { admin: 200, faculty: 200, hod: 200, examcell: 200 }],
+    ['GET', '/api/column-profiles', { admin: 200, faculty: 200, hod: 200, examcell: 200 }],
+    ['GET', '/api/templates', { admin: 200, faculty: 200, hod: 200, examcell: 200 }],
+    ['GET', '/api/users', { admin: 200 }],
+    ['GET', '/api/papers', { hod: 200, examcell: 200 }],
+    ['GET', `/api/papers/${paperId}`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/pdf`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/docx`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/answer-key`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/answer-key/pdf`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/coverage`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/coverage/xlsx`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/questions/1/candidates`, { examcell: 200 }],
+    ['GET', `/api/papers/${paperId}/audit`, { admin: 200, hod: 200, examcell: 200 }],
+    ['GET', '/api/image-proxy-base64', { admin: 400, faculty: 400 }],
+    ['POST', '/api/upload', { admin: 200, faculty: 200 }, uploadForm],
+    ['POST', '/api/generate', { examcell: 200 }, () => ({ blueprintId: 'mid1', seed: 'access-2' })],
+    ['POST', '/api/generate/sets', { examcell: 200 }, () => ({ blueprintId: 'mid1', seed: 'access-3', count: 2 })],
+    ['POST', `/api/papers/${paperId}/questions/1/swap`, { examcell: 200 }, () => ({})]
+];
+
+test('every route lets through only the roles the read policy names, with papers in draft', async () => {
+    for (const [method, url, allowed, body] of routes()) {
+        for (const role of roles) {
+            const { status } = await call(method, url, role, body && body());
+            assert.strictEqual(status, allowed[role] || 403, `${role} ${method} ${url}`);
+        }
+    }
+});
+
+test('no route open to the HoD returns question text', async () => {
+    for (const [method, url, allowed] of routes()) {
+        if (method !== 'GET' || !allowed.hod) continue;
+        const { text } = await call(method, url, 'hod');
+        assert.ok(!text.includes('Secret'), `GET ${url}`);
+    }
+});
+
+test('the HoD reads a paper, its answer key and coverage only while it is submitted, and never downloads or changes it', async () => {
+    const paper = `/api/papers/${paperId}`;
+    assert.strictEqual((await call('POST', `${paper}/status`, 'hod', { status: 'submitted' })).status, 403);
+    assert.strictEqual((await call('POST', `${paper}/status`, 'examcell', { status: 'submitted' })).status, 200);
+
+    const view = await call('GET', paper, 'hod');
+    assert.strictEqual(view.status, 200);
+    assert.ok(view.text.includes('Secret'));
+    assert.strictEqual((await call('GET', `${paper}/answer-key`, 'hod')).status, 200);
+    assert.strictEqual((await call('GET', `${paper}/coverage`, 'hod')).status, 200);
+    for (const url of [`${paper}/pdf`, `${paper}/docx`, `${paper}/answer-key/pdf`, `${paper}/coverage/xlsx`, `${paper}/questions/1/candidates`]) {
+        assert.strictEqual((await call('GET', url, 'hod')).status, 403, url);
+    }
+    assert.strictEqual((await call('POST', `${paper}/questions/1/swap`, 'hod', {})).status, 403);
+
+    assert.strictEqual((await call('POST', `${paper}/status`, 'hod', { status: 'approved' })).status, 200);
+    assert.strictEqual((await call('GET', paper, 'hod')).status, 403);
+    assert.strictEqual((await call('GET', `${paper}/answer-key`, 'hod')).status, 403);
+    assert.strictEqual((await call('GET', `${paper}/coverage`, 'hod')).status, 403);
+    assert.strictEqual((await call('GET', paper, 'examcell')).status, 200);
+
+    assert.strictEqual((await call('POST', `${paper}/status`, 'examcell', { status: 'released' })).status, 200);
+    assert.strictEqual((await call('POST', `${paper}/finalize`, 'hod', { examName: 'Mid 1' })).status, 403);
+    assert.strictEqual((await call('POST', `${paper}/finalize`, 'examcell', { examName: 'Mid 1' })).status, 200);
+});
+
+test('faculty only reach the banks of their own subjects', async () => {
+    const urls = [`/api/banks/${bankId}`, `/api/banks/${bankId}/questions`, `/api/banks/${bankId}/questions/1`,
+        `/api/banks/${bankId}/export`, `/api/banks/${bankId}/duplicates`, `/api/banks/${bankId}/usage`, `/api/banks/${bankId}/analysis`];
+    for (const url of urls) {
+        assert.strictEqual((await call('GET', url, 'stranger')).status, 404, url);
+    }
+    assert.deepStrictEqual(JSON.parse((await call('GET', '/api/banks', 'stranger')).text), []);
+});
+
+test('every API route but login needs a session', async () => {
+    for (const [method, url] of routes()) {
+        assert.strictEqual((await fetch(`${base}${url}`, { method })).status, 401, `${method} ${url}`);
+    }
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+const { distinctSets } = require('../lib/selection');
+const mid1 = require('../blueprints/mid1.json');
+
+let server;
+let base;
+let admin;
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'test-admin-password' })
+    });
+    admin = { Authorization: `Bearer ${(await response.json()).token}` };
+
+    // Four questions for every unit and BTL, the Unit 1 ones mapped to CO1
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 4; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `Unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    CO: unit === 'I' ? 'CO1' : '', 'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    assert.strictEqual((await fetch(`${base}/api/upload`, { method: 'POST', headers: admin, body: form })).status, 200);
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const analyse = query => fetch(`${base}/api/banks/CS501-R22-CSE/analysis${query || ''}`, { headers: admin })
+    .then(async response => ({ status: response.status, body: await response.json() }));
+
+test('the analysis counts questions per unit, BTL, marks and CO', async () => {
+    const { status, body } = await analyse();
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.questionCount, 120);
+    assert.deepStrictEqual(body.units, { 1: 24, 2: 24, 3: 24, 4: 24, 5: 24 });
+    assert.strictEqual(body.matrix.length, 30);
+    assert.ok(body.matrix.every(cell => cell.questions === 4 && cell.marks === null));
+    assert.deepStrictEqual(body.matrix[0], { unit: 1, btLevel: '1', marks: null, questions: 4 });
+    assert.deepStrictEqual(body.outcomes, [{ co: 'CO1', questions: 24, marks: 0, units: { 1: 24 } }]);
+    assert.deepStrictEqual(body.blueprints.map(blueprint => blueprint.id), ['mid1', 'mid2', 'semester']);
+});
+
+test('each blueprint reports the distinct sets the search drew, and what more sets would need', async () => {
+    const two = (await analyse('?sets=2')).body.blueprints.find(blueprint => blueprint.id === 'mid1');
+    assert.strictEqual(two.maxDistinctSets, 2);
+    assert.strictEqual(two.distinctSetsConfirmed, true);
+    assert.strictEqual(two.supported, true);
+    assert.deepStrictEqual(two.shortfalls, []);
+    assert.ok(two.possiblePapers > 0);
+
+    const three = (await analyse('?sets=3')).body.blueprints.find(blueprint => blueprint.id === 'mid1');
+    assert.strictEqual(three.supported, false);
+    assert.deepStrictEqual(three.shortfalls.map(shortfall => shortfall.message), [
+        'Unit 1 needs 2 more L1 questions worth 2 marks for Part A to support mid1 with 3 distinct sets',
+        'Unit 2 needs 2 more L1 questions worth 2 marks for Part A to support mid1 with 3 distinct sets'
+    ]);
+    assert.deepStrictEqual(three.shortfalls.map(shortfall => shortfall.missing), [2, 2]);
+});
+
+test('a search out of time leaves the count unknown rather than guessing from the bound', () => {
+    const { questions } = JSON.parse(fs.readFileSync(path.join(dataDir, 'banks', 'CS501-R22-CSE.json'), 'utf8'));
+    assert.deepStrictEqual(distinctSets(mid1, questions, Date.now() - 1), { max: null, atLeast: 0, bound: 2, confirmed: false });
+    assert.deepStrictEqual(distinctSets(mid1, questions, Date.now() + 60000), { max: 2, atLeast: 2, bound: 2, confirmed: true });
+});
+
+test('the requested set count is checked', async () => {
+    for (const query of ['?sets=0', '?sets=27', '?sets=two']) {
+        assert.strictEqual((await analyse(query)).status, 400, query);
+    }
+    const missing = await fetch(`${base}/api/banks/CS999-R22-CSE/analysis`, { headers: admin });
+    assert.strictEqual(missing.status, 404);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// No ADMIN_PASSWORD, so the first run has to make one up and hand it over
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.LOG_LEVEL = 'error';
+delete process.env.ADMIN_PASSWORD;
+
+const { app } = require('../server');
+
+let server;
+let base;
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the generated admin password is written to a file only the owner can read', async () => {
+    const passwordPath = path.join(dataDir, 'initial-admin-password');
+    assert.strictEqual(fs.statSync(passwordPath).mode & 0o777, 0o600);
+    const password = fs.readFileSync(passwordPath, 'utf8').trim();
+    const login = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password })
+    });
+    assert.strictEqual(login.status, 200);
+});
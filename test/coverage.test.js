@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+const mid1 = require('../blueprints/mid1.json');
+
+let server;
+let base;
+const sessions = {};
+const coById = {};
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+async function call(method, url, session, body) {
+    const response = await fetch(`${base}${url}`, {
+        method,
+        headers: body === undefined ? sessions[session] : { ...sessions[session], 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer()) };
+}
+
+// Six questions for every unit and BTL; half of each unit maps to the unit's CO, the other half to CO6
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    sessions.admin = await signIn('admin', 'test-admin-password');
+    await call('POST', '/api/users', 'admin', { username: 'cell', password: 'cell-password', role: 'examcell' });
+    sessions.examcell = await signIn('cell', 'cell-password');
+
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach((unit, u) => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 6; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `Unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I',
+                    CO: k % 2 === 0 ? `CO${u + 1}` : 'CO6', PO: 'PO1, PO2', PSO: k % 2 === 0 ? 'PSO1' : ''
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    assert.strictEqual((await fetch(`${base}/api/upload`, { method: 'POST', headers: sessions.admin, body: form })).status, 200);
+    (await call('GET', '/api/banks/CS501-R22-CSE/questions', 'examcell')).body.forEach(q => {
+        coById[q.id] = q.co;
+    });
+
+    // Every Unit 3 question on the paper must map to CO3
+    const blueprint = { ...mid1, id: 'mid1-co3', coCoverage: [{ co: 'CO3', minQuestions: 5 }] };
+    assert.strictEqual((await call('POST', '/api/blueprints', 'examcell', blueprint)).status, 201);
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const generate = async (blueprintId, seed) => (await call('POST', '/api/generate', 'examcell', { blueprintId, seed })).body;
+const questionsOf = paper => paper.parts.flatMap(part => part.questions);
+
+test('the coverage matrix adds up the marks of every question by CO, unit, BTL, PO and PSO', async () => {
+    const paper = await generate('mid1', 'coverage-1');
+    const { status, body: coverage } = await call('GET', `/api/papers/${paper.paperId}/coverage`, 'examcell');
+    assert.strictEqual(status, 200);
+    const questions = questionsOf(paper);
+    const sum = values => Object.values(values).reduce((total, marks) => total + marks, 0);
+    assert.strictEqual(coverage.totalMarks, questions.reduce((total, q) => total + q.marks, 0));
+    assert.strictEqual(sum(coverage.units), coverage.totalMarks);
+    assert.strictEqual(sum(coverage.btLevels), coverage.totalMarks);
+    assert.strictEqual(coverage.outcomes.reduce((total, outcome) => total + outcome.marks, 0), coverage.totalMarks);
+    assert.deepStrictEqual(coverage.pos, { PO1: coverage.totalMarks, PO2: coverage.totalMarks });
+    assert.strictEqual(coverage.psos.PSO1, questions.filter(q => coById[q.id] !== 'CO6').reduce((total, q) => total + q.marks, 0));
+    assert.deepStrictEqual(coverage.outcomes.map(outcome => outcome.co), [...new Set(questions.map(q => coById[q.id]))].sort());
+    assert.deepStrictEqual(coverage.requirements, []);
+
+    const sheet = await call('GET', `/api/papers/${paper.paperId}/coverage/xlsx`, 'examcell');
+    const workbook = XLSX.read(sheet.body, { type: 'buffer' });
+    assert.deepStrictEqual(workbook.SheetNames, ['Coverage', 'Questions']);
+    const questionRows = XLSX.utils.sheet_to_json(workbook.Sheets.Questions);
+    assert.deepStrictEqual(questionRows.map(row => row.Label), questions.map(q => q.label));
+});
+
+test('papers meet the blueprint CO minimums, and swaps cannot break them', async () => {
+    const paper = await generate('mid1-co3', 'coverage-2');
+    const unit3 = questionsOf(paper).filter(q => q.unit === 3);
+    assert.ok(unit3.every(q => coById[q.id] === 'CO3'));
+    const { body: coverage } = await call('GET', `/api/papers/${paper.paperId}/coverage`, 'examcell');
+    assert.deepStrictEqual(coverage.requirements, [{ co: 'CO3', minQuestions: 5, marks: 22, questions: 5, met: true }]);
+
+    for (const q of unit3) {
+        const { body: candidates } = await call('GET', `/api/papers/${paper.paperId}/questions/${q.label}/candidates`, 'examcell');
+        assert.ok(candidates.length > 0, q.label);
+        assert.ok(candidates.every(candidate => coById[candidate.id] === 'CO3'), q.label);
+    }
+    // Questions outside Unit 3 carry no CO requirement, so either half of their pool may replace them
+    const { body: candidates } = await call('GET', `/api/papers/${paper.paperId}/questions/4a/candidates`, 'examcell');
+    assert.ok(candidates.some(candidate => coById[candidate.id] === 'CO6'));
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+const { findDuplicateClusters } = require('../lib/banks');
+
+const bankId = 'CS501-R22-CSE';
+
+// Near-duplicate pairs put in place of the first two L1 questions of Units I, II and III
+const duplicatePairs = {
+    I: ['Describe the lexical analyzer design', 'Describe lexical analyzer design choices'],
+    II: ['Construct an LR parsing table', 'Construct the LR parsing table quickly'],
+    III: ['Compare top down parsers', 'Compare top down parsers carefully']
+};
+
+let server;
+let base;
+const sessions = {};
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+async function call(method, url, session, body) {
+    const response = await fetch(`${base}${url}`, {
+        method,
+        headers: body === undefined ? sessions[session] : { ...sessions[session], 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Helper Function to Upload Six Questions for Every Unit and BTL, with the Near-Duplicate Pairs in Place
+async function uploadBank(query = '') {
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 6; k++) {
+                const duplicate = level === 1 && duplicatePairs[unit] && duplicatePairs[unit][k];
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: duplicate || `Unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    const response = await fetch(`${base}/api/upload${query}`, { method: 'POST', headers: sessions.admin, body: form });
+    assert.strictEqual(response.status, 200);
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    sessions.admin = await signIn('admin', 'test-admin-password');
+    await call('POST', '/api/users', 'admin', { username: 'cell', password: 'cell-password', role: 'examcell' });
+    sessions.examcell = await signIn('cell', 'cell-password');
+    await uploadBank();
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const questions = texts => texts.map((question, i) => ({ id: i + 1, sno: String(i + 1), question }));
+const clusterIds = clusters => clusters.map(cluster => cluster.questionIds);
+
+test('questions sharing enough word pairs are clustered, others are not', () => {
+    // 3 of 4 word pairs shared is 0.75, 3 of 5 is 0.6: under the 0.7 threshold
+    const clusters = findDuplicateClusters(questions([
+        'Describe the lexical analyzer design',
+        'Define a context free grammar',
+        'Describe lexical analyzer design choices',
+        'Define context free grammars and languages'
+    ]));
+    assert.deepStrictEqual(clusterIds(clusters), [[1, 3]]);
+    assert.strictEqual(clusters[0].id, 'dup-1');
+    assert.strictEqual(clusters[0].score, 0.75);
+    assert.deepStrictEqual(clusters[0].pairs, [{ questionIds: [1, 3], snos: ['1', '3'], score: 0.75 }]);
+});
+
+test('chains of similar pairs merge into one cluster', () => {
+    // The first and last texts score only 0.6 against each other, but both are close to the middle one
+    const clusters = findDuplicateClusters(questions([
+        'Describe lexical analyzer design',
+        'Describe lexical analyzer design choices',
+        'Describe lexical analyzer design choices today'
+    ]));
+    assert.deepStrictEqual(clusterIds(clusters), [[1, 2, 3]]);
+    assert.deepStrictEqual(clusters[0].pairs.map(pair => pair.questionIds).sort(), [[1, 2], [2, 3]]);
+    assert.strictEqual(clusters[0].score, 0.8);
+});
+
+test('questions with different images or marked as distinct are never clustered', () => {
+    const same = questions(['Label the parts of the diagram', 'Label the parts of the diagram', 'Label the parts of the diagram']);
+    same[0].imageUrl = 'https://example.com/a.png';
+    same[1].imageUrl = 'https://example.com/b.png';
+    same[2].imageUrl = 'https://example.com/a.png';
+    assert.deepStrictEqual(clusterIds(findDuplicateClusters(same)), [[1, 3]]);
+
+    const chain = questions(['Describe lexical analyzer design', 'Describe lexical analyzer design choices', 'Describe lexical analyzer design choices today']);
+    assert.deepStrictEqual(clusterIds(findDuplicateClusters(chain, [[1, 2]])), [[2, 3]]);
+    assert.deepStrictEqual(clusterIds(findDuplicateClusters(chain, [[1, 2, 3]])), []);
+});
+
+test('a bank lists its clusters, and a paper never holds two questions of one cluster', async () => {
+    const { status, body } = await call('GET', `/api/banks/${bankId}/duplicates`, 'examcell');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.map(cluster => cluster.questions.map(q => q.question)), Object.values(duplicatePairs));
+
+    const [unitI, unitII] = clusterIds(body);
+    for (let n = 0; n < 10; n++) {
+        const paper = (await call('POST', '/api/generate', 'examcell', { blueprintId: 'mid1', seed: `dup-${n}` })).body;
+        const ids = paper.parts.flatMap(part => part.questions.map(q => q.id));
+        [unitI, unitII].forEach(cluster => assert.ok(cluster.filter(id => ids.includes(id)).length <= 1, `dup-${n}`));
+    }
+});
+
+test('swap candidates leave out the near-duplicates of questions on the paper', async () => {
+    const [unitI] = clusterIds((await call('GET', `/api/banks/${bankId}/duplicates`, 'examcell')).body);
+    let checked = 0;
+    for (let n = 0; n < 20 && checked === 0; n++) {
+        const paper = (await call('POST', '/api/generate', 'examcell', { blueprintId: 'mid1', seed: `swap-${n}` })).body;
+        const unitIShort = paper.parts.flatMap(part => part.questions).filter(q => q.unit === 1 && q.btLevel === '1');
+        const member = unitIShort.find(q => unitI.includes(q.id));
+        const other = unitIShort.find(q => !unitI.includes(q.id));
+        if (!member || !other) continue;
+
+        const candidates = (await call('GET', `/api/papers/${paper.paperId}/questions/${other.label}/candidates`, 'examcell')).body;
+        assert.ok(candidates.length > 0);
+        assert.deepStrictEqual(candidates.filter(q => unitI.includes(q.id)), []);
+
+        // The question's own cluster is no bar to swapping it for its near-duplicate
+        const own = (await call('GET', `/api/papers/${paper.paperId}/questions/${member.label}/candidates`, 'examcell')).body;
+        assert.ok(own.some(q => unitI.includes(q.id) && q.id !== member.id));
+        checked++;
+    }
+    assert.strictEqual(checked, 1);
+});
+
+test('a dismissed cluster stays dismissed when the bank is uploaded again', async () => {
+    const [unitI] = (await call('GET', `/api/banks/${bankId}/duplicates`, 'admin')).body;
+    const dismissed = await call('POST', `/api/banks/${bankId}/duplicates/${unitI.id}/dismiss`, 'admin', {});
+    assert.strictEqual(dismissed.status, 200);
+    assert.deepStrictEqual((await call('GET', `/api/banks/${bankId}/duplicates`, 'admin')).body.map(cluster => cluster.id), ['dup-37', 'dup-73']);
+
+    await uploadBank('?mode=replace');
+    assert.deepStrictEqual((await call('GET', `/api/banks/${bankId}/duplicates`, 'admin')).body.map(cluster => cluster.id), ['dup-37', 'dup-73']);
+    await uploadBank();
+    assert.deepStrictEqual((await call('GET', `/api/banks/${bankId}/duplicates`, 'admin')).body.map(cluster => cluster.id), ['dup-37', 'dup-73']);
+});
+
+test('merging a cluster keeps the chosen question and deletes the rest', async () => {
+    assert.strictEqual((await call('POST', `/api/banks/${bankId}/duplicates/dup-37/merge`, 'admin', { keep: 1 })).status, 400);
+    const { status, body } = await call('POST', `/api/banks/${bankId}/duplicates/dup-37/merge`, 'admin', { keep: 38 });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.removed, [37]);
+    const bank = (await call('GET', `/api/banks/${bankId}/questions`, 'admin')).body;
+    assert.deepStrictEqual(bank.filter(q => q.id === 37 || q.id === 38).map(q => q.id), [38]);
+    assert.deepStrictEqual((await call('GET', `/api/banks/${bankId}/duplicates`, 'admin')).body.map(cluster => cluster.id), ['dup-73']);
+    assert.strictEqual((await call('POST', `/api/banks/${bankId}/duplicates/dup-37/merge`, 'admin', { keep: 38 })).status, 404);
+});
+
+test('a stored cluster whose questions left the bank lists only those still in it', async () => {
+    const file = path.join(dataDir, 'banks', `${bankId}.json`);
+    const bank = JSON.parse(fs.readFileSync(file, 'utf8'));
+    bank.questions = bank.questions.filter(q => q.id !== 73);
+    fs.writeFileSync(file, JSON.stringify(bank));
+
+    const { status, body } = await call('GET', `/api/banks/${bankId}/duplicates`, 'admin');
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, []);
+});
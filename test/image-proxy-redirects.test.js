@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The local stand-in is only reachable with the private address guard lifted (IMAGE_FETCH_ALLOW_PRIVATE), so this
+// file checks the host allow-list on redirects; the address guard on redirects is covered by checkImageUrl
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+process.env.IMAGE_PROXY_ALLOWED_HOSTS = '127.0.0.1';
+process.env.IMAGE_FETCH_ALLOW_PRIVATE = 'true';
+
+const { app } = require('../server');
+
+const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// A stand-in image host that counts the requests it receives and redirects /away to a host off the allow-list
+function startStandIn() {
+    const standIn = { requests: [] };
+    standIn.server = http.createServer((req, res) => {
+        standIn.requests.push(`${req.headers.host}${req.url}`);
+        if (req.url === '/away') {
+            res.writeHead(302, { Location: `http://localhost:${standIn.port}/img.png` });
+            return res.end();
+        }
+        if (req.url === '/here') {
+            res.writeHead(302, { Location: '/img.png' });
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+    });
+    return new Promise(resolve => standIn.server.listen(0, '127.0.0.1', () => {
+        standIn.port = standIn.server.address().port;
+        resolve(standIn);
+    }));
+}
+
+let server;
+let base;
+let token;
+let standIn;
+
+test.before(async () => {
+    standIn = await startStandIn();
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'test-admin-password' })
+    });
+    token = (await login.json()).token;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    standIn.server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const proxy = url => fetch(`${base}/api/image-proxy-base64?url=${encodeURIComponent(url)}`, { headers: { Authorization: `Bearer ${token}` } });
+
+test('the proxy follows a redirect that stays on an allowed host', async () => {
+    const response = await proxy(`http://127.0.0.1:${standIn.port}/here`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).dataUrl, `data:image/png;base64,${png.toString('base64')}`);
+});
+
+test('the proxy refuses a redirect to a host off the allow-list without following it', async () => {
+    standIn.requests = [];
+    const response = await proxy(`http://127.0.0.1:${standIn.port}/away`);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).code, 'host_not_allowed');
+    assert.deepStrictEqual(standIn.requests, [`127.0.0.1:${standIn.port}/away`]);
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// The server keeps its data in a scratch directory and stays quiet while the tests run; the allow-list names the
+// local stand-in, so only the private address guard stands between the proxy and it
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+process.env.IMAGE_PROXY_ALLOWED_HOSTS = '127.0.0.1,localhost';
+delete process.env.IMAGE_FETCH_ALLOW_PRIVATE;
+
+const { app } = require('../server');
+const { checkImageUrl, isPrivateAddress } = require('../lib/images');
+
+const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+// A stand-in image host that counts the requests it receives
+function startStandIn() {
+    const standIn = { requests: [] };
+    standIn.server = http.createServer((req, res) => {
+        standIn.requests.push(req.url);
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(png);
+    });
+    return new Promise(resolve => standIn.server.listen(0, '127.0.0.1', () => {
+        standIn.port = standIn.server.address().port;
+        resolve(standIn);
+    }));
+}
+
+let server;
+let base;
+let token;
+let standIn;
+
+test.before(async () => {
+    standIn = await startStandIn();
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    const login = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'admin', password: 'test-admin-password' })
+    });
+    token = (await login.json()).token;
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    standIn.server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const proxy = url => fetch(`${base}/api/image-proxy-base64?url=${encodeURIComponent(url)}`, { headers: { Authorization: `Bearer ${token}` } });
+
+test('private, loopback and link-local addresses are recognised', () => {
+    ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.0.1', '192.168.1.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:10.0.0.1', '::ffff:7f00:1']
+        .forEach(address => assert.ok(isPrivateAddress(address), address));
+    ['8.8.8.8', '142.250.183.14', '2607:f8b0:4004:800::200e'].forEach(address => assert.ok(!isPrivateAddress(address), address));
+});
+
+test('URLs are checked before they are requested or followed', () => {
+    const allowed = ['drive.google.com', '10.0.0.1'];
+    assert.strictEqual(checkImageUrl('https://drive.google.com/uc?id=1', allowed), null);
+    assert.strictEqual(checkImageUrl('https://evil.example.com/a.png', allowed).reason, 'host_not_allowed');
+    assert.strictEqual(checkImageUrl('http://10.0.0.1/a.png', allowed).reason, 'private_address');
+    assert.strictEqual(checkImageUrl('file:///etc/passwd', allowed).reason, 'invalid_url');
+    assert.strictEqual(checkImageUrl('not a url', allowed).reason, 'invalid_url');
+});
+
+test('the proxy refuses a private address without contacting it', async () => {
+    const response = await proxy(`http://127.0.0.1:${standIn.port}/img.png`);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).code, 'private_address');
+    assert.deepStrictEqual(standIn.requests, []);
+});
+
+test('the proxy refuses a host name that resolves to a private address', async () => {
+    const response = await proxy(`http://localhost:${standIn.port}/img.png`);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).code, 'private_address');
+    assert.deepStrictEqual(standIn.requests, []);
+});
+
+test('the proxy refuses hosts off the allow-list', async () => {
+    const response = await proxy('http://images.example.net/img.png');
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).code, 'host_not_allowed');
+});
+
+test('the proxy requires a login', async () => {
+    const response = await fetch(`${base}/api/image-proxy-base64?url=${encodeURIComponent('https://drive.google.com/uc?id=1')}`);
+    assert.strictEqual(response.status, 401);
+});
+
+test('the proxy is closed to roles that do not upload banks', async () => {
+    const json = { 'Content-Type': 'application/json' };
+    await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { ...json, Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ username: 'cell', password: 'cell-password', role: 'examcell' })
+    });
+    const login = await fetch(`${base}/api/auth/login`, { method: 'POST', headers: json, body: JSON.stringify({ username: 'cell', password: 'cell-password' }) });
+    const cellToken = (await login.json()).token;
+    const response = await fetch(`${base}/api/image-proxy-base64?url=${encodeURIComponent(`http://127.0.0.1:${standIn.port}/img.png`)}`,
+        { headers: { Authorization: `Bearer ${cellToken}` } });
+    assert.strictEqual(response.status, 403);
+    assert.deepStrictEqual(standIn.requests, []);
+});
+
+test('a cached copy is not served once its host is off the allow-list', async () => {
+    // A fresh entry left behind while the host was still allowed
+    const url = 'http://images.example.net/cached.png';
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    fs.mkdirSync(path.join(dataDir, 'image-cache'), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'image-cache', `${key}.bin`), png);
+    fs.writeFileSync(path.join(dataDir, 'image-cache', `${key}.json`),
+        JSON.stringify({ url, contentType: 'image/png', etag: '"x"', fetchedAt: new Date().toISOString() }));
+    const response = await proxy(url);
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).code, 'host_not_allowed');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const sharp = require('sharp');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+let server;
+let base;
+let admin;
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    admin = await signIn('admin', 'test-admin-password');
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('images in an uploaded ZIP are stored by content hash with a thumbnail', async () => {
+    const diagram = await sharp({ create: { width: 600, height: 300, channels: 3, background: '#336699' } }).png().toBuffer();
+    // A bank large enough for the blueprints, then three questions with images, the last not in the ZIP
+    const rows = [];
+    const row = (unit, question, level, image) => ({
+        'S.NO': rows.length + 1, Unit: unit, Question: question, 'B.T Level': `L${level}`,
+        'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I', 'Image Url': image
+    });
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            rows.push(row(unit, `Unit ${unit} L${level} question`, level, ''));
+            rows.push(row(unit, `Unit ${unit} L${level} other question`, level, ''));
+        }
+    });
+    ['diagram.png', 'Diagram.PNG', 'missing.png'].forEach((image, k) => rows.push(row('I', `Explain figure ${k}`, 2, image)));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const zip = new AdmZip();
+    zip.addFile('bank.xlsx', XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+    zip.addFile('images/diagram.png', diagram);
+
+    const form = new FormData();
+    form.append('excelFile', new Blob([zip.toBuffer()], { type: 'application/zip' }), 'bank.zip');
+    const response = await fetch(`${base}/api/upload`, { method: 'POST', headers: admin, body: form });
+    const body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(body.warnings.map(entry => [entry.row, entry.column]), [[64, 'Image Url']]);
+
+    const questions = await (await fetch(`${base}/api/banks/CS501-R22-CSE/questions`, { headers: admin })).json();
+    const [first, second, missing] = questions.slice(-3);
+    assert.deepStrictEqual({ ...first.image, hash: undefined }, { hash: undefined, contentType: 'image/png', width: 600, height: 300 });
+    assert.strictEqual(second.image.hash, first.image.hash);
+    assert.strictEqual(first.imageUrl, `/api/images/${first.image.hash}`);
+    assert.strictEqual(missing.imageMissing, true);
+
+    const image = await fetch(`${base}${first.imageUrl}`, { headers: admin });
+    assert.strictEqual(image.headers.get('content-type'), 'image/png');
+    assert.ok(Buffer.from(await image.arrayBuffer()).equals(diagram));
+    const thumbnail = await sharp(Buffer.from(await (await fetch(`${base}${first.imageUrl}/thumbnail`, { headers: admin })).arrayBuffer())).metadata();
+    assert.deepStrictEqual([thumbnail.width, thumbnail.height], [240, 120]);
+    assert.strictEqual((await fetch(`${base}/api/images/${'0'.repeat(64)}`, { headers: admin })).status, 404);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+const { renderMarkup } = require('../lib/markup');
+const { formulaTree, pdfMathWords, pdfMarkupLayout, renderPdf } = require('../lib/export');
+
+let server;
+let base;
+const sessions = {};
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+async function call(method, url, session, body) {
+    const response = await fetch(`${base}${url}`, {
+        method,
+        headers: body === undefined ? sessions[session] : { ...sessions[session], 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer()) };
+}
+
+// Helper Function to Upload Six Questions for Every Unit and BTL, Each with a Fraction and a Root to Typeset
+function upload(rework = rows => rows) {
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 6; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `Unit ${unit} L${level} question ${k}: simplify $\\frac{a+b}{\\sqrt{c}}$`, 'B.T Level': `L${level}`,
+                    Answer: '**Ratio** $x_i^2$', 'Subject Code': 'CS501', Subject: 'Mathematics', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rework(rows)), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    return fetch(`${base}/api/upload`, { method: 'POST', headers: sessions.admin, body: form })
+        .then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    sessions.admin = await signIn('admin', 'test-admin-password');
+    await call('POST', '/api/users', 'admin', { username: 'cell', password: 'cell-password', role: 'examcell' });
+    sessions.examcell = await signIn('cell', 'cell-password');
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Helper Function to Lay a Formula Out for the PDF as [text, size, rise] Pieces, One List per Word
+const layout = tex => pdfMathWords(formulaTree(tex, false), 10, 0).map(word => word.map(piece => [piece.text, piece.size, piece.rise]));
+
+test('markup renders as sanitized HTML with MathML, and only real line breaks break lines', () => {
+    const html = renderMarkup('Find 1. the value <script>alert(1)</script> of $x^2$ at $5 and $10<br>then **stop**');
+    assert.ok(html.startsWith('<p>Find 1. the value &lt;script&gt;alert(1)&lt;/script&gt; of <span class="katex"><math'));
+    assert.ok(html.includes('<msup><mi>x</mi><mn>2</mn></msup>'));
+    assert.ok(html.includes(' at $5 and $10<br />\nthen <strong>stop</strong></p>'));
+    assert.ok(!html.includes('<script'));
+
+    const link = renderMarkup('[site](javascript:alert(1)) <img src=x onerror=alert(1)>');
+    assert.ok(!link.includes('href="javascript') && !link.includes('<img'), link);
+    assert.strictEqual(renderMarkup(''), '');
+});
+
+test('fractions lay out as a bracketed numerator over the denominator', () => {
+    assert.deepStrictEqual(layout('\\frac{a+b}{c}'), [[['(', 10, 0], ['a', 10, 0], [' + ', 10, 0], ['b', 10, 0], [')', 10, 0], ['/', 10, 0], ['c', 10, 0]]]);
+    assert.deepStrictEqual(layout('\\frac{1}{2}'), [[['1', 10, 0], ['/', 10, 0], ['2', 10, 0]]]);
+});
+
+test('scripts and limits print smaller, lowered or raised', () => {
+    assert.deepStrictEqual(layout('x_i^2'), [[['x', 10, 0], ['i', 7, -2], ['2', 7, 4]]]);
+    const sum = layout('\\sum_{i=1}^{n} i')[0];
+    assert.deepStrictEqual(sum.map(([text, size, rise]) => `${text}@${size}/${rise}`), ['∑@10/0', 'i@7/-2', '=@7/-2', '1@7/-2', 'n@7/4', 'i@10/0']);
+});
+
+test('roots bracket what they cover, and an index rides above the sign', () => {
+    assert.deepStrictEqual(layout('\\sqrt{x+1}'), [[['√', 10, 0], ['(', 10, 0], ['x', 10, 0], [' + ', 10, 0], ['1', 10, 0], [')', 10, 0]]]);
+    assert.deepStrictEqual(layout('\\sqrt[3]{x}'), [[['3', 7, 4], ['√', 10, 0], ['x', 10, 0]]]);
+});
+
+test('matrices read row by row, and Markdown tables take a line per row', async () => {
+    assert.deepStrictEqual(layout('\\begin{matrix} a & b \\\\ c & d \\end{matrix}').flat().map(([text]) => text).join(''), 'a, b; c, d');
+
+    const table = '| R | I |\n|---|---|\n| $10$ | $\\frac{1}{2}$ |\n| $20$ | $\\frac{1}{4}$ |';
+    const heights = [];
+    await renderPdf(doc => {
+        heights.push(pdfMarkupLayout(doc, table, 400).height);
+        // A formula too wide for its cell wraps after an operator
+        heights.push(pdfMarkupLayout(doc, '$a + b + c + d + e + f + g + h$', 40).height);
+    });
+    assert.strictEqual(heights[0], 3 * 12.5);
+    assert.ok(heights[1] > 12.5);
+});
+
+test('bad formulas are refused at upload, and the API returns markup beside its HTML', async () => {
+    const refused = await upload(rows => {
+        rows[0].Question = 'Simplify $\\frac{a$';
+        return rows;
+    });
+    assert.strictEqual(refused.status, 400);
+    assert.deepStrictEqual(refused.body.report.errors.map(entry => [entry.sno, entry.column]), [['1', 'Question']]);
+    assert.match(refused.body.report.errors[0].reason, /^Formula '\\frac\{a' cannot be read/);
+
+    assert.strictEqual((await upload()).status, 200);
+    const [first] = (await call('GET', '/api/banks/CS501-R22-CSE/questions', 'admin')).body;
+    assert.strictEqual(first.question, 'Unit I L1 question 0: simplify $\\frac{a+b}{\\sqrt{c}}$');
+    assert.ok(first.questionHtml.includes('<mfrac>') && first.questionHtml.includes('<msqrt>'));
+    assert.ok(first.answerHtml.startsWith('<p><strong>Ratio</strong> <span class="katex">'));
+});
+
+test('a paper with formulas exports to PDF and to Word with native equations', async () => {
+    const { status, body: paper } = await call('POST', '/api/generate', 'examcell', { blueprintId: 'mid1', seed: 'markup-1' });
+    assert.strictEqual(status, 200);
+    assert.ok(paper.parts[0].questions[0].questionHtml.includes('<mfrac>'));
+
+    const pdf = await call('GET', `/api/papers/${paper.paperId}/pdf`, 'examcell');
+    assert.strictEqual(pdf.status, 200);
+    assert.strictEqual(pdf.body.subarray(0, 5).toString(), '%PDF-');
+    assert.ok(pdf.body.includes('KaTeX'));
+
+    const document = new AdmZip((await call('GET', `/api/papers/${paper.paperId}/docx`, 'examcell')).body).readAsText('word/document.xml');
+    assert.ok(document.includes('<m:f>') && document.includes('<m:rad>'));
+    assert.ok(!document.includes('\\frac'));
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+let server;
+let base;
+let admin;
+let examCell;
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    admin = await signIn('admin', 'test-admin-password');
+    await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { ...admin, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'cell', password: 'cell-password', role: 'examcell' })
+    });
+    examCell = await signIn('cell', 'cell-password');
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('a well-formed request id is kept and any other is replaced', async () => {
+    const kept = await fetch(`${base}/api/blueprints`, { headers: { ...admin, 'X-Request-Id': 'trace-42.a_b' } });
+    assert.strictEqual(kept.headers.get('x-request-id'), 'trace-42.a_b');
+
+    const replaced = await fetch(`${base}/api/blueprints`, { headers: { ...admin, 'X-Request-Id': 'bad idé' } });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    const fresh = await fetch(`${base}/api/blueprints`, { headers: admin });
+    assert.notStrictEqual(fresh.headers.get('x-request-id'), replaced.headers.get('x-request-id'));
+});
+
+test('requests, rejected uploads and failed generations are counted at /metrics without signing in', async () => {
+    await fetch(`${base}/api/upload`, { method: 'POST', headers: admin, body: new FormData() });
+    await fetch(`${base}/api/generate`, {
+        method: 'POST',
+        headers: { ...examCell, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ blueprintId: 'missing' })
+    });
+
+    const response = await fetch(`${base}/metrics`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const lines = (await response.text()).split('\n');
+    ['# TYPE http_requests_total counter', 'uploads_total{result="rejected"} 1', '# TYPE image_proxy_duration_seconds histogram']
+        .forEach(line => assert.ok(lines.includes(line), line));
+    assert.ok(lines.some(line => /^http_requests_total\{method="GET",status="200"\} \d+$/.test(line)));
+    assert.ok(lines.some(line => /^paper_generation_failures_total\{endpoint="generate",reason="invalid_request"\} 1$/.test(line)));
+});
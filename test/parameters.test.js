@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory and stays quiet while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+const { substituteParameters } = require('../lib/parameters');
+
+let server;
+let base;
+const sessions = {};
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+async function call(method, url, session, body) {
+    const response = await fetch(`${base}${url}`, {
+        method,
+        headers: body === undefined ? sessions[session] : { ...sessions[session], 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Helper Function to Upload Six Questions for Every Unit and BTL, Each Asking for a Current from Its Own Parameters
+// (numbered networks, so no two questions read as near-duplicates)
+function upload(rework = rows => rows) {
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 6; k++) {
+                const n = rows.length + 1;
+                rows.push({
+                    'S.NO': n, Unit: unit, Question: `Network ${n} ${n + 200} ${n + 400} ${n + 600}: find the current through {R=10..100 step 10} ohm at {V: 5|12} volt`,
+                    'B.T Level': `L${level}`, Answer: 'I = {V} / {R}', 'Answer Formula': 'V / {R}',
+                    'Subject Code': 'CS501', Subject: 'Circuits', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rework(rows)), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    return fetch(`${base}/api/upload`, { method: 'POST', headers: sessions.admin, body: form })
+        .then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    sessions.admin = await signIn('admin', 'test-admin-password');
+    await call('POST', '/api/users', 'admin', { username: 'cell', password: 'cell-password', role: 'examcell' });
+    sessions.examcell = await signIn('cell', 'cell-password');
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('parameters in plain text are replaced by their values', () => {
+    assert.strictEqual(
+        substituteParameters('A {R=10..100 step 10} ohm resistor of {material: steel|copper}. Find I through {R}.', { R: 40, material: 'copper' }),
+        'A 40 ohm resistor of copper. Find I through 40.');
+    assert.strictEqual(substituteParameters('Costs $5 and {n} more', { n: 3 }), 'Costs $5 and 3 more');
+});
+
+test('parameters inside math keep their braces as TeX groups', () => {
+    assert.strictEqual(substituteParameters('Find $\\frac{V}{R}$ for {R=1..20}', { R: 10 }), 'Find $\\frac{V}{10}$ for 10');
+    assert.strictEqual(substituteParameters('$x^{R}$', { R: 10 }), '$x^{10}$');
+    assert.strictEqual(substituteParameters('$$\\frac{a}{b}$$ with {a: 1|2}', { a: '1' }), '$$\\frac{1}{b}$$ with 1');
+});
+
+test('TeX groups that are not parameters are left alone', () => {
+    assert.strictEqual(substituteParameters('$\\sum_{i=1}^{n} x_i$', { R: 10 }), '$\\sum_{i=1}^{n} x_i$');
+    assert.strictEqual(substituteParameters('\\$ {R} and $y_{R}$', { R: 7 }), '\\$ 7 and $y_{7}$');
+});
+
+test('rows with malformed parameters or answer formulas are rejected with the reason', async () => {
+    const { status, body } = await upload(rows => {
+        rows[0].Question = 'Find the current through {R=100..10} ohm';
+        rows[1]['Answer Formula'] = 'V / {X}';
+        return rows;
+    });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.report.errors.map(entry => [entry.sno, entry.column, entry.reason]), [
+        ['1', 'Question', "Parameter 'R' runs from 100 down to 10"],
+        ['2', 'Answer Formula', "Unknown name 'X' in answer formula"]
+    ]);
+});
+
+test('a paper records the values it drew, the answer key works them through, and a rebuild draws them again', async () => {
+    assert.strictEqual((await upload()).status, 200);
+    const { status, body: paper } = await call('POST', '/api/generate', 'examcell', { blueprintId: 'mid1', seed: 'circuits-1' });
+    assert.strictEqual(status, 200, JSON.stringify(paper));
+    const questions = paper.parts.flatMap(part => part.questions);
+    questions.forEach(q => {
+        const { R, V } = q.parameterValues;
+        assert.ok(R >= 10 && R <= 100 && R % 10 === 0, `R = ${R}`);
+        assert.ok(['5', '12'].includes(V), `V = ${V}`);
+        assert.ok(q.question.endsWith(`: find the current through ${R} ohm at ${V} volt`), q.question);
+        assert.ok(!('answerFormula' in q) && !('answerValue' in q));
+    });
+    assert.ok(new Set(questions.map(q => JSON.stringify(q.parameterValues))).size > 1);
+
+    const key = (await call('GET', `/api/papers/${paper.paperId}/answer-key`, 'examcell')).body;
+    key.parts.flatMap(part => part.questions).forEach(entry => {
+        const { R, V } = entry.parameterValues;
+        assert.strictEqual(entry.answer, `I = ${V} / ${R}`);
+        assert.strictEqual(entry.answerFormula, 'V / {R}');
+        assert.strictEqual(entry.answerValue, Number((V / R).toPrecision(6)));
+    });
+
+    const rebuilt = await call('GET', `/api/papers/${paper.paperId}`, 'examcell');
+    assert.strictEqual(rebuilt.status, 200);
+    assert.deepStrictEqual(rebuilt.body.parts.flatMap(part => part.questions.map(q => q.parameterValues)), questions.map(q => q.parameterValues));
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+let server;
+let base;
+const sessions = {};
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+async function call(method, url, session, body) {
+    const response = await fetch(`${base}${url}`, {
+        method,
+        headers: body === undefined ? sessions[session] : { ...sessions[session], 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Six questions for every unit and BTL of one subject
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    sessions.admin = await signIn('admin', 'test-admin-password');
+    for (const [username, role] of [['cell', 'examcell'], ['head', 'hod']]) {
+        await call('POST', '/api/users', 'admin', { username, password: `${username}-password`, role });
+        sessions[role] = await signIn(username, `${username}-password`);
+    }
+
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 6; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `Unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    assert.strictEqual((await fetch(`${base}/api/upload`, { method: 'POST', headers: sessions.admin, body: form })).status, 200);
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const generate = async (seed, options = {}) => (await call('POST', '/api/generate', 'examcell', { blueprintId: 'mid1', seed, ...options })).body;
+const labelled = (paper, label) => paper.parts.flatMap(part => part.questions).find(q => q.label === label);
+const paperIds = paper => paper.parts.flatMap(part => part.questions.map(q => q.id));
+
+test('swap candidates share the unit and BTL of the question they replace and are not on the paper', async () => {
+    const paper = await generate('review-1');
+    const current = labelled(paper, '4a');
+    const { status, body: candidates } = await call('GET', `/api/papers/${paper.paperId}/questions/4a/candidates`, 'examcell');
+    assert.strictEqual(status, 200);
+    assert.ok(candidates.length > 0);
+    candidates.forEach(q => {
+        assert.deepStrictEqual([q.unit, q.btLevel], [current.unit, current.btLevel]);
+        assert.ok(!paperIds(paper).includes(q.id));
+    });
+    assert.strictEqual((await call('GET', `/api/papers/${paper.paperId}/questions/9z/candidates`, 'examcell')).status, 404);
+});
+
+test('a swap puts the chosen candidate in place, keeps the label and marks, and is audited', async () => {
+    const paper = await generate('review-2');
+    const current = labelled(paper, '2a');
+    const { body: candidates } = await call('GET', `/api/papers/${paper.paperId}/questions/2a/candidates`, 'examcell');
+    const chosen = candidates[candidates.length - 1];
+
+    const refused = await call('POST', `/api/papers/${paper.paperId}/questions/2a/swap`, 'examcell', { questionId: current.id });
+    assert.strictEqual(refused.status, 400);
+
+    const { status, body } = await call('POST', `/api/papers/${paper.paperId}/questions/2a/swap`, 'examcell',
+        { questionId: chosen.id, comment: ' Too close to last year ' });
+    assert.strictEqual(status, 200);
+    const swapped = labelled(body, '2a');
+    assert.deepStrictEqual([swapped.id, swapped.unit, swapped.btLevel, swapped.marks], [chosen.id, current.unit, current.btLevel, current.marks]);
+    assert.deepStrictEqual(paperIds(body).filter(id => id !== chosen.id), paperIds(paper).filter(id => id !== current.id));
+
+    // The stored paper rebuilds with the swap applied
+    assert.strictEqual(labelled((await call('GET', `/api/papers/${paper.paperId}`, 'examcell')).body, '2a').id, chosen.id);
+
+    const { body: audit } = await call('GET', `/api/papers/${paper.paperId}/audit?action=swap`, 'hod');
+    assert.deepStrictEqual(audit.entries.map(({ at, ...entry }) => entry), [
+        { user: 'cell', action: 'swap', label: '2a', fromQuestionId: current.id, toQuestionId: chosen.id, comment: 'Too close to last year' }
+    ]);
+});
+
+test('questions the paper was told to exclude are never swap candidates', async () => {
+    const earlier = await generate('review-3');
+    for (const [status, session] of [['submitted', 'examcell'], ['approved', 'hod'], ['released', 'examcell']]) {
+        await call('POST', `/api/papers/${earlier.paperId}/status`, session, { status });
+    }
+    assert.strictEqual((await call('POST', `/api/papers/${earlier.paperId}/finalize`, 'examcell', { examName: 'Mid 1', date: '2026-09-01' })).status, 200);
+
+    const paper = await generate('review-4', { usageWindow: 1, usageMode: 'exclude' });
+    const used = paperIds(earlier);
+    for (const label of ['1', '3', '2a', '6a']) {
+        const { body: candidates } = await call('GET', `/api/papers/${paper.paperId}/questions/${label}/candidates`, 'examcell');
+        assert.deepStrictEqual(candidates.filter(q => used.includes(q.id)), [], label);
+    }
+});
+
+test('only drafts can be swapped, and status changes are audited', async () => {
+    const paper = await generate('review-5');
+    const submitted = await call('POST', `/api/papers/${paper.paperId}/status`, 'examcell', { status: 'submitted', comment: 'Ready' });
+    assert.strictEqual(submitted.status, 200);
+    assert.strictEqual((await call('POST', `/api/papers/${paper.paperId}/questions/1/swap`, 'examcell', {})).status, 409);
+    assert.strictEqual((await call('POST', `/api/papers/${paper.paperId}/status`, 'examcell', { status: 'approved' })).status, 403);
+    assert.strictEqual((await call('POST', `/api/papers/${paper.paperId}/status`, 'examcell', { status: 'released' })).status, 409);
+
+    await call('POST', `/api/papers/${paper.paperId}/status`, 'hod', { status: 'draft', comment: 'Swap question 1' });
+    assert.strictEqual((await call('POST', `/api/papers/${paper.paperId}/questions/1/swap`, 'examcell', {})).status, 200);
+
+    const { body: audit } = await call('GET', `/api/papers/${paper.paperId}/audit`, 'examcell');
+    assert.strictEqual(audit.status, 'draft');
+    assert.deepStrictEqual(audit.entries.map(entry => [entry.user, entry.action, entry.from, entry.to, entry.comment]), [
+        ['cell', 'created', undefined, 'draft', undefined],
+        ['cell', 'status', 'draft', 'submitted', 'Ready'],
+        ['head', 'status', 'submitted', 'draft', 'Swap question 1'],
+        ['cell', 'swap', undefined, undefined, undefined]
+    ]);
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+const { generateQuestions, selectPaperQuestions, buildPaper, createRandom } = require('../lib/selection');
+const mid1 = require('../blueprints/mid1.json');
+
+// Helper Function to Build a Bank with the Given Number of Questions per Unit and BTL (L1 worth 2 marks, the rest 5)
+function makeBank(perLevel) {
+    const questions = [];
+    for (let unit = 1; unit <= 5; unit++) {
+        for (let level = 1; level <= 6; level++) {
+            const count = typeof perLevel === 'function' ? perLevel(unit, level) : perLevel;
+            for (let k = 0; k < count; k++) {
+                questions.push({
+                    id: questions.length + 1,
+                    question: `Unit ${unit} L${level} question ${k}`,
+                    unit,
+                    btLevel: String(level),
+                    marks: level === 1 ? 2 : 5
+                });
+            }
+        }
+    }
+    return { id: 'TEST-BANK', version: 1, questions };
+}
+
+const selectionIds = parts => parts.map(part => part.questions.map(q => `${q.label}:${q.id}`));
+
+let server;
+let base;
+let admin;
+let examCell;
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    admin = await signIn('admin', 'test-admin-password');
+    await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { ...admin, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'cell', password: 'cell-password', role: 'examcell' })
+    });
+    examCell = await signIn('cell', 'cell-password');
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('the same seed selects the same questions', () => {
+    const bank = makeBank(4);
+    const first = generateQuestions(mid1, bank.questions, createRandom('exam-2026'));
+    const second = generateQuestions(mid1, bank.questions, createRandom('exam-2026'));
+    assert.deepStrictEqual(selectionIds(second.parts), selectionIds(first.parts));
+});
+
+test('different seeds select different questions', () => {
+    const bank = makeBank(4);
+    const first = generateQuestions(mid1, bank.questions, createRandom('seed-a'));
+    const second = generateQuestions(mid1, bank.questions, createRandom('seed-b'));
+    assert.notDeepStrictEqual(selectionIds(second.parts), selectionIds(first.parts));
+});
+
+test('the same seed builds the same paper with the same id', () => {
+    const bank = makeBank(4);
+    const first = buildPaper(bank, mid1, 'exam-2026');
+    const second = buildPaper(bank, mid1, 'exam-2026');
+    assert.strictEqual(second.id, first.id);
+    assert.deepStrictEqual(second.parts, first.parts);
+    assert.notStrictEqual(buildPaper(bank, mid1, 'other-seed').id, first.id);
+});
+
+test('a new bank version gives a new paper id for the same seed', () => {
+    const bank = makeBank(4);
+    const paper = buildPaper(bank, mid1, 'exam-2026');
+    assert.notStrictEqual(buildPaper({ ...bank, version: 2 }, mid1, 'exam-2026').id, paper.id);
+});
+
+// Every mid1 label needs its own question: an L2 and an L3 pair of alternatives in Units 1 and 2, an L4 and an L5
+// pair in Unit 3, plus the five L1 short answers
+const exactMid1Levels = {
+    1: { 1: 2, 2: 2, 3: 2 },
+    2: { 1: 2, 2: 2, 3: 2 },
+    3: { 1: 1, 4: 2, 5: 2 }
+};
+
+function exactMid1Bank(levels = exactMid1Levels) {
+    return makeBank((unit, level) => (levels[unit] || {})[level] || 0);
+}
+
+test('a bank that just fits the blueprint fills every label with its own question', () => {
+    const bank = exactMid1Bank();
+    const parts = selectPaperQuestions(mid1, bank.questions, createRandom('tight'));
+    const ids = parts.flatMap(part => part.questions.map(q => q.id));
+    assert.strictEqual(ids.length, bank.questions.length);
+    assert.strictEqual(new Set(ids).size, bank.questions.length);
+
+    // Choice alternatives are answered at the same unit and BTL
+    const partB = parts.find(part => part.name === 'B').questions;
+    const labelled = label => partB.find(q => q.label === label);
+    mid1.parts[1].choiceGroups.forEach(group => group.alternatives[0].forEach((label, position) => {
+        const [first, second] = [labelled(label), labelled(group.alternatives[1][position])];
+        assert.deepStrictEqual([second.unit, second.btLevel], [first.unit, first.btLevel]);
+    }));
+});
+
+test('a bank one question short is rejected with the unit it lacks', () => {
+    const bank = exactMid1Bank();
+    const questions = bank.questions.filter(q => !(q.unit === 3 && q.btLevel === '4' && q.question.endsWith('question 1')));
+    assert.throws(() => selectPaperQuestions(mid1, questions, createRandom('tight')), error => {
+        assert.ok(!error.gaveUp);
+        assert.ok(error.details.some(detail => detail.startsWith('Part B Unit 3: needs 4 questions')), error.message);
+        return true;
+    });
+});
+
+test('a bank whose BTLs cannot pair the choice alternatives is rejected', () => {
+    // The BTL counts still fit, but Units 1 and 3 now hold an L3 and an L4 question that no alternative can match
+    const bank = exactMid1Bank({
+        1: { 1: 2, 2: 2, 3: 1, 4: 1 },
+        2: { 1: 2, 2: 2, 3: 2 },
+        3: { 1: 1, 3: 1, 4: 1, 5: 2 }
+    });
+    assert.throws(() => selectPaperQuestions(mid1, bank.questions, createRandom('tight')), error => {
+        assert.ok(!error.gaveUp);
+        assert.ok(error.details.includes('Choice alternatives need questions of the same BTL and marks'), error.message);
+        return true;
+    });
+});
+
+test('a BTL mix with odd tiers for paired alternatives is explained', () => {
+    const semester = require('../blueprints/semester.json');
+    const bank = makeBank((unit, level) => (level === 1 ? 2 : 4));
+    bank.questions.forEach(q => {
+        if (q.btLevel !== '1') q.marks = 10;
+    });
+    assert.ok(selectPaperQuestions(semester, bank.questions, createRandom('semester')));
+
+    // An 'auto' mix scales the 12-label tiers to ten labels: 3 at L2 and 3 at L3, which five pairs cannot take
+    const autoMix = { ...semester, parts: semester.parts.map(part => (part.name === 'B' ? { ...part, btlMix: 'auto' } : part)) };
+    assert.throws(() => selectPaperQuestions(autoMix, bank.questions, createRandom('semester')), error => {
+        assert.ok(error.details.some(detail => detail.includes('3 at L2, 3 at L3 cannot be split across choice groups')), error.message);
+        return true;
+    });
+});
+
+test('a passed deadline stops the search without changing the paper id', () => {
+    const bank = makeBank(4);
+    assert.throws(() => buildPaper(bank, mid1, 'exam-2026', { deadline: Date.now() - 1 }), error => error.gaveUp);
+
+    const paper = buildPaper(bank, mid1, 'exam-2026', { deadline: Date.now() + 60000 });
+    assert.strictEqual(paper.id, buildPaper(bank, mid1, 'exam-2026').id);
+    assert.ok(!('deadline' in paper.options));
+});
+
+test('a stored paper is rebuilt from its bank version and seed', async () => {
+    const rows = makeBank(4).questions.map(q => ({
+        'S.NO': q.id, Unit: ['I', 'II', 'III', 'IV', 'V'][q.unit - 1], Question: q.question, 'B.T Level': `L${q.btLevel}`,
+        'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+    }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    assert.strictEqual((await fetch(`${base}/api/upload`, { method: 'POST', headers: admin, body: form })).status, 200);
+
+    const generate = () => fetch(`${base}/api/generate`, {
+        method: 'POST',
+        headers: { ...examCell, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ blueprintId: 'mid1', seed: 'exam-2026' })
+    }).then(response => response.json());
+    const first = await generate();
+    const second = await generate();
+    assert.strictEqual(first.seed, 'exam-2026');
+    assert.strictEqual(second.paperId, first.paperId);
+
+    const rebuilt = await (await fetch(`${base}/api/papers/${first.paperId}`, { headers: examCell })).json();
+    assert.strictEqual(rebuilt.paperId, first.paperId);
+    assert.deepStrictEqual(selectionIds(rebuilt.parts), selectionIds(first.parts));
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+let server;
+let base;
+let admin;
+let examCell;
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+// Helper Function to Upload a Bank with the Given Number of Questions per Unit and BTL
+async function uploadBank(subjectCode, perLevel) {
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach((unit, u) => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < perLevel(u + 1, level); k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `Unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    'Subject Code': subjectCode, Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    assert.strictEqual((await fetch(`${base}/api/upload`, { method: 'POST', headers: admin, body: form })).status, 200);
+}
+
+// Exactly enough questions for two disjoint mid1 sets, which sets drawn one after another often miss
+const twoSets = { 1: { 1: 4, 3: 6, 5: 2 }, 2: { 1: 4, 2: 4, 4: 4 }, 3: { 1: 2, 2: 4, 3: 2, 5: 2 } };
+
+// CS501 has four questions for every unit and BTL: Part A of mid1 has only four L1 questions per unit to share out
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    admin = await signIn('admin', 'test-admin-password');
+    await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { ...admin, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'cell', password: 'cell-password', role: 'examcell' })
+    });
+    examCell = await signIn('cell', 'cell-password');
+
+    await uploadBank('CS501', () => 4);
+    await uploadBank('CS502', (unit, level) => (twoSets[unit] || {})[level] || 0);
+    await uploadBank('CS503', (unit, level) => (unit === 3 && level === 2 ? 3 : (twoSets[unit] || {})[level] || 0));
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function generateSets(body) {
+    const response = await fetch(`${base}/api/generate/sets`, {
+        method: 'POST',
+        headers: { ...examCell, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bankId: 'CS501-R22-CSE', blueprintId: 'mid1', seed: 'exam-2026', ...body })
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const setIds = set => set.parts.flatMap(part => part.questions.map(q => q.id));
+
+test('sets share no question by default', async () => {
+    const { status, body } = await generateSets({ count: 2 });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.sets.map(set => set.set), ['A', 'B']);
+    const [first, second] = body.sets.map(setIds);
+    assert.deepStrictEqual(first.filter(id => second.includes(id)), []);
+    assert.deepStrictEqual(body.overlap.pairs, [{ sets: ['A', 'B'], shared: 0, questionIds: [] }]);
+    assert.ok(Object.values(body.overlap.questionSets).every(names => names.length === 1));
+});
+
+test('a looser cap lets sets share up to that many questions, and the report names them', async () => {
+    // Three sets need six L1 questions of Units 1 and 2 from the four the bank has, and the paired Part B labels
+    // leave the third set little room besides
+    const { status, body } = await generateSets({ count: 3, maxOverlap: 8 });
+    assert.strictEqual(status, 200);
+    const ids = body.sets.map(setIds);
+    body.overlap.pairs.forEach(pair => {
+        assert.ok(pair.shared <= 8);
+        const [i, j] = pair.sets.map(name => name.charCodeAt(0) - 65);
+        assert.deepStrictEqual([...pair.questionIds].sort(), ids[i].filter(id => ids[j].includes(id)).sort());
+        pair.questionIds.forEach(id => assert.ok(pair.sets.every(name => body.overlap.questionSets[id].includes(name))));
+    });
+    assert.ok(body.overlap.pairs.some(pair => pair.shared > 0));
+});
+
+test('disjoint sets the bank cannot supply are refused with the short unit and BTL pools', async () => {
+    const { status, body } = await generateSets({ count: 3 });
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.details.map(shortfall => shortfall.message), [
+        'Unit 1 needs 2 more L1 questions worth 2 marks for Part A to support mid1 with 3 distinct sets',
+        'Unit 2 needs 2 more L1 questions worth 2 marks for Part A to support mid1 with 3 distinct sets'
+    ]);
+    assert.match(body.error, /^Cannot build 3 sets sharing at most 0 questions: Unit 1 needs 2 more L1/);
+});
+
+test('sets that drawing one by one would make overlap are solved together', async () => {
+    for (const seed of ['s2', 's6', 's8', 's10', 's11']) {
+        const { status, body } = await generateSets({ bankId: 'CS502-R22-CSE', seed });
+        assert.strictEqual(status, 200, seed);
+        assert.strictEqual(body.overlap.pairs[0].shared, 0, seed);
+        const ids = body.sets.flatMap(setIds);
+        assert.strictEqual(new Set(ids).size, 34);
+
+        // Each set is rebuilt from what was stored for it
+        for (const set of body.sets) {
+            const rebuilt = await fetch(`${base}/api/papers/${set.paperId}`, { headers: examCell });
+            assert.deepStrictEqual(setIds(await rebuilt.json()), setIds(set));
+        }
+    }
+});
+
+test('a bank one question short of disjoint sets is refused with the pool it lacks', async () => {
+    const { status, body } = await generateSets({ bankId: 'CS503-R22-CSE', seed: 's0' });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'Cannot build 2 sets sharing at most 0 questions: ' +
+        'Unit 3 needs 1 more L2-L6 questions worth 5 marks for Part B to support mid1 with 2 distinct sets');
+});
+
+test('the set count and overlap cap are checked', async () => {
+    assert.strictEqual((await generateSets({ count: 27 })).status, 400);
+    assert.strictEqual((await generateSets({ count: 1 })).status, 400);
+    assert.strictEqual((await generateSets({ maxOverlap: -1 })).status, 400);
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AdmZip = require('adm-zip');
+const sharp = require('sharp');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+const template = {
+    id: 'autonomous',
+    name: 'Autonomous college papers',
+    institution: { name: 'Example Institute of Technology', affiliation: 'Affiliated to Example University' },
+    session: 'November 2026',
+    examTitle: 'I Mid Term Examinations',
+    duration: '90 Minutes',
+    maxMarks: 40,
+    instructions: ['Answer all questions of Part A', 'Answer one question from each either/or pair of Part B'],
+    footer: 'Printed by the examination cell',
+    subject: { subjectCode: 'CS501', regulation: ['R20', 'R22'] }
+};
+
+let server;
+let base;
+const sessions = {};
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+async function call(method, url, session, body) {
+    const response = await fetch(`${base}${url}`, {
+        method,
+        headers: body === undefined ? sessions[session] : { ...sessions[session], 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const type = response.headers.get('content-type') || '';
+    return { status: response.status, body: type.includes('json') ? await response.json() : Buffer.from(await response.arrayBuffer()) };
+}
+
+// Six questions for every unit and BTL of CS501 and of CS502
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    sessions.admin = await signIn('admin', 'test-admin-password');
+    await call('POST', '/api/users', 'admin', { username: 'cell', password: 'cell-password', role: 'examcell' });
+    sessions.examcell = await signIn('cell', 'cell-password');
+
+    const rows = [];
+    ['CS501', 'CS502'].forEach(subjectCode => ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 6; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `${subjectCode} unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    'Subject Code': subjectCode, Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    }));
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    assert.strictEqual((await fetch(`${base}/api/upload`, { method: 'POST', headers: sessions.admin, body: form })).status, 200);
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const generate = (bankId, body = {}) => call('POST', '/api/generate', 'examcell', { bankId, blueprintId: 'mid1', seed: 'template-1', ...body });
+
+test('templates are validated and stored once per id', async () => {
+    const invalid = await call('POST', '/api/templates', 'examcell', { id: 'bad id', name: 'x', institution: {}, maxMarks: -1, subject: { room: 'A1' } });
+    assert.strictEqual(invalid.status, 400);
+    assert.deepStrictEqual(invalid.body.details, [
+        "'id' must be 1-64 letters, digits, '-' or '_'",
+        "'institution.name' must be a non-empty string",
+        "'session' must be a non-empty string (e.g. 'November 2026')",
+        "'maxMarks' must be a positive number",
+        "subject: 'room' is not a paper detail (subjectCode, subject, branch, regulation, year, semester)"
+    ]);
+
+    assert.strictEqual((await call('POST', '/api/templates', 'examcell', template)).status, 201);
+    assert.strictEqual((await call('POST', '/api/templates', 'examcell', template)).status, 409);
+    assert.deepStrictEqual((await call('GET', '/api/templates', 'examcell')).body, [template]);
+});
+
+test('a logo is kept in the image store and survives edits to the template', async () => {
+    const logo = await sharp({ create: { width: 120, height: 80, channels: 3, background: '#993333' } }).png().toBuffer();
+    const form = new FormData();
+    form.append('logo', new Blob([logo], { type: 'image/png' }), 'logo.png');
+    const response = await fetch(`${base}/api/templates/autonomous/logo`, { method: 'POST', headers: sessions.examcell, body: form });
+    const stored = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(stored.logo.url, `/api/images/${stored.logo.hash}`);
+    assert.strictEqual((await fetch(`${base}${stored.logo.url}`, { headers: sessions.examcell })).headers.get('content-type'), 'image/png');
+
+    const edited = await call('PUT', '/api/templates/autonomous', 'examcell', { ...template, logo: null });
+    assert.strictEqual(edited.body.logo.hash, stored.logo.hash);
+});
+
+test('a paper carries the template it was generated with, into its PDF and Word files', async () => {
+    const plain = await generate('CS501-R22-CSE');
+    const { status, body: paper } = await generate('CS501-R22-CSE', { templateId: 'autonomous' });
+    assert.strictEqual(status, 200);
+    assert.notStrictEqual(paper.paperId, plain.body.paperId);
+    assert.strictEqual(paper.template.institution.name, template.institution.name);
+    assert.strictEqual(paper.template.logo.url, `/api/images/${paper.template.logo.hash}`);
+
+    const pdf = await call('GET', `/api/papers/${paper.paperId}/pdf`, 'examcell');
+    assert.strictEqual(pdf.status, 200);
+    assert.strictEqual(pdf.body.subarray(0, 5).toString(), '%PDF-');
+
+    const docx = new AdmZip((await call('GET', `/api/papers/${paper.paperId}/docx`, 'examcell')).body);
+    const document = docx.readAsText('word/document.xml');
+    ['Example Institute of Technology', 'November 2026', 'I Mid Term Examinations', 'Time: 90 Minutes', 'Answer all questions of Part A']
+        .forEach(text => assert.ok(document.includes(text), text));
+    const footers = docx.getEntries().filter(entry => /^word\/footer\d*\.xml$/.test(entry.entryName));
+    assert.ok(footers.some(entry => entry.getData().toString().includes(template.footer)));
+
+    // Later edits and even deleting the template leave the paper as it was generated
+    await call('PUT', '/api/templates/autonomous', 'examcell', { ...template, session: 'May 2027' });
+    assert.strictEqual((await call('DELETE', '/api/templates/autonomous', 'examcell')).status, 200);
+    const rebuilt = (await call('GET', `/api/papers/${paper.paperId}`, 'examcell')).body;
+    assert.strictEqual(rebuilt.template.session, 'November 2026');
+    await call('POST', '/api/templates', 'examcell', template);
+});
+
+test('papers that do not match the template\'s subject or marks are refused', async () => {
+    const other = await generate('CS502-R22-CSE', { templateId: 'autonomous' });
+    assert.strictEqual(other.status, 422);
+    assert.deepStrictEqual(other.body.details.map(mismatch => [mismatch.field, mismatch.actual]), [['subjectCode', 'CS502']]);
+
+    await call('PUT', '/api/templates/autonomous', 'examcell', { ...template, maxMarks: 70 });
+    const marks = await generate('CS501-R22-CSE', { templateId: 'autonomous' });
+    assert.strictEqual(marks.status, 422);
+    assert.strictEqual(marks.body.error, "Paper does not match template 'autonomous': paper carries 40 marks but template 'autonomous' expects 70");
+
+    assert.strictEqual((await generate('CS501-R22-CSE', { templateId: 'missing' })).status, 400);
+});
@@ -0,0 +1,283 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+const xlsxType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const romanUnits = ['I', 'II', 'III', 'IV', 'V'];
+
+// Helper Function to Build Sheet Rows: two questions for every unit and BTL of one subject
+function bankRows(subjectCode = 'CS501') {
+    const rows = [];
+    romanUnits.forEach((unit, u) => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 2; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1,
+                    Unit: unit,
+                    Question: `${subjectCode} unit ${u + 1} L${level} question ${k}`,
+                    'B.T Level': `L${level}`,
+                    'Subject Code': subjectCode,
+                    Subject: 'Compilers',
+                    Branch: 'CSE',
+                    Regulation: 'R22',
+                    Year: 'III',
+                    Sem: 'I',
+                    Month: 45566,
+                    'Image Url': ''
+                });
+            }
+        }
+    });
+    return rows;
+}
+
+function workbookBuffer(rows) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), 'Questions');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+let server;
+let base;
+let admin;
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    admin = await signIn('admin', 'test-admin-password');
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+async function upload(rows, query = '') {
+    const form = new FormData();
+    form.append('excelFile', new Blob([Buffer.isBuffer(rows) ? rows : workbookBuffer(rows)], { type: xlsxType }), 'bank.xlsx');
+    const response = await fetch(`${base}/api/upload${query}`, { method: 'POST', headers: admin, body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+const storedBanks = async () => (await fetch(`${base}/api/banks`, { headers: admin })).json();
+
+// Rows 2 and 3 of the sheet are broken, row 4 has an unreadable month and row 5 repeats row 2's question
+function faultyRows() {
+    const rows = bankRows();
+    rows[0].Unit = 'VII';
+    rows[1]['B.T Level'] = 'L9';
+    rows[1].Question = '';
+    rows[2].Month = 'Sept';
+    rows[3].Question = `  ${rows[0].Question.toUpperCase()} `;
+    return rows;
+}
+
+test('a dry run reports every faulty row and stores nothing', async () => {
+    const { status, body } = await upload(faultyRows(), '?dryRun=true');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.dryRun, true);
+    assert.strictEqual(body.valid, false);
+    assert.deepStrictEqual(body.report.errors, [
+        { row: 2, sno: '1', column: 'Unit', value: 'VII', reason: 'Unit must be a Roman numeral from I to V' },
+        { row: 3, sno: '2', column: 'B.T Level', value: 'L9', reason: 'B.T Level must be one of L1-L6' },
+        { row: 3, sno: '2', column: 'Question', value: '', reason: 'Question is empty' }
+    ]);
+    assert.deepStrictEqual(body.report.warnings.map(entry => [entry.row, entry.column]), [[4, 'Month'], [5, 'Question']]);
+    assert.match(body.report.warnings[1].reason, /row 2/);
+    assert.deepStrictEqual(await storedBanks(), []);
+    assert.ok(!fs.existsSync(path.join(dataDir, 'banks')));
+});
+
+test('a dry run of a clean file is valid and still stores nothing', async () => {
+    const { body } = await upload(bankRows(), '?dryRun=true');
+    assert.strictEqual(body.valid, true);
+    assert.deepStrictEqual(body.report, { errors: [], warnings: [] });
+    assert.deepStrictEqual(body.banks, [{
+        id: 'CS501-R22-CSE',
+        questionCount: 60,
+        units: { 1: 12, 2: 12, 3: 12, 4: 12, 5: 12 },
+        btLevels: { 1: 10, 2: 10, 3: 10, 4: 10, 5: 10, 6: 10 },
+        outcomes: { Unmapped: 60 },
+        changes: {
+            mode: 'created',
+            added: Array.from({ length: 60 }, (_, i) => String(i + 1)),
+            updated: [],
+            unchanged: 0,
+            removed: [],
+            kept: 0
+        },
+        duplicateClusters: []
+    }]);
+    assert.deepStrictEqual(await storedBanks(), []);
+});
+
+test('an upload with errors is refused with the report and leaves the banks alone', async () => {
+    const { status, body } = await upload(faultyRows());
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.report.errors.length, 3);
+    assert.deepStrictEqual(await storedBanks(), []);
+});
+
+test('files mixing subjects are stored as one bank each, with a warning', async () => {
+    const { status, body } = await upload([...bankRows('CS501'), ...bankRows('CS502')]);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.warnings.map(entry => entry.column), ['Subject Code']);
+    assert.deepStrictEqual((await storedBanks()).map(bank => bank.id).sort(), ['CS501-R22-CSE', 'CS502-R22-CSE']);
+});
+
+const bankQuestions = async bankId => (await fetch(`${base}/api/banks/${bankId}/questions`, { headers: admin })).json();
+
+test('an exported bank uploads again unchanged', async () => {
+    const rows = bankRows('CS601');
+    rows[0].Question = 'Define a grammar.\n1. Its terminals\n2. Its productions';
+    Object.assign(rows[1], { Answer: 'A set of rules', Marks: 5, CO: 'CO2' });
+    assert.strictEqual((await upload(rows)).status, 200);
+    const stored = await bankQuestions('CS601-R22-CSE');
+
+    const exported = await fetch(`${base}/api/banks/CS601-R22-CSE/export`, { headers: admin });
+    assert.strictEqual(exported.status, 200);
+    assert.strictEqual(exported.headers.get('content-type'), xlsxType);
+    const { status, body } = await upload(Buffer.from(await exported.arrayBuffer()));
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.banks[0].changes, { mode: 'merged', added: [], updated: [], unchanged: 60, removed: [], kept: 0 });
+    assert.deepStrictEqual(await bankQuestions('CS601-R22-CSE'), stored);
+});
+
+test('a merge updates questions by S.NO, adds new ones and keeps or removes the rest', async () => {
+    const before = await bankQuestions('CS601-R22-CSE');
+    const rows = bankRows('CS601').slice(2, 4);
+    rows[1].Question = 'An edited question';
+    rows.push({ ...rows[1], 'S.NO': 61, Question: 'A new question' });
+
+    const { body } = await upload(rows, '?dryRun=true');
+    assert.deepStrictEqual(body.banks[0].changes, {
+        mode: 'merged', added: ['61'], updated: [{ sno: '4', fields: ['question'] }], unchanged: 1, removed: [], kept: 58
+    });
+    assert.deepStrictEqual(await bankQuestions('CS601-R22-CSE'), before);
+
+    assert.strictEqual((await upload(rows)).status, 200);
+    const merged = await bankQuestions('CS601-R22-CSE');
+    assert.strictEqual(merged.length, 61);
+    assert.deepStrictEqual(merged.find(q => q.sno === '4'), {
+        ...before.find(q => q.sno === '4'), question: 'An edited question', questionHtml: '<p>An edited question</p>\n'
+    });
+    assert.strictEqual(merged.find(q => q.sno === '61').id, 61);
+
+    const removed = await upload([...bankRows('CS601').slice(0, 59), rows[2]], '?removeMissing=true');
+    assert.deepStrictEqual(removed.body.banks[0].changes.removed, ['60']);
+    assert.strictEqual((await bankQuestions('CS601-R22-CSE')).length, 60);
+});
+
+test('a merge refuses rows whose S.NO repeats', async () => {
+    const rows = bankRows('CS601');
+    rows[1]['S.NO'] = 1;
+    const { status, body } = await upload(rows);
+    assert.strictEqual(status, 400);
+    assert.deepStrictEqual(body.report.errors.map(entry => [entry.row, entry.column]), [[3, 'S.NO']]);
+});
+
+// Helper Function to Upload Raw File Bytes under the Given Name and MIME Type
+async function uploadFile(data, fileName, type, query = '') {
+    const form = new FormData();
+    form.append('excelFile', new Blob([data], { type }), fileName);
+    const response = await fetch(`${base}/api/upload${query}`, { method: 'POST', headers: admin, body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+test('CSV files are read as UTF-8 and ODS files like Excel ones', async () => {
+    const rows = bankRows('CS701');
+    rows[0].Question = 'Explain the Σ-notation used in “grammars”';
+    const csv = XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(rows));
+    const fromCsv = await uploadFile(Buffer.from(csv, 'utf8'), 'bank.csv', 'text/csv', '?dryRun=true');
+    assert.strictEqual(fromCsv.body.valid, true);
+    assert.strictEqual(fromCsv.body.questionCount, 60);
+    assert.strictEqual((await uploadFile(Buffer.from(csv, 'utf8'), 'bank.csv', 'text/csv')).status, 200);
+    assert.strictEqual((await bankQuestions('CS701-R22-CSE'))[0].question, rows[0].Question);
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(bankRows('CS702')), 'Questions');
+    const ods = XLSX.write(workbook, { type: 'buffer', bookType: 'ods' });
+    const fromOds = await uploadFile(ods, 'bank.ods', 'application/vnd.oasis.opendocument.spreadsheet', '?dryRun=true');
+    assert.strictEqual(fromOds.body.valid, true);
+    assert.deepStrictEqual(fromOds.body.banks.map(bank => bank.id), ['CS702-R22-CSE']);
+});
+
+test('files of other types get a JSON error instead of an error page', async () => {
+    const { status, body } = await uploadFile(Buffer.from('not a bank'), 'notes.txt', 'text/plain');
+    assert.strictEqual(status, 400);
+    assert.match(body.error, /Only Excel, ODS or CSV files/);
+});
+
+test('every sheet can be read, and the report names the sheet of each row', async () => {
+    const rows = bankRows('CS703');
+    rows[14].Unit = 'IX';
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows.slice(0, 12)), 'Unit I');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows.slice(12)), 'The rest');
+    const file = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const firstOnly = await uploadFile(file, 'bank.xlsx', xlsxType, '?dryRun=true');
+    assert.strictEqual(firstOnly.body.questionCount, 12);
+
+    const { body } = await uploadFile(file, 'bank.xlsx', xlsxType, '?dryRun=true&sheets=all');
+    assert.strictEqual(body.questionCount, 60);
+    assert.deepStrictEqual(body.sheets.map(sheet => [sheet.name, sheet.rowCount]), [['Unit I', 12], ['The rest', 48]]);
+    assert.deepStrictEqual(body.report.errors.map(entry => [entry.sheet, entry.row, entry.column]), [['The rest', 4, 'Unit']]);
+
+    const unknown = await uploadFile(file, 'bank.xlsx', xlsxType, '?sheets=Unit%20I,Unit%20II');
+    assert.strictEqual(unknown.status, 400);
+    assert.strictEqual(unknown.body.error, 'Sheet(s) not found: Unit II');
+});
+
+test('a column profile maps a department\'s own headers and fills missing columns', async () => {
+    const rows = bankRows('CS704').map(row => ({
+        'Q No': row['S.NO'], Module: row.Unit, 'Question Text': row.Question, 'Bloom Level': row['B.T Level'],
+        'Paper Code': row['Subject Code'], Course: row.Subject, Dept: row.Branch, Year: row.Year, Semester: row.Sem, Remarks: ''
+    }));
+    const profile = {
+        id: 'dept-cse',
+        name: 'CSE department sheets',
+        columns: { 'Subject Code': ['Paper Code'] },
+        defaults: { Regulation: 'R22' }
+    };
+    const post = body => fetch(`${base}/api/column-profiles`, {
+        method: 'POST', headers: { ...admin, 'Content-Type': 'application/json' }, body: JSON.stringify(body)
+    });
+    const invalid = await (await post({ id: 'bad id', name: '', columns: { Topic: ['Area'] } })).json();
+    assert.strictEqual(invalid.details.length, 3);
+    assert.strictEqual((await post(profile)).status, 201);
+    assert.strictEqual((await post(profile)).status, 409);
+
+    const without = await upload(rows, '?dryRun=true');
+    assert.strictEqual(without.body.valid, false);
+
+    const { body } = await upload(rows, '?dryRun=true&profile=dept-cse');
+    assert.strictEqual(body.valid, true, JSON.stringify(body.report.errors.slice(0, 3)));
+    assert.deepStrictEqual(body.banks.map(bank => bank.id), ['CS704-R22-CSE']);
+    assert.deepStrictEqual(body.report.warnings.map(entry => entry.value), [['Remarks']]);
+
+    assert.strictEqual((await upload(rows, '?profile=unknown')).status, 400);
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+
+// The server keeps its data in a scratch directory while the tests run
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qpg-test-'));
+process.env.DATA_DIR = dataDir;
+process.env.ADMIN_PASSWORD = 'test-admin-password';
+process.env.LOG_LEVEL = 'error';
+
+const { app } = require('../server');
+
+const bankId = 'CS501-R22-CSE';
+let server;
+let base;
+let admin;
+let examCell;
+let hod;
+
+// Helper Function to Sign In, Returning the Authorization Header of the Session
+async function signIn(username, password) {
+    const response = await fetch(`${base}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    return { Authorization: `Bearer ${(await response.json()).token}` };
+}
+
+test.before(async () => {
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+    admin = await signIn('admin', 'test-admin-password');
+    await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { ...admin, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'cell', password: 'cell-password', role: 'examcell' })
+    });
+    examCell = await signIn('cell', 'cell-password');
+    await fetch(`${base}/api/users`, {
+        method: 'POST',
+        headers: { ...admin, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: 'head', password: 'head-password', role: 'hod' })
+    });
+    hod = await signIn('head', 'head-password');
+});
+
+test.after(() => {
+    server.closeAllConnections();
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// Helper Function to Upload a Bank with Six Questions for Every Unit and BTL, Optionally Reworked First
+async function uploadBank(rework = rows => rows, query = '') {
+    const rows = [];
+    ['I', 'II', 'III', 'IV', 'V'].forEach(unit => {
+        for (let level = 1; level <= 6; level++) {
+            for (let k = 0; k < 6; k++) {
+                rows.push({
+                    'S.NO': rows.length + 1, Unit: unit, Question: `Unit ${unit} L${level} question ${k}`, 'B.T Level': `L${level}`,
+                    'Subject Code': 'CS501', Subject: 'Compilers', Branch: 'CSE', Regulation: 'R22', Year: 'III', Sem: 'I'
+                });
+            }
+        }
+    });
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rework(rows)), 'Questions');
+    const form = new FormData();
+    form.append('excelFile', new Blob([XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' })],
+        { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), 'bank.xlsx');
+    assert.strictEqual((await fetch(`${base}/api/upload${query}`, { method: 'POST', headers: admin, body: form })).status, 200);
+}
+
+async function post(url, body, session = examCell) {
+    const response = await fetch(`${base}${url}`, {
+        method: 'POST',
+        headers: { ...session, 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Helper Function to Take a Draft Through Review to Release, Ready to Be Finalized
+async function release(paperId) {
+    assert.strictEqual((await post(`/api/papers/${paperId}/status`, { status: 'submitted' })).status, 200);
+    assert.strictEqual((await post(`/api/papers/${paperId}/status`, { status: 'approved' }, hod)).status, 200);
+    assert.strictEqual((await post(`/api/papers/${paperId}/status`, { status: 'released' })).status, 200);
+}
+
+const paperIds = paper => paper.parts.flatMap(part => part.questions.map(q => q.id));
+const usage = async () => (await fetch(`${base}/api/banks/${bankId}/usage`, { headers: examCell })).json();
+
+test('every set finalized for one exam counts as that exam in the usage window', async () => {
+    await uploadBank();
+    const { body } = await post('/api/generate/sets', { blueprintId: 'mid1', seed: 'mid-1', count: 2 });
+    for (const set of body.sets) {
+        await release(set.paperId);
+        const finalized = await post(`/api/papers/${set.paperId}/finalize`, { examName: 'Mid 1', date: '2026-09-01' });
+        assert.strictEqual(finalized.status, 200);
+    }
+    assert.strictEqual((await post(`/api/papers/${body.sets[0].paperId}/finalize`, { examName: 'Mid 1' })).status, 409);
+
+    const used = body.sets.flatMap(paperIds);
+    const next = await post('/api/generate', { blueprintId: 'mid1', seed: 'mid-2', usageWindow: 1, usageMode: 'exclude' });
+    assert.strictEqual(next.status, 200);
+    assert.deepStrictEqual(paperIds(next.body).filter(id => used.includes(id)), []);
+
+    const report = await usage();
+    assert.deepStrictEqual(report.exams.map(exam => exam.examName), ['Mid 1', 'Mid 1']);
+    assert.strictEqual(report.questions.filter(q => q.uses > 0).length, new Set(used).size);
+});
+
+test('a replacing re-upload keeps the ids of questions it still has, so their usage stays with them', async () => {
+    const questionIds = async () => Object.fromEntries((await (await fetch(`${base}/api/banks/${bankId}/questions`, { headers: admin })).json())
+        .map(q => [q.question, q.id]));
+    const before = await questionIds();
+    const usedBefore = (await usage()).questions.filter(q => q.uses > 0).map(q => q.id);
+
+    await uploadBank(rows => [{ ...rows[0], Question: 'A brand new unit I question' }, ...rows.slice(1).reverse()], '?mode=replace');
+    const after = await questionIds();
+    Object.entries(after).forEach(([text, id]) => {
+        if (text in before) assert.strictEqual(id, before[text]);
+    });
+    assert.strictEqual(after['A brand new unit I question'], 181);
+    assert.deepStrictEqual((await usage()).questions.filter(q => q.uses > 0).map(q => q.id).sort((a, b) => a - b),
+        usedBefore.filter(id => id !== before['Unit I L1 question 0']).sort((a, b) => a - b));
+});
+
+test('deleting a bank forgets its usage, so a bank uploaded again under that id starts fresh', async () => {
+    assert.ok((await usage()).exams.length > 0);
+    assert.strictEqual((await fetch(`${base}/api/banks/${bankId}`, { method: 'DELETE', headers: admin })).status, 200);
+    assert.ok(!fs.existsSync(path.join(dataDir, 'usage', `${bankId}.json`)));
+
+    await uploadBank();
+    const report = await usage();
+    assert.deepStrictEqual(report.exams, []);
+    assert.strictEqual(report.neverUsed.length, 180);
+});